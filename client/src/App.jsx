@@ -3,12 +3,12 @@ import Header from './components/Header';
 import QuoteCard from './components/QuoteCard';
 import QuotesList from './components/QuotesList';
 import ChatWidget from './components/ChatWidget';
-import { useRandomQuote } from './hooks/useQuotes';
+import { useQuoteOfTheDay } from './hooks/useQuotes';
 import { quotesApi } from './services/api';
 import './App.css';
 
 function App() {
-  const { quote: randomQuote, loading: randomLoading, refresh: refreshRandom } = useRandomQuote();
+  const { quote: dailyQuote, loading: dailyLoading, refresh: refreshDaily } = useQuoteOfTheDay();
   const [health, setHealth] = useState(null);
 
   useEffect(() => {
@@ -23,7 +23,7 @@ function App() {
       <Header health={health} />
       
       <main className="main-content">
-        {/* Hero Section with Random Quote */}
+        {/* Hero Section with the shared Quote of the Day */}
         <section className="hero-section">
           <div className="hero-content">
             <h1 className="hero-title">
@@ -34,9 +34,9 @@ function App() {
             </p>
             
             <QuoteCard 
-              quote={randomQuote}
-              loading={randomLoading}
-              onRefresh={refreshRandom}
+              quote={dailyQuote}
+              loading={dailyLoading}
+              onRefresh={dailyQuote ? undefined : refreshDaily}
               featured
             />
           </div>
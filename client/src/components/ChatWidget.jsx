@@ -12,8 +12,10 @@ function ChatWidget() {
   const {
     messages,
     isTyping,
+    isStreaming,
     language,
     sendMessage,
+    cancel,
     changeLanguage,
     clearChat,
     getCurrentLanguageConfig,
@@ -38,7 +40,7 @@ function ChatWidget() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!currentMessage.trim() || isTyping) return;
+    if (!currentMessage.trim() || isStreaming) return;
 
     const message = currentMessage.trim();
     setCurrentMessage('');
@@ -158,7 +160,7 @@ function ChatWidget() {
           {messages.map((message) => (
             <div
               key={message.id}
-              className={`message ${message.role} ${message.error ? 'error' : ''}`}
+              className={`message ${message.role} ${message.error ? 'error' : ''} ${message.streaming ? 'streaming' : ''}`}
             >
               <div className="message-content">
                 <div className="message-text">
@@ -173,11 +175,24 @@ function ChatWidget() {
                     <cite>— {message.quote.author}</cite>
                   </div>
                 )}
+
+                {message.sources && (
+                  <ol className="message-sources">
+                    {message.sources.map(({ number, quote }) => (
+                      <li key={number} value={number}>
+                        "{quote.text}" <cite>— {quote.author}</cite>
+                      </li>
+                    ))}
+                  </ol>
+                )}
                 
                 <div className="message-meta">
                   <time className="message-time">
                     {new Date(message.timestamp).toLocaleTimeString()}
                   </time>
+                  {message.cancelled && (
+                    <span className="message-cancelled">Stopped</span>
+                  )}
                   {message.provider && (
                     <span className="message-provider">
                       {message.provider === 'fallback' && '🤖'}
@@ -217,26 +232,36 @@ function ChatWidget() {
                 'Type your message here...'
               }
               className="chat-input"
-              disabled={isTyping}
+              disabled={isStreaming}
               maxLength={1000}
               dir={currentLangConfig.direction}
             />
-            <button
-              type="submit"
-              disabled={!currentMessage.trim() || isTyping}
-              className="chat-send-btn"
-              title="Send message"
-              aria-label="Send message"
-            >
-              {isTyping ? (
-                <div className="loading-spinner"></div>
-              ) : (
+            {isStreaming ? (
+              <button
+                type="button"
+                onClick={cancel}
+                className="chat-send-btn chat-stop-btn"
+                title="Stop response"
+                aria-label="Stop response"
+              >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+                  <rect x="5" y="5" width="14" height="14" rx="2"></rect>
+                </svg>
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!currentMessage.trim()}
+                className="chat-send-btn"
+                title="Send message"
+                aria-label="Send message"
+              >
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                   <line x1="22" y1="2" x2="11" y2="13"></line>
                   <polygon points="22,2 15,22 11,13 2,9 22,2"></polygon>
                 </svg>
-              )}
-            </button>
+              </button>
+            )}
           </div>
           
           <div className="character-count">
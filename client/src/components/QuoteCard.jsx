@@ -30,7 +30,7 @@ function QuoteCard({ quote, loading, onRefresh, featured = false }) {
 
   return (
     <div className={`quote-card ${featured ? 'featured' : ''}`}>
-      <div className="quote-content">
+      <div className="quote-content" lang={quote.language} dir={quote.direction}>
         <blockquote className="quote-text">
           "{quote.text}"
         </blockquote>
@@ -40,6 +40,13 @@ function QuoteCard({ quote, loading, onRefresh, featured = false }) {
             <span className="quote-id">#{quote.id}</span>
           )}
         </footer>
+        {quote.tags && quote.tags.length > 0 && (
+          <ul className="quote-tags" aria-label="Tags">
+            {quote.tags.map((tag) => (
+              <li key={tag} className="quote-tag">{tag}</li>
+            ))}
+          </ul>
+        )}
       </div>
       
       {onRefresh && (
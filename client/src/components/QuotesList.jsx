@@ -4,7 +4,7 @@ import { useQuotes } from '../hooks/useQuotes';
 import './QuotesList.css';
 
 function QuotesList() {
-  const { quotes, loading, error, pagination, searchQuotes, changePage } = useQuotes();
+  const { quotes, loading, error, pagination, searchQuotes, changePage, nextPage, prevPage } = useQuotes();
   const [searchTerm, setSearchTerm] = useState('');
   const [searchLoading, setSearchLoading] = useState(false);
 
@@ -18,8 +18,7 @@ function QuotesList() {
     }
   };
 
-  const handlePageChange = (newPage) => {
-    changePage(newPage);
+  const scrollToQuotes = () => {
     // Smooth scroll to top of quotes section
     document.querySelector('.quotes-section')?.scrollIntoView({ 
       behavior: 'smooth',
@@ -27,6 +26,17 @@ function QuotesList() {
     });
   };
 
+  const handlePageChange = (newPage) => {
+    changePage(newPage);
+    scrollToQuotes();
+  };
+
+  // Previous/Next follow cursors so they don't skip or repeat quotes
+  const handleStep = (step) => {
+    step();
+    scrollToQuotes();
+  };
+
   const generatePageNumbers = () => {
     const pages = [];
     const totalPages = pagination.totalPages;
@@ -148,8 +158,8 @@ function QuotesList() {
               
               <div className="pagination-controls">
                 <button
-                  onClick={() => handlePageChange(pagination.page - 1)}
-                  disabled={pagination.page === 1}
+                  onClick={() => handleStep(prevPage)}
+                  disabled={!pagination.prevCursor}
                   className="button button-outline pagination-btn"
                   title="Previous page"
                 >
@@ -180,8 +190,8 @@ function QuotesList() {
                 </div>
 
                 <button
-                  onClick={() => handlePageChange(pagination.page + 1)}
-                  disabled={pagination.page === pagination.totalPages}
+                  onClick={() => handleStep(nextPage)}
+                  disabled={!pagination.nextCursor}
                   className="button button-outline pagination-btn"
                   title="Next page"
                 >
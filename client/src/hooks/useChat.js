@@ -1,4 +1,4 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import { quotesApi } from '../services/api';
 
 const LANGUAGE_CONFIG = {
@@ -7,12 +7,32 @@ const LANGUAGE_CONFIG = {
   ckb: { name: 'کوردی', direction: 'rtl', code: 'ckb' }
 };
 
+// The quotes a reply cites as [1], [2], ..., numbered like contextQuoteIds
+async function loadCitedQuotes(content, contextQuoteIds) {
+  const numbers = [...new Set([...content.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])))]
+    .filter(number => number >= 1 && number <= contextQuoteIds.length)
+    .sort((a, b) => a - b);
+
+  return Promise.all(numbers.map(async number => {
+    const { quote } = await quotesApi.getQuoteById(contextQuoteIds[number - 1]);
+    return { number, quote };
+  }));
+}
+
 export function useChat() {
   const [messages, setMessages] = useState([]);
   const [isTyping, setIsTyping] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   const [language, setLanguage] = useState('en');
   const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const updateMessage = useCallback((id, changes) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, ...changes(msg) } : msg)));
+  }, []);
 
+  // The reply is streamed: the assistant message appears with the first
+  // chunk and grows as the rest arrive, until done, an error or cancel()
   const sendMessage = useCallback(async (messageText) => {
     if (!messageText.trim()) return;
 
@@ -25,8 +45,71 @@ export function useChat() {
 
     setMessages(prev => [...prev, userMessage]);
     setIsTyping(true);
+    setIsStreaming(true);
     setError(null);
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const aiMessageId = Date.now() + 1;
+    let started = false;
+    let reply = '';
+    let contextQuoteIds = [];
+
+    const startReply = () => {
+      if (started) return;
+      started = true;
+      setIsTyping(false);
+      setMessages(prev => [...prev, {
+        id: aiMessageId,
+        role: 'assistant',
+        content: '',
+        timestamp: new Date().toISOString(),
+        language,
+        direction: LANGUAGE_CONFIG[language].direction,
+        streaming: true,
+      }]);
+    };
+
+    const handleEvent = (event, data) => {
+      switch (event) {
+        case 'delta':
+          startReply();
+          reply += data.text;
+          updateMessage(aiMessageId, msg => ({ content: msg.content + data.text }));
+          break;
+        case 'quote':
+          // Include quote if fallback was used
+          updateMessage(aiMessageId, () => ({ quote: data.quote }));
+          break;
+        case 'done':
+          updateMessage(aiMessageId, () => ({
+            timestamp: data.timestamp,
+            language: data.language,
+            direction: data.direction,
+            provider: data.provider,
+            fallback: data.fallback,
+            contextQuoteIds: data.contextQuoteIds,
+          }));
+          contextQuoteIds = data.contextQuoteIds || [];
+
+          // Update document direction for RTL languages
+          if (data.direction) {
+            document.documentElement.setAttribute('dir', data.direction);
+          }
+          break;
+        case 'error':
+          startReply();
+          setError(data.message);
+          updateMessage(aiMessageId, msg => ({
+            content: msg.content || `Sorry, I encountered an error: ${data.message}. Please try again.`,
+            error: true,
+          }));
+          break;
+        default:
+          break;
+      }
+    };
+
     try {
       // Convert messages to API format (keep last 10 for context)
       const history = messages.slice(-10).map(msg => ({
@@ -34,43 +117,62 @@ export function useChat() {
         content: msg.content,
       }));
 
-      const response = await quotesApi.chat(messageText, language, history);
+      await quotesApi.chatStream(messageText, language, history, {
+        signal: controller.signal,
+        onEvent: handleEvent,
+      });
 
-      const aiMessage = {
-        id: Date.now() + 1,
-        role: 'assistant',
-        content: response.response,
-        timestamp: new Date().toISOString(),
-        language: response.language,
-        direction: response.direction,
-        provider: response.provider,
-        quote: response.quote, // Include quote if fallback was used
-        fallback: response.fallback,
-      };
+      // Show the collection quotes the reply cites as its sources
+      loadCitedQuotes(reply, contextQuoteIds)
+        .then(sources => {
+          if (sources.length > 0) {
+            updateMessage(aiMessageId, () => ({ sources }));
+          }
+        })
+        .catch(() => {
+          // The reply stands without its sources
+        });
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        // Cancelled by the user: keep whatever part of the reply arrived
+        if (started) {
+          updateMessage(aiMessageId, () => ({ cancelled: true }));
+        }
+      } else {
+        setError(err.message);
 
-      setMessages(prev => [...prev, aiMessage]);
+        const errorContent = `Sorry, I encountered an error: ${err.message}. Please try again.`;
+        if (started) {
+          updateMessage(aiMessageId, msg => ({ content: msg.content || errorContent, error: true }));
+        } else {
+          // Add error message to chat
+          const errorMessage = {
+            id: aiMessageId,
+            role: 'assistant',
+            content: errorContent,
+            timestamp: new Date().toISOString(),
+            error: true,
+          };
 
-      // Update document direction for RTL languages
-      if (response.direction) {
-        document.documentElement.setAttribute('dir', response.direction);
+          setMessages(prev => [...prev, errorMessage]);
+        }
       }
-    } catch (err) {
-      setError(err.message);
-      
-      // Add error message to chat
-      const errorMessage = {
-        id: Date.now() + 1,
-        role: 'assistant',
-        content: `Sorry, I encountered an error: ${err.message}. Please try again.`,
-        timestamp: new Date().toISOString(),
-        error: true,
-      };
-      
-      setMessages(prev => [...prev, errorMessage]);
     } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
+      updateMessage(aiMessageId, () => ({ streaming: false }));
       setIsTyping(false);
+      setIsStreaming(false);
     }
-  }, [messages, language]);
+  }, [messages, language, updateMessage]);
+
+  // Stops the reply being streamed, if any
+  const cancel = useCallback(() => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+    }
+  }, []);
 
   const changeLanguage = useCallback((newLanguage) => {
     if (LANGUAGE_CONFIG[newLanguage]) {
@@ -93,12 +195,13 @@ export function useChat() {
   }, []);
 
   const clearChat = useCallback(() => {
+    cancel();
     setMessages([]);
     setError(null);
     
     // Reset to LTR direction
     document.documentElement.setAttribute('dir', 'ltr');
-  }, []);
+  }, [cancel]);
 
   const getCurrentLanguageConfig = useCallback(() => {
     return LANGUAGE_CONFIG[language] || LANGUAGE_CONFIG.en;
@@ -107,9 +210,11 @@ export function useChat() {
   return {
     messages,
     isTyping,
+    isStreaming,
     language,
     error,
     sendMessage,
+    cancel,
     changeLanguage,
     clearChat,
     getCurrentLanguageConfig,
@@ -10,25 +10,50 @@ export function useQuotes() {
     limit: 12,
     total: 0,
     totalPages: 0,
+    nextCursor: null,
+    prevCursor: null,
   });
+  const [filters, setFilters] = useState({
+    contains: '',
+    tags: [],
+    tagMode: 'any',
+  });
+
+  // Only send the filters that are set so the query string stays clean
+  const buildFilterParams = (activeFilters) => {
+    const params = {};
+    if (activeFilters.contains) {
+      params.contains = activeFilters.contains;
+    }
+    if (activeFilters.tags.length > 0) {
+      params.tag = activeFilters.tags.join(',');
+      params.tagMode = activeFilters.tagMode;
+    }
+    return params;
+  };
 
-  const loadQuotes = async (params = {}) => {
+  const loadQuotes = async (params = {}, activeFilters = filters) => {
     setLoading(true);
     setError(null);
     
     try {
+      // A cursor replaces the page number
       const response = await quotesApi.getQuotes({
-        page: pagination.page,
+        ...(params.cursor ? {} : { page: pagination.page }),
         limit: pagination.limit,
+        ...buildFilterParams(activeFilters),
         ...params,
       });
       
       setQuotes(response.quotes);
       setPagination({
-        page: response.page,
+        // Cursor responses report an offset instead of a page
+        page: response.page || Math.floor(response.offset / response.limit) + 1,
         limit: response.limit,
         total: response.total,
-        totalPages: response.totalPages,
+        totalPages: response.totalPages || Math.ceil(response.total / response.limit),
+        nextCursor: response.nextCursor,
+        prevCursor: response.prevCursor,
       });
     } catch (err) {
       setError(err.message);
@@ -39,17 +64,26 @@ export function useQuotes() {
   };
 
   const searchQuotes = async (searchTerm, page = 1) => {
-    const params = {
-      page,
-      limit: pagination.limit,
+    const nextFilters = {
+      ...filters,
+      contains: searchTerm ? searchTerm.trim() : '',
     };
     
-    if (searchTerm && searchTerm.trim()) {
-      params.contains = searchTerm.trim();
-    }
-    
+    setFilters(nextFilters);
+    setPagination(prev => ({ ...prev, page }));
+    await loadQuotes({ page }, nextFilters);
+  };
+
+  const filterByTags = async (tags = [], tagMode = 'any', page = 1) => {
+    const nextFilters = {
+      ...filters,
+      tags,
+      tagMode,
+    };
+
+    setFilters(nextFilters);
     setPagination(prev => ({ ...prev, page }));
-    await loadQuotes(params);
+    await loadQuotes({ page }, nextFilters);
   };
 
   const changePage = async (newPage) => {
@@ -59,6 +93,19 @@ export function useQuotes() {
     }
   };
 
+  // Cursor paging keeps the next page stable while quotes are added or removed
+  const nextPage = async () => {
+    if (pagination.nextCursor) {
+      await loadQuotes({ cursor: pagination.nextCursor });
+    }
+  };
+
+  const prevPage = async () => {
+    if (pagination.prevCursor) {
+      await loadQuotes({ cursor: pagination.prevCursor });
+    }
+  };
+
   // Load initial quotes
   useEffect(() => {
     loadQuotes();
@@ -69,8 +116,12 @@ export function useQuotes() {
     loading,
     error,
     pagination,
+    filters,
     searchQuotes,
+    filterByTags,
     changePage,
+    nextPage,
+    prevPage,
     reload: loadQuotes,
   };
 }
@@ -104,4 +155,38 @@ export function useRandomQuote() {
     error,
     refresh: fetchRandomQuote,
   };
+}
+
+export function useQuoteOfTheDay() {
+  const [quote, setQuote] = useState(null);
+  const [date, setDate] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchQuoteOfTheDay = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await quotesApi.getQuoteOfTheDay();
+      setQuote(response.quote);
+      setDate(response.date);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchQuoteOfTheDay();
+  }, []);
+
+  return {
+    quote,
+    date,
+    loading,
+    error,
+    refresh: fetchQuoteOfTheDay,
+  };
 }
\ No newline at end of file
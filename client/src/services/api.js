@@ -45,10 +45,41 @@ async function apiCall(endpoint, options = {}) {
   }
 }
 
+// Calls onEvent(event, data) for each Server-Sent Event in a streamed response
+async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
 export const quotesApi = {
-  // Get random quote
-  async getRandomQuote() {
-    return apiCall('/v1/quote');
+  // Get random quote, optionally limited to tags
+  async getRandomQuote(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return apiCall(`/v1/quote${queryString ? `?${queryString}` : ''}`);
+  },
+
+  // Get the shared quote of the day
+  async getQuoteOfTheDay() {
+    return apiCall('/v1/quote/today');
   },
 
   // Get paginated quotes with optional search
@@ -63,6 +94,11 @@ export const quotesApi = {
     return apiCall(`/v1/quotes/${encodeURIComponent(id)}`);
   },
 
+  // Get tags with quote counts
+  async getTags() {
+    return apiCall('/v1/tags');
+  },
+
   // Chat with AI
   async chat(message, language = 'en', history = []) {
     return apiCall('/v1/chat', {
@@ -75,6 +111,38 @@ export const quotesApi = {
     });
   },
 
+  // Chat with AI, receiving the reply as it is written (delta, quote, done
+  // and error events); abort the signal to stop it mid-stream
+  async chatStream(message, language = 'en', history = [], { signal, onEvent }) {
+    let response;
+    try {
+      response = await fetch(`${API_BASE_URL}/v1/chat/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          message,
+          language,
+          history: history.slice(-10),
+        }),
+        signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new ApiError(error.message || 'Network error occurred', 0, null);
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw new ApiError(
+        (data && data.message) || `HTTP ${response.status}`,
+        response.status,
+        data
+      );
+    }
+
+    await readEvents(response, onEvent);
+  },
+
   // Get health status
   async getHealth() {
     return apiCall('/../health'); // Go up from /api to /health
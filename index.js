@@ -8,21 +8,38 @@ const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
 const path = require('path');
+const { Readable, pipeline } = require('stream');
 
 // Import services
 const QuotesService = require('./server/quotes');
 const ChatService = require('./server/chatService');
+const createAdminAuth = require('./server/adminAuth');
+const { createStorage } = require('./server/storage');
+const { authorSlug } = require('./server/quoteModel');
+const { isValidTimeZone, getDailyRotation, getPastDays } = require('./server/quoteOfTheDay');
+const { DEFAULT_LANGUAGE, isValidLanguageCode, parseAcceptLanguage, localizeQuote } = require('./server/i18n');
+const { MAX_SEED_LENGTH, isValidSeed, generateSeed } = require('./server/random');
+const { queryFingerprint, decodeCursor, pageCursors, buildLinkHeader } = require('./server/pagination');
+const { MEDIA_TYPES, negotiateFormat, formatQuotes } = require('./server/formatters');
+const { EXPORT_FORMATS, exportChunks } = require('./server/exporter');
+const { IMPORT_FORMATS, readImport, formatFromMediaType } = require('./server/importer');
+const { FEED_MEDIA_TYPES, feedId, buildFeedEntries, renderRss, renderAtom } = require('./server/feeds');
+const { DEFAULT_THRESHOLD } = require('./server/dedupe');
+const { NO_STORE, maxAgeUntil, sendNotModified } = require('./server/httpCache');
+const { createGraphqlHandler } = require('./server/graphql');
+const { startEventStream, sendEvent } = require('./server/sse');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const QUOTE_OF_THE_DAY_TIMEZONE = process.env.QUOTE_OF_THE_DAY_TIMEZONE || 'UTC';
 
 // Initialize services
 let quotesService;
 let chatService;
 
 try {
-    quotesService = new QuotesService();
+    quotesService = new QuotesService(null, { storage: createStorage() });
     chatService = new ChatService(quotesService);
 } catch (error) {
     console.error('Failed to initialize services:', error);
@@ -56,6 +73,185 @@ app.use(morgan(NODE_ENV === 'development' ? 'dev' : 'combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Reads ?tag=a,b (or repeated tag params) and ?tagMode=any|all
+function parseTagQuery(query) {
+    const errors = [];
+    const tags = [].concat(query.tag || []).join(',');
+    const tagMode = query.tagMode || 'any';
+
+    if (!['any', 'all'].includes(tagMode)) {
+        errors.push('tagMode must be one of: any, all');
+    }
+
+    return { tags, tagMode, errors };
+}
+
+const SORT_OPTIONS = ['author', 'length', 'id', 'relevance', 'random'];
+const MAX_EXCLUDED_IDS = 100;
+const MAX_RANDOM_COUNT = 50;
+const FEED_HISTORY_DAYS = 30;
+const FEED_RECENT_LIMIT = 20;
+
+// Reads ?author= as an author name or slug
+function parseAuthorQuery(query) {
+    const { author } = query;
+    if (author === undefined) {
+        return { author: undefined, errors: [] };
+    }
+    if (typeof author !== 'string' || author.trim().length === 0 || author.length > 200) {
+        return { author: undefined, errors: ['author must be a name or slug of at most 200 characters'] };
+    }
+    return { author, errors: [] };
+}
+
+// Reads ?exclude= as a comma-separated (or repeated) list of quote IDs
+function parseExcludeQuery(query) {
+    if (query.exclude === undefined) {
+        return { exclude: undefined, errors: [] };
+    }
+
+    const exclude = [].concat(query.exclude).join(',').split(',')
+        .map(id => id.trim())
+        .filter(id => id.length > 0);
+    if (exclude.length > MAX_EXCLUDED_IDS || !exclude.every(id => /^[A-Za-z0-9_-]{1,64}$/.test(id))) {
+        return { exclude: undefined, errors: [`exclude must be a comma-separated list of at most ${MAX_EXCLUDED_IDS} quote IDs`] };
+    }
+    return { exclude, errors: [] };
+}
+
+// Reads the structured filters of the quotes listing: author, minLength, maxLength and exclude
+function parseFilterQuery(query) {
+    const errors = [];
+    const filters = {};
+
+    const { author, errors: authorErrors } = parseAuthorQuery(query);
+    errors.push(...authorErrors);
+    if (author) {
+        filters.author = author;
+    }
+
+    ['minLength', 'maxLength'].forEach(name => {
+        if (query[name] === undefined) return;
+        if (typeof query[name] !== 'string' || !/^\d+$/.test(query[name])) {
+            errors.push(`${name} must be a non-negative integer`);
+        } else {
+            filters[name] = parseInt(query[name]);
+        }
+    });
+    if (filters.minLength !== undefined && filters.maxLength !== undefined && filters.minLength > filters.maxLength) {
+        errors.push('minLength must not be greater than maxLength');
+    }
+
+    const { exclude, errors: excludeErrors } = parseExcludeQuery(query);
+    errors.push(...excludeErrors);
+    if (exclude) {
+        filters.exclude = exclude;
+    }
+
+    return { filters, errors };
+}
+
+/**
+ * Reads sort, order and seed plus the structured filters of the quotes
+ * listing (see parseFilterQuery). A random sort without a seed gets a new
+ * one, which is echoed so the order can be repeated.
+ */
+function parseListQuery(query) {
+    const errors = [];
+    const { sort, order } = query;
+    let { seed } = query;
+
+    if (sort !== undefined && !SORT_OPTIONS.includes(sort)) {
+        errors.push(`sort must be one of: ${SORT_OPTIONS.join(', ')}`);
+    }
+    if (sort === 'relevance' && !query.q) {
+        errors.push('sort=relevance requires a q search');
+    }
+    if (order !== undefined && !['asc', 'desc'].includes(order)) {
+        errors.push('order must be one of: asc, desc');
+    }
+    if (seed !== undefined) {
+        if (!isValidSeed(seed)) {
+            errors.push(`seed must be a string of at most ${MAX_SEED_LENGTH} characters`);
+        } else if (sort !== 'random') {
+            errors.push('seed can only be used with sort=random');
+        }
+    } else if (sort === 'random') {
+        seed = generateSeed();
+    }
+
+    const { filters, errors: filterErrors } = parseFilterQuery(query);
+    errors.push(...filterErrors);
+
+    return { sort, order, seed, filters, errors };
+}
+
+// Reads ?lang= or, without it, the Accept-Language header (most preferred first)
+function parseLanguageQuery(req) {
+    const { lang } = req.query;
+
+    if (lang === undefined) {
+        return { languages: parseAcceptLanguage(req.get('Accept-Language')), errors: [] };
+    }
+    if (!isValidLanguageCode(lang)) {
+        return { languages: [], errors: ['lang must be a language code such as en, ar or ckb'] };
+    }
+    return { languages: [lang.toLowerCase()], errors: [] };
+}
+
+// Reads ?format=, which overrides the Accept header
+function parseFormatQuery(query) {
+    const { format } = query;
+    if (format === undefined) {
+        return { format: undefined, errors: [] };
+    }
+    if (typeof format !== 'string' || !MEDIA_TYPES[format]) {
+        return { format: undefined, errors: [`format must be one of: ${Object.keys(MEDIA_TYPES).join(', ')}`] };
+    }
+    return { format, errors: [] };
+}
+
+/**
+ * Sends body as JSON, or the quotes in the format picked by ?format= or the
+ * Accept header (see negotiateFormat). single renders one quote rather than
+ * a list, and meta (total, page, ...) is carried into the XML root element.
+ */
+function sendQuotes(req, res, { body, quotes, format, single = false, meta = {} }) {
+    const render = name => {
+        if (name === 'json') {
+            return res.json(body);
+        }
+        res.type(MEDIA_TYPES[name]).send(formatQuotes(quotes, name, { single, meta }));
+    };
+
+    if (format) {
+        return render(format);
+    }
+
+    res.vary('Accept');
+    const negotiated = negotiateFormat(req.get('Accept'));
+    if (negotiated) {
+        return render(negotiated);
+    }
+
+    // The validators describe a representation this client doesn't get
+    res.removeHeader('ETag');
+    res.removeHeader('Last-Modified');
+    res.set('Cache-Control', NO_STORE);
+    res.status(406).json({
+        error: 'Not Acceptable',
+        message: `Supported media types: ${Object.values(MEDIA_TYPES).join(', ')}`
+    });
+}
+
+// Conditional GET for responses that only depend on the collection (see server/httpCache)
+function collectionNotModified(req, res) {
+    return sendNotModified(req, res, {
+        version: quotesService.getVersion(),
+        lastModified: quotesService.getLastModified()
+    });
+}
+
 // Rate limiting
 const generalLimiter = rateLimit({
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -81,15 +277,18 @@ const chatLimiter = rateLimit({
 
 // Apply rate limiting to API routes
 app.use('/api', generalLimiter);
+app.use('/graphql', generalLimiter);
+
+// Write routes require the admin API key
+const requireAdmin = createAdminAuth();
 
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        quotes: {
-            total: quotesService.getCount()
-        },
+        quotes: quotesService.getStatus(),
+        chat: chatService.getStatus(),
         environment: NODE_ENV,
         version: require('./package.json').version
     });
@@ -113,9 +312,21 @@ app.get('/', (req, res) => {
             '/health': 'GET - Health check',
             '/docs': 'GET - API documentation',
             '/api/v1/quote': 'GET - Returns a random quote',
-            '/api/v1/quotes': 'GET - Returns paginated quotes with optional search',
-            '/api/v1/quotes/:id': 'GET - Returns a specific quote by ID',
-            '/api/v1/chat': 'POST - AI chat endpoint'
+            '/api/v1/quote/today': 'GET - Returns the quote of the day',
+            '/api/v1/quotes': 'GET - Returns paginated quotes with optional search (POST with admin key)',
+            '/api/v1/quotes/:id': 'GET - Returns a specific quote by ID (PUT, PATCH, DELETE with admin key)',
+            '/api/v1/quotes/export': 'GET - Downloads the collection as JSON, NDJSON or CSV',
+            '/api/v1/quotes/import': 'POST - Imports quotes from CSV, JSONL or JSON (admin key)',
+            '/api/v1/quotes/duplicates': 'GET - Reports exact and near duplicate quotes (admin key)',
+            '/api/v1/tags': 'GET - Returns all tags with quote counts',
+            '/api/v1/authors': 'GET - Returns paginated authors with quote counts',
+            '/api/v1/authors/:slug': 'GET - Returns an author',
+            '/api/v1/authors/:slug/quotes': 'GET - Returns paginated quotes by an author',
+            '/api/v1/feed.rss': 'GET - RSS feed of the quote of the day and new quotes',
+            '/api/v1/feed.atom': 'GET - Atom feed of the quote of the day and new quotes',
+            '/api/v1/chat': 'POST - AI chat endpoint',
+            '/api/v1/chat/stream': 'POST - AI chat endpoint streaming the reply as Server-Sent Events',
+            '/graphql': 'GET, POST - GraphQL queries for quotes, authors and tags, and the chat mutation'
         }
     });
 });
@@ -123,10 +334,52 @@ app.get('/', (req, res) => {
 // API v1 routes
 app.get('/api/v1/quote', (req, res) => {
     try {
-        const quote = quotesService.getRandomQuote();
-        res.json({
-            quote,
-            timestamp: new Date().toISOString()
+        const { count, seed } = req.query;
+        const { tags, tagMode, errors } = parseTagQuery(req.query);
+        const { languages, errors: languageErrors } = parseLanguageQuery(req);
+        const { exclude, errors: excludeErrors } = parseExcludeQuery(req.query);
+        const { format, errors: formatErrors } = parseFormatQuery(req.query);
+        errors.push(...languageErrors, ...excludeErrors, ...formatErrors);
+        if (count !== undefined && (typeof count !== 'string' || !/^\d+$/.test(count) ||
+            parseInt(count) < 1 || parseInt(count) > MAX_RANDOM_COUNT)) {
+            errors.push(`count must be an integer between 1 and ${MAX_RANDOM_COUNT}`);
+        }
+        if (seed !== undefined && !isValidSeed(seed)) {
+            errors.push(`seed must be a string of at most ${MAX_SEED_LENGTH} characters`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid request parameters',
+                details: errors
+            });
+        }
+
+        res.set('Cache-Control', NO_STORE);
+        res.vary('Accept-Language');
+        const result = quotesService.getRandomQuotes({ tags, tagMode, exclude }, {
+            count: count === undefined ? 1 : parseInt(count),
+            seed
+        });
+        if (result.quotes.length === 0) {
+            return res.status(404).json({
+                error: 'Quote not found',
+                message: tags ? `No quotes found with tag: ${tags}` : 'No quotes left to choose from'
+            });
+        }
+
+        const quotes = result.quotes.map(quote => localizeQuote(quote, languages));
+        // Without count the response keeps its original single-quote shape
+        sendQuotes(req, res, {
+            body: {
+                ...(count === undefined ? { quote: quotes[0] } : { quotes, count: quotes.length }),
+                seed: result.seed,
+                timestamp: new Date().toISOString()
+            },
+            quotes,
+            format,
+            single: count === undefined,
+            meta: { count: quotes.length, seed: result.seed }
         });
     } catch (error) {
         console.error('Error getting random quote:', error);
@@ -137,22 +390,140 @@ app.get('/api/v1/quote', (req, res) => {
     }
 });
 
+app.get('/api/v1/quote/today', (req, res) => {
+    try {
+        const timezone = req.query.tz || QUOTE_OF_THE_DAY_TIMEZONE;
+        const { languages, errors } = parseLanguageQuery(req);
+        const { format, errors: formatErrors } = parseFormatQuery(req.query);
+        errors.push(...formatErrors);
+
+        if (!isValidTimeZone(timezone)) {
+            errors.unshift(`Unknown timezone: ${timezone}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid request parameters',
+                details: errors
+            });
+        }
+
+        const now = new Date();
+        const { date, start, nextRotation } = getDailyRotation(timezone, now);
+
+        // Everyone gets the same quote until midnight, so let caches keep it until then
+        res.set('Expires', nextRotation.toUTCString());
+        const notModified = sendNotModified(req, res, {
+            version: `${quotesService.getVersion()}:${date}`,
+            lastModified: new Date(Math.max(start.getTime(), quotesService.getLastModified().getTime())),
+            cacheControl: `public, max-age=${maxAgeUntil(nextRotation, now)}`
+        });
+        if (notModified) return;
+
+        const quote = quotesService.getQuoteOfTheDay(date);
+        const localized = localizeQuote(quote, languages);
+        sendQuotes(req, res, {
+            body: {
+                quote: localized,
+                date,
+                timezone,
+                nextRotation: nextRotation.toISOString(),
+                timestamp: now.toISOString()
+            },
+            quotes: [localized],
+            format,
+            single: true
+        });
+    } catch (error) {
+        console.error('Error getting quote of the day:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve quote of the day'
+        });
+    }
+});
+
 app.get('/api/v1/quotes', (req, res) => {
     try {
-        const { contains, page = 1, limit = 10 } = req.query;
+        const { contains, q, page = 1, limit = 10 } = req.query;
         
         // Validate pagination parameters
         const pageNum = Math.max(1, parseInt(page) || 1);
         const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
 
+        const { tags, tagMode, errors } = parseTagQuery(req.query);
+        if (q !== undefined && (typeof q !== 'string' || q.length > 200)) {
+            errors.push('q must be a search query of at most 200 characters');
+        }
+        const { languages, errors: languageErrors } = parseLanguageQuery(req);
+        const { format, errors: formatErrors } = parseFormatQuery(req.query);
+        const listQuery = parseListQuery(req.query);
+        const { sort, order, filters, errors: listErrors } = listQuery;
+        let { seed } = listQuery;
+        errors.push(...languageErrors, ...formatErrors, ...listErrors);
+
+        const allFilters = { contains, tags, tagMode, ...filters };
+        // A cursor only continues the listing it came from
+        const fingerprint = queryFingerprint({ q, ...allFilters, sort, order });
+        let cursor = null;
+        if (req.query.cursor !== undefined) {
+            cursor = decodeCursor(req.query.cursor);
+            if (!cursor || cursor.fingerprint !== fingerprint ||
+                (req.query.seed !== undefined && cursor.seed !== req.query.seed)) {
+                errors.push('cursor is invalid or belongs to a different query');
+            } else if (cursor.seed !== undefined) {
+                seed = cursor.seed;
+            }
+            if (req.query.page !== undefined) {
+                errors.push('cursor cannot be combined with page');
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid request parameters',
+                details: errors
+            });
+        }
+
+        // Without a seed (or a cursor carrying one) the random order is new on every request
+        if (sort === 'random' && req.query.seed === undefined && !cursor) {
+            res.set('Cache-Control', NO_STORE);
+        } else if (collectionNotModified(req, res)) {
+            return;
+        }
+
+        const sortOptions = { sort, order, seed };
+        const context = { fingerprint, ...(sort === 'random' && { seed }) };
+
+        // q enables ranked search (phrases, field prefixes, typo tolerance)
         let result;
-        if (contains) {
-            result = quotesService.searchQuotes(contains, pageNum, limitNum);
+        if (cursor) {
+            result = quotesService.findQuotesByCursor(q, allFilters, sortOptions, { cursor, limit: limitNum, context });
+            if (sort === 'random') result.seed = seed;
         } else {
-            result = quotesService.getPaginatedQuotes(pageNum, limitNum);
+            result = q
+                ? quotesService.rankQuotes(q, allFilters, pageNum, limitNum, sortOptions)
+                : quotesService.findQuotes(allFilters, pageNum, limitNum, sortOptions);
+            Object.assign(result, pageCursors(result.quotes, (pageNum - 1) * limitNum, result.total, context));
+        }
+
+        const link = buildLinkHeader(req.path, { ...req.query, ...(sort === 'random' && { seed }) }, result);
+        if (link) {
+            res.set('Link', link);
         }
 
-        res.json(result);
+        res.vary('Accept-Language');
+        const quotes = result.quotes.map(quote => {
+            const localized = localizeQuote(quote, languages);
+            // Highlight ranges point into the original text, drop them for translations
+            if (localized.match && localized.language !== DEFAULT_LANGUAGE) {
+                localized.match = { score: localized.match.score };
+            }
+            return localized;
+        });
+        sendQuotes(req, res, { body: { ...result, quotes }, quotes, format, meta: result });
     } catch (error) {
         console.error('Error getting quotes:', error);
         res.status(500).json({
@@ -162,9 +533,88 @@ app.get('/api/v1/quotes', (req, res) => {
     }
 });
 
+// Streams the collection, or the quotes matching the filters, as a download
+app.get('/api/v1/quotes/export', (req, res) => {
+    try {
+        const { contains, format = 'json' } = req.query;
+        const { tags, tagMode, errors } = parseTagQuery(req.query);
+        const { filters, errors: filterErrors } = parseFilterQuery(req.query);
+        errors.push(...filterErrors);
+        // Checked up front: once the download has started, errors can't be reported
+        if (contains !== undefined && typeof contains !== 'string') {
+            errors.push('contains must be a single search string');
+        }
+        if (!EXPORT_FORMATS[format]) {
+            errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid request parameters',
+                details: errors
+            });
+        }
+
+        const exportedAt = new Date().toISOString();
+        const { type, extension } = EXPORT_FORMATS[format];
+        res.attachment(`quotes-${exportedAt.slice(0, 10)}.${extension}`);
+        res.set('Content-Type', `${type}; charset=utf-8`);
+
+        const quotes = quotesService.iterateQuotes({ contains, tags, tagMode, ...filters });
+        pipeline(Readable.from(exportChunks(quotes, format, { exportedAt })), res, error => {
+            // Headers are gone by now, so a failure can only cut the download short
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('Error exporting quotes:', error);
+            }
+        });
+    } catch (error) {
+        console.error('Error exporting quotes:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to export quotes'
+        });
+    }
+});
+
+// Report of exact and near duplicate quotes, including misattributed ones
+app.get('/api/v1/quotes/duplicates', requireAdmin, (req, res) => {
+    try {
+        let threshold = DEFAULT_THRESHOLD;
+        if (req.query.threshold !== undefined) {
+            threshold = Number(req.query.threshold);
+            if (String(req.query.threshold).trim() === '' || !(threshold >= 0 && threshold <= 1)) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    message: 'Invalid request parameters',
+                    details: ['threshold must be a number between 0 and 1']
+                });
+            }
+        }
+
+        res.json(quotesService.findDuplicates({ threshold }));
+    } catch (error) {
+        console.error('Error finding duplicate quotes:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to find duplicate quotes'
+        });
+    }
+});
+
 app.get('/api/v1/quotes/:id', (req, res) => {
     try {
         const { id } = req.params;
+        const { languages, errors } = parseLanguageQuery(req);
+        const { format, errors: formatErrors } = parseFormatQuery(req.query);
+        errors.push(...formatErrors);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid request parameters',
+                details: errors
+            });
+        }
+
         const quote = quotesService.getQuoteById(id);
         
         if (!quote) {
@@ -173,8 +623,13 @@ app.get('/api/v1/quotes/:id', (req, res) => {
                 message: `No quote found with ID: ${id}`
             });
         }
+        if (collectionNotModified(req, res)) {
+            return;
+        }
 
-        res.json({ quote });
+        res.vary('Accept-Language');
+        const localized = localizeQuote(quote, languages);
+        sendQuotes(req, res, { body: { quote: localized }, quotes: [localized], format, single: true });
     } catch (error) {
         console.error('Error getting quote by ID:', error);
         res.status(500).json({
@@ -184,6 +639,311 @@ app.get('/api/v1/quotes/:id', (req, res) => {
     }
 });
 
+app.post('/api/v1/quotes', requireAdmin, async (req, res) => {
+    try {
+        const validationErrors = quotesService.validateQuoteInput(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid quote',
+                details: validationErrors
+            });
+        }
+
+        const quote = await quotesService.createQuote(req.body);
+        res.status(201).location(`/api/v1/quotes/${encodeURIComponent(quote.id)}`).json({ quote });
+    } catch (error) {
+        if (error.code === 'DUPLICATE_ID') {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: error.message
+            });
+        }
+
+        console.error('Error creating quote:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to save quote'
+        });
+    }
+});
+
+/**
+ * Bulk import from a CSV, JSONL (application/x-ndjson) or JSON body. CSV and
+ * JSONL bodies are read as they stream in; JSON goes through the JSON parser.
+ */
+app.post('/api/v1/quotes/import', requireAdmin, async (req, res) => {
+    try {
+        const { strategy = 'merge', dryRun = 'false' } = req.query;
+        const format = req.query.format || formatFromMediaType(req.get('Content-Type'));
+        const errors = [];
+        if (!IMPORT_FORMATS.includes(format)) {
+            errors.push(`format must be one of: ${IMPORT_FORMATS.join(', ')} (or send a text/csv, application/x-ndjson or application/json body)`);
+        }
+        if (!['merge', 'replace'].includes(strategy)) {
+            errors.push('strategy must be one of: merge, replace');
+        }
+        if (!['true', 'false'].includes(dryRun)) {
+            errors.push('dryRun must be true or false');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid request parameters',
+                details: errors
+            });
+        }
+
+        // express.json has already parsed JSON bodies
+        const source = req.body !== undefined ? req.body : req;
+        const entries = await readImport(source, format);
+        const report = await quotesService.importQuotes(entries, { strategy, dryRun: dryRun === 'true' });
+
+        if (strategy === 'replace' && !report.dryRun && !report.applied) {
+            return res.status(422).json({
+                error: 'Import rejected',
+                message: 'A replace import needs at least one valid quote and no invalid rows',
+                report
+            });
+        }
+        res.json(report);
+    } catch (error) {
+        if (error.code === 'INVALID_IMPORT') {
+            return res.status(400).json({
+                error: 'Invalid import',
+                message: error.message
+            });
+        }
+
+        console.error('Error importing quotes:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to import quotes'
+        });
+    }
+});
+
+// PUT replaces the quote, PATCH only changes the fields that are sent
+const updateQuoteHandler = (partial) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        const validationErrors = quotesService.validateQuoteInput(req.body, { partial });
+        if (req.body && req.body.id !== undefined && req.body.id !== id) {
+            validationErrors.push('ID in the body must match the URL');
+        }
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid quote',
+                details: validationErrors
+            });
+        }
+
+        const quote = await quotesService.updateQuote(id, req.body, { partial });
+        if (!quote) {
+            return res.status(404).json({
+                error: 'Quote not found',
+                message: `No quote found with ID: ${id}`
+            });
+        }
+
+        res.json({ quote });
+    } catch (error) {
+        console.error('Error updating quote:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to save quote'
+        });
+    }
+};
+
+app.put('/api/v1/quotes/:id', requireAdmin, updateQuoteHandler(false));
+app.patch('/api/v1/quotes/:id', requireAdmin, updateQuoteHandler(true));
+
+app.delete('/api/v1/quotes/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const quote = await quotesService.deleteQuote(id);
+
+        if (!quote) {
+            return res.status(404).json({
+                error: 'Quote not found',
+                message: `No quote found with ID: ${id}`
+            });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting quote:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to delete quote'
+        });
+    }
+});
+
+/**
+ * RSS and Atom feeds with the quote of the day for the last days and the
+ * newest quotes, optionally limited to a tag or author
+ */
+const feedHandler = (format) => (req, res) => {
+    try {
+        const { tags, tagMode, errors } = parseTagQuery(req.query);
+        const { author, errors: authorErrors } = parseAuthorQuery(req.query);
+        const timezone = req.query.tz || QUOTE_OF_THE_DAY_TIMEZONE;
+        errors.push(...authorErrors);
+        if (!isValidTimeZone(timezone)) {
+            errors.push(`Unknown timezone: ${timezone}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid request parameters',
+                details: errors
+            });
+        }
+
+        const filters = { tags, tagMode, author };
+        const now = new Date();
+        const daily = getPastDays(timezone, FEED_HISTORY_DAYS, now)
+            .map(({ date, start }) => ({ date, start, quote: quotesService.getQuoteOfTheDay(date, filters) }))
+            .filter(({ quote }) => quote);
+        const recent = quotesService.getRecentQuotes(filters, FEED_RECENT_LIMIT);
+
+        const knownAuthor = author && quotesService.getAuthor(authorSlug(author));
+        const authorName = knownAuthor ? knownAuthor.name : author;
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        const entries = buildFeedEntries({ daily, recent }, baseUrl);
+        const feed = {
+            id: feedId(filters),
+            title: ['Random Quotes', tags && `tagged ${tags}`, author && `by ${authorName}`].filter(Boolean).join(' '),
+            description: 'Quote of the day and newly added quotes',
+            link: baseUrl,
+            selfLink: `${baseUrl}${req.originalUrl}`,
+            updated: now.toISOString()
+        };
+
+        res.type(FEED_MEDIA_TYPES[format]);
+        res.send(format === 'rss' ? renderRss(feed, entries) : renderAtom(feed, entries));
+    } catch (error) {
+        console.error('Error building feed:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to build feed'
+        });
+    }
+};
+
+app.get('/api/v1/feed.rss', feedHandler('rss'));
+app.get('/api/v1/feed.atom', feedHandler('atom'));
+
+app.get('/api/v1/tags', (req, res) => {
+    try {
+        if (collectionNotModified(req, res)) {
+            return;
+        }
+
+        const tags = quotesService.getTagCounts();
+        res.json({
+            tags,
+            total: tags.length
+        });
+    } catch (error) {
+        console.error('Error getting tags:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve tags'
+        });
+    }
+});
+
+app.get('/api/v1/authors', (req, res) => {
+    try {
+        const { contains, page = 1, limit = 10 } = req.query;
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+        if (collectionNotModified(req, res)) {
+            return;
+        }
+
+        res.json(quotesService.getAuthors({ contains }, pageNum, limitNum));
+    } catch (error) {
+        console.error('Error getting authors:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve authors'
+        });
+    }
+});
+
+app.get('/api/v1/authors/:slug', (req, res) => {
+    try {
+        const { slug } = req.params;
+        const author = quotesService.getAuthor(slug);
+
+        if (!author) {
+            return res.status(404).json({
+                error: 'Author not found',
+                message: `No author found with slug: ${slug}`
+            });
+        }
+        if (collectionNotModified(req, res)) {
+            return;
+        }
+
+        res.json({ author });
+    } catch (error) {
+        console.error('Error getting author:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve author'
+        });
+    }
+});
+
+app.get('/api/v1/authors/:slug/quotes', (req, res) => {
+    try {
+        const { slug } = req.params;
+        const { page = 1, limit = 10 } = req.query;
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+
+        const { languages, errors } = parseLanguageQuery(req);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid request parameters',
+                details: errors
+            });
+        }
+
+        const author = quotesService.getAuthor(slug);
+        if (!author) {
+            return res.status(404).json({
+                error: 'Author not found',
+                message: `No author found with slug: ${slug}`
+            });
+        }
+        if (collectionNotModified(req, res)) {
+            return;
+        }
+
+        const result = quotesService.getAuthorQuotes(slug, pageNum, limitNum);
+        res.vary('Accept-Language');
+        res.json({
+            author,
+            ...result,
+            quotes: result.quotes.map(quote => localizeQuote(quote, languages))
+        });
+    } catch (error) {
+        console.error('Error getting author quotes:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve quotes'
+        });
+    }
+});
+
 // AI Chat endpoint with stricter rate limiting
 app.post('/api/v1/chat', chatLimiter, async (req, res) => {
     try {
@@ -209,7 +969,10 @@ app.post('/api/v1/chat', chatLimiter, async (req, res) => {
             provider: response.provider,
             timestamp: new Date().toISOString(),
             ...(response.quote && { quote: response.quote }),
-            ...(response.error && { fallback: true })
+            ...(response.contextQuoteIds && { contextQuoteIds: response.contextQuoteIds }),
+            ...((response.error || response.reason) && { fallback: true }),
+            ...(response.reason && { fallbackReason: response.reason }),
+            ...(response.skipped && { skipped: response.skipped })
         });
     } catch (error) {
         console.error('Chat endpoint error:', error);
@@ -220,6 +983,62 @@ app.post('/api/v1/chat', chatLimiter, async (req, res) => {
     }
 });
 
+// Streaming AI chat: the reply as Server-Sent Events (delta, quote, done, error)
+app.post('/api/v1/chat/stream', chatLimiter, async (req, res) => {
+    // req.body is undefined when the request has no JSON body
+    const body = req.body || {};
+    const { message, language = 'en', history = [] } = body;
+
+    const validationErrors = chatService.validateChatRequest(body);
+    if (validationErrors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Invalid request parameters',
+            details: validationErrors
+        });
+    }
+
+    // Stop generating when the client goes away or cancels
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    startEventStream(res);
+    try {
+        for await (const { event, data } of chatService.streamResponse(message, language, history, { signal: controller.signal })) {
+            if (event !== 'done') {
+                sendEvent(res, event, data);
+                continue;
+            }
+            const { reason, skipped, error, ...fields } = data;
+            sendEvent(res, 'done', {
+                ...fields,
+                timestamp: new Date().toISOString(),
+                ...((error || reason) && { fallback: true }),
+                ...(reason && { fallbackReason: reason }),
+                ...(skipped && { skipped })
+            });
+        }
+    } catch (error) {
+        console.error('Chat stream error:', error);
+        sendEvent(res, 'error', {
+            error: 'Internal server error',
+            message: 'Failed to generate chat response'
+        });
+    }
+    res.end();
+});
+
+// GraphQL endpoint (queries with GET or POST, the chat mutation with POST)
+const graphqlHandler = createGraphqlHandler({
+    quotesService,
+    chatService,
+    chatLimiter,
+    maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH) || undefined,
+    maxComplexity: parseInt(process.env.GRAPHQL_MAX_COMPLEXITY) || undefined
+});
+app.get('/graphql', graphqlHandler);
+app.post('/graphql', graphqlHandler);
+
 // Backward compatibility routes (deprecated but maintained)
 app.get('/quote', (req, res) => {
     res.redirect(301, '/api/v1/quote');
@@ -246,29 +1065,42 @@ app.use((error, req, res, next) => {
     });
 });
 
-// Graceful shutdown
-const server = app.listen(PORT, () => {
-    console.log(`Random Quotes Server is running on port ${PORT}`);
-    console.log(`Environment: ${NODE_ENV}`);
-    console.log(`Visit http://localhost:${PORT} to get started`);
-    console.log(`API Documentation: http://localhost:${PORT}/docs`);
-});
+// Start the server only when run directly, so tests can load the app without binding a port
+if (require.main === module) {
+    const server = app.listen(PORT, () => {
+        console.log(`Random Quotes Server is running on port ${PORT}`);
+        console.log(`Environment: ${NODE_ENV}`);
+        console.log(`Visit http://localhost:${PORT} to get started`);
+        console.log(`API Documentation: http://localhost:${PORT}/docs`);
+    });
+
+    // Pick up edits to the quotes file without a restart
+    if (process.env.QUOTES_WATCH !== 'false') {
+        quotesService.watch({
+            interval: parseInt(process.env.QUOTES_WATCH_INTERVAL_MS) || 1000
+        });
+    }
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM received. Shutting down gracefully...');
-    server.close(() => {
-        console.log('Server closed.');
-        process.exit(0);
+    // Handle graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('SIGTERM received. Shutting down gracefully...');
+        quotesService.unwatch();
+        quotesService.storage.close();
+        server.close(() => {
+            console.log('Server closed.');
+            process.exit(0);
+        });
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('SIGINT received. Shutting down gracefully...');
-    server.close(() => {
-        console.log('Server closed.');
-        process.exit(0);
+    process.on('SIGINT', () => {
+        console.log('SIGINT received. Shutting down gracefully...');
+        quotesService.unwatch();
+        quotesService.storage.close();
+        server.close(() => {
+            console.log('Server closed.');
+            process.exit(0);
+        });
     });
-});
+}
 
 module.exports = app;
\ No newline at end of file
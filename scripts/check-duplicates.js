@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Checks the configured store for exact and near duplicate quotes
+ *
+ * Usage: node scripts/check-duplicates.js [--threshold=0.8] [--json]
+ * Prints every duplicate group (or the full report as JSON) and exits with 1
+ * when any group is found, so it can guard a CI step or a commit.
+ */
+require('dotenv').config();
+const QuotesService = require('../server/quotes');
+const { createStorage } = require('../server/storage');
+const { DEFAULT_THRESHOLD } = require('../server/dedupe');
+
+function parseArgs(argv) {
+  const options = { threshold: DEFAULT_THRESHOLD, json: false };
+  argv.forEach(arg => {
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg.startsWith('--threshold=')) {
+      const value = arg.slice('--threshold='.length);
+      options.threshold = Number(value);
+      if (value.trim() === '' || !(options.threshold >= 0 && options.threshold <= 1)) {
+        throw new Error('--threshold must be a number between 0 and 1');
+      }
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  });
+  return options;
+}
+
+function formatReport(report) {
+  const lines = report.groups.map((group, index) => {
+    const heading = `Group ${index + 1}: ${group.kind} (similarity ${group.similarity})` +
+      (group.misattributed ? `, misattributed to ${group.authors.join(', ')}` : '');
+    const quotes = group.quotes.map(quote => `  ${quote.id}  "${quote.text}" - ${quote.author}`);
+    return [heading, ...quotes].join('\n');
+  });
+
+  const { groups, exact, near, misattributed } = report.summary;
+  lines.push(groups === 0
+    ? `No duplicates among ${report.total} quotes (threshold ${report.threshold})`
+    : `${groups} duplicate groups among ${report.total} quotes: ${exact} exact, ${near} near, ${misattributed} misattributed (threshold ${report.threshold})`);
+  return lines.join('\n\n');
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const quotesService = new QuotesService(null, { storage: createStorage() });
+  const report = quotesService.findDuplicates({ threshold: options.threshold });
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  quotesService.storage.close();
+  process.exit(report.summary.groups > 0 ? 1 : 0);
+}
+
+module.exports = { parseArgs, formatReport };
@@ -0,0 +1,11 @@
+#!/bin/sh
+# Seeds QUOTES_FILE from the bundled quotes.json when it does not exist yet,
+# such as on the first start with an empty /data volume, then runs the command
+set -e
+
+if [ -n "$QUOTES_FILE" ] && [ ! -e "$QUOTES_FILE" ]; then
+  mkdir -p "$(dirname "$QUOTES_FILE")"
+  cp /app/quotes.json "$QUOTES_FILE"
+fi
+
+exec "$@"
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Imports quotes from a CSV, JSONL or JSON file into the configured store
+ *
+ * Usage: node scripts/import-quotes.js <file> [--format=csv|jsonl|ndjson|json]
+ *        [--strategy=merge|replace] [--dry-run]
+ * The format defaults to the file extension. Prints a line for every row that
+ * was not imported and exits with 1 when any row was invalid or nothing could
+ * be applied.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const QuotesService = require('../server/quotes');
+const { createStorage } = require('../server/storage');
+const { readImport, formatFromFileName } = require('../server/importer');
+
+function parseArgs(argv) {
+  const options = { strategy: 'merge', dryRun: false };
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg.startsWith('--strategy=')) {
+      options.strategy = arg.slice('--strategy='.length);
+    } else if (!arg.startsWith('--')) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  });
+
+  if (!options.file) {
+    throw new Error('Usage: import-quotes <file> [--format=csv|jsonl|ndjson|json] [--strategy=merge|replace] [--dry-run]');
+  }
+  if (!['merge', 'replace'].includes(options.strategy)) {
+    throw new Error('--strategy must be merge or replace');
+  }
+  options.format = options.format || formatFromFileName(options.file);
+  return options;
+}
+
+async function importFile({ file, format, strategy, dryRun }, quotesService) {
+  const entries = await readImport(fs.createReadStream(file), format);
+  return quotesService.importQuotes(entries, { strategy, dryRun });
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const quotesService = new QuotesService(null, { storage: createStorage() });
+  importFile(options, quotesService)
+    .then(report => {
+      report.rows
+        .filter(row => row.status !== 'accepted')
+        .forEach(row => console.log(`Row ${row.row}: ${row.status} - ${row.reason}`));
+
+      const { total, accepted, duplicate, invalid } = report.summary;
+      const outcome = report.dryRun ? 'Dry run, nothing written' : report.applied ? 'Imported' : 'Nothing imported';
+      console.log(`${outcome}: ${accepted} accepted, ${duplicate} duplicate, ${invalid} invalid of ${total} rows (${options.strategy})`);
+
+      quotesService.storage.close();
+      process.exit(invalid > 0 || (!report.dryRun && !report.applied && total > 0) ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Import failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, importFile };
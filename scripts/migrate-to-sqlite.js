@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Imports a quotes JSON file into the SQLite store, replacing its contents
+ *
+ * Usage: node scripts/migrate-to-sqlite.js [quotes.json] [quotes.db]
+ * Defaults to QUOTES_FILE / SQLITE_PATH, then quotes.json and data/quotes.db.
+ */
+require('dotenv').config();
+const {
+  JsonFileStorage,
+  SqliteStorage,
+  DEFAULT_QUOTES_FILE,
+  DEFAULT_SQLITE_FILE
+} = require('../server/storage');
+
+async function migrate(quotesPath, sqlitePath) {
+  const source = new JsonFileStorage(quotesPath, { validation: process.env.QUOTES_VALIDATION });
+  source.load();
+  const quotes = source.all();
+
+  const target = new SqliteStorage(sqlitePath);
+  target.load();
+  try {
+    await target.replaceAll(quotes);
+  } finally {
+    target.close();
+  }
+
+  return quotes.length;
+}
+
+if (require.main === module) {
+  const quotesPath = process.argv[2] || process.env.QUOTES_FILE || DEFAULT_QUOTES_FILE;
+  const sqlitePath = process.argv[3] || process.env.SQLITE_PATH || DEFAULT_SQLITE_FILE;
+
+  migrate(quotesPath, sqlitePath)
+    .then(total => {
+      console.log(`Imported ${total} quotes from ${quotesPath} into ${sqlitePath}`);
+    })
+    .catch(error => {
+      console.error('Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = migrate;
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+/**
+ * Express middleware guarding admin routes with a shared API key
+ * The key is read from ADMIN_API_KEY and sent as "Authorization: Bearer <key>"
+ * or "X-API-Key: <key>". Admin routes are disabled while no key is configured.
+ */
+function createAdminAuth(apiKey = process.env.ADMIN_API_KEY) {
+  // Compare digests so the check takes the same time whatever the input length
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  const expected = apiKey ? digest(apiKey) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({
+        error: 'Admin API disabled',
+        message: 'Set ADMIN_API_KEY to enable quote management'
+      });
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const provided = authorization.startsWith('Bearer ')
+      ? authorization.slice('Bearer '.length).trim()
+      : req.get('X-API-Key');
+
+    if (!provided || !crypto.timingSafeEqual(digest(provided), expected)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid admin API key is required'
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = createAdminAuth;
@@ -1,44 +1,52 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { localizeQuote } = require('./i18n');
+const { createProviderChain } = require('./providers');
+
+// How many quotes the AI is given, and how many of the user's earlier
+// messages help choose them
+const CONTEXT_QUOTES = 3;
+const CONTEXT_TURNS = 3;
 
 /**
  * Chat service with AI integration and multilingual support
- * Supports Gemini AI with fallback for missing API keys
+ * The AI providers are tried in the order of AI_PROVIDERS (or AI_PROVIDER
+ * alone, see providers); without one configured, or when none answers,
+ * the chat answers with a quote.
  * Languages: English (en), Arabic (ar), Sorani Kurdish (ckb)
  */
 class ChatService {
   constructor(quotesService) {
     this.quotesService = quotesService;
-    this.provider = process.env.AI_PROVIDER || 'gemini';
     this.initializeProviders();
   }
 
   initializeProviders() {
-    // Initialize Gemini
-    if (process.env.GEMINI_API_KEY) {
-      try {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.geminiModel = this.genAI.getGenerativeModel({ 
-          model: process.env.GEMINI_MODEL || 'gemini-1.5-flash' 
-        });
-        console.log('Gemini AI initialized successfully');
-      } catch (error) {
-        console.error('Failed to initialize Gemini:', error);
-        this.genAI = null;
-      }
-    } else {
-      console.log('GEMINI_API_KEY not found, using fallback responses');
-      this.genAI = null;
-    }
+    const { names, providers, chain } = createProviderChain();
+    this.providerNames = names;
+    this.provider = names[0];
+    this.aiProviders = providers;
+    // Holds only the configured providers, so with none every answer is a fallback
+    this.chain = chain;
+  }
 
-    // TODO: Initialize OpenAI and Azure (for future use)
-    // Keep stubs for backward compatibility
-    this.openAI = null;
-    this.azureOpenAI = null;
+  /**
+   * The providers in chain order with their circuit state, and the one
+   * that would answer next, for the health check
+   */
+  getStatus() {
+    const chainStatus = new Map(this.chain.status().map(status => [status.name, status]));
+    const providers = this.providerNames.map(name => {
+      if (name === 'fallback') return { name, ready: true };
+      return chainStatus.get(name) || this.aiProviders.find(provider => provider.name === name).health();
+    });
+    const active = providers.find(status => status.ready && (!status.circuit || status.circuit.state !== 'open'));
+
+    return { active: active ? active.name : 'fallback', providers };
   }
 
   getLanguageConfig(language) {
     const configs = {
       en: {
+        code: 'en',
         name: 'English',
         direction: 'ltr',
         fallbackPrefix: 'Here\'s a thoughtful quote for you:',
@@ -46,6 +54,7 @@ class ChatService {
         systemPrompt: 'You are a wise and inspiring assistant that helps people with quotes and life wisdom. Respond in English.'
       },
       ar: {
+        code: 'ar',
         name: 'Arabic',
         direction: 'rtl',
         fallbackPrefix: 'إليك اقتباس ملهم:',
@@ -53,6 +62,7 @@ class ChatService {
         systemPrompt: 'أنت مساعد حكيم وملهم يساعد الناس بالاقتباسات وحكمة الحياة. أجب باللغة العربية.'
       },
       ckb: {
+        code: 'ckb',
         name: 'Sorani Kurdish',
         direction: 'rtl',
         fallbackPrefix: 'ئەمە وتەیەکی باشە بۆت:',
@@ -64,78 +74,159 @@ class ChatService {
     return configs[language] || configs.en;
   }
 
+  /**
+   * Answers with the first provider in the chain that can. The response
+   * names the provider used and, as skipped, the providers passed over
+   * before it with the reason ({ provider, reason }). contextQuoteIds lists
+   * the quotes the AI was given, in the order they were numbered in the prompt.
+   */
   async generateResponse(message, language = 'en', history = []) {
     const langConfig = this.getLanguageConfig(language);
 
-    try {
-      if (this.genAI && this.provider === 'gemini') {
-        return await this.generateGeminiResponse(message, langConfig, history);
-      }
-      // TODO: Add OpenAI and Azure providers
-      else {
-        return this.generateFallbackResponse(langConfig);
-      }
-    } catch (error) {
-      console.error('AI generation error:', error);
+    if (this.chain.providers.length === 0) {
       return this.generateFallbackResponse(langConfig);
     }
-  }
 
-  async generateGeminiResponse(message, langConfig, history) {
+    const quotes = this.contextQuotes(message, history);
+    const request = { systemPrompt: this.buildSystemPrompt(langConfig, quotes), message, history };
     try {
-      const sampleQuotes = this.quotesService.getSampleQuotes(3);
-      const quotesContext = sampleQuotes.map(q => `"${q.text}" - ${q.author}`).join('\n');
-      
-      const systemPrompt = `${langConfig.systemPrompt}\n\nHere are some sample quotes from our collection:\n${quotesContext}\n\nProvide helpful, inspiring responses while staying true to the wisdom and philosophy themes. Keep responses concise but meaningful.`;
-
-      // Build conversation history
-      const conversationHistory = history.map(msg => ({
-        role: msg.role === 'user' ? 'user' : 'model',
-        parts: [{ text: msg.content }]
-      }));
-
-      // Add current message
-      conversationHistory.push({
-        role: 'user',
-        parts: [{ text: message }]
-      });
-
-      const chat = this.geminiModel.startChat({
-        history: [
-          { role: 'user', parts: [{ text: systemPrompt }] },
-          { role: 'model', parts: [{ text: 'I understand. I\'ll provide helpful, inspiring responses about quotes and life wisdom in the requested language.' }] },
-          ...conversationHistory.slice(0, -1) // Don't include the current message in history
-        ],
-      });
-
-      const result = await chat.sendMessage(message);
-      const response = await result.response;
-      const text = response.text();
-
+      const { result, provider, skipped } = await this.chain.run((aiProvider, signal) => aiProvider.generate(request, { signal }));
       return {
-        message: text.trim(),
-        language,
+        message: result.trim(),
+        language: langConfig.code,
         direction: langConfig.direction,
-        provider: 'gemini'
+        provider,
+        contextQuoteIds: quotes.map(quote => quote.id),
+        ...(skipped.length > 0 && { skipped })
       };
     } catch (error) {
-      console.error('Gemini API error:', error);
-      throw error;
+      return this.chainFallback(langConfig, error);
     }
   }
 
-  generateFallbackResponse(langConfig) {
+  /**
+   * generateResponse as it happens, yielding { event, data }: delta events
+   * ({ text }) with the reply as the provider streams it, then done with the
+   * fields of generateResponse other than message and quote. A fallback
+   * answer comes as a single delta and a quote event before done. When the
+   * provider fails part way through, the stream ends with an error event
+   * instead of done. Aborting signal stops the stream.
+   */
+  async *streamResponse(message, language = 'en', history = [], { signal } = {}) {
+    const langConfig = this.getLanguageConfig(language);
+
+    let stream;
+    let fallback;
+    let quotes;
+    if (this.chain.providers.length === 0) {
+      fallback = this.generateFallbackResponse(langConfig);
+    } else {
+      quotes = this.contextQuotes(message, history);
+      const request = { systemPrompt: this.buildSystemPrompt(langConfig, quotes), message, history };
+      try {
+        stream = await this.chain.runStream((aiProvider, providerSignal) => aiProvider.stream(request, { signal: providerSignal }), { signal });
+      } catch (error) {
+        if (signal && signal.aborted) return;
+        fallback = this.chainFallback(langConfig, error);
+      }
+    }
+
+    if (fallback) {
+      const { message: text, quote, ...done } = fallback;
+      yield { event: 'delta', data: { text } };
+      if (quote) {
+        yield { event: 'quote', data: { quote } };
+      }
+      yield { event: 'done', data: done };
+      return;
+    }
+
+    let started = false;
+    try {
+      for await (const chunk of stream.chunks) {
+        // Leading whitespace is dropped, as generateResponse trims the reply
+        const text = started ? chunk : chunk.trimStart();
+        if (text) {
+          started = true;
+          yield { event: 'delta', data: { text } };
+        }
+      }
+    } catch (error) {
+      if (signal && signal.aborted) return;
+      yield {
+        event: 'error',
+        data: { error: 'Provider error', message: `${stream.provider} stopped before finishing the reply`, provider: stream.provider }
+      };
+      return;
+    }
+
+    yield {
+      event: 'done',
+      data: {
+        language: langConfig.code,
+        direction: langConfig.direction,
+        provider: stream.provider,
+        contextQuoteIds: quotes.map(quote => quote.id),
+        ...(stream.skipped.length > 0 && { skipped: stream.skipped })
+      }
+    };
+  }
+
+  // The fallback answer once no provider in the chain could answer
+  chainFallback(langConfig, error) {
+    const skipped = error.skipped || [];
+    if (skipped.length === 0) {
+      console.error('AI generation error:', error);
+    }
+    return {
+      ...this.generateFallbackResponse(langConfig, skipped.length > 0 ? skipped[0].reason : 'provider_error'),
+      ...(skipped.length > 0 && { skipped })
+    };
+  }
+
+  /**
+   * The quotes to ground the AI's answer in: the ones most relevant to the
+   * message and the user's last few messages, or a random sample when none
+   * of them match
+   */
+  contextQuotes(message, history = []) {
+    const context = history
+      .filter(msg => msg.role === 'user')
+      .slice(-CONTEXT_TURNS)
+      .reverse()
+      .map(msg => msg.content);
+    const relevant = this.quotesService.findRelevantQuotes(message, { context, limit: CONTEXT_QUOTES });
+    return relevant.length > 0 ? relevant : this.quotesService.getSampleQuotes(CONTEXT_QUOTES);
+  }
+
+  // The quotes are numbered [1], [2], ... in the order of contextQuoteIds
+  buildSystemPrompt(langConfig, quotes) {
+    const quotesContext = quotes
+      .map(quote => localizeQuote(quote, [langConfig.code]))
+      .map((q, index) => `[${index + 1}] "${q.text}" - ${q.author}`)
+      .join('\n');
+
+    return `${langConfig.systemPrompt}\n\nQuotes from our collection for this conversation, numbered for reference:\n${quotesContext}\n\nDraw on these quotes where they fit and cite them by number, e.g. [1]. Only attribute words to an author when they come from a quote above. Provide helpful, inspiring responses while staying true to the wisdom and philosophy themes. Keep responses concise but meaningful.`;
+  }
+
+  /**
+   * Answers with a quote. reason says why the first AI provider didn't answer
+   * (provider_error, timeout, circuit_open, or a cause the provider reported
+   * such as content_filter); it is left out when no provider is configured.
+   */
+  generateFallbackResponse(langConfig, reason) {
+    const fallback = { provider: 'fallback', ...(reason && { reason }) };
     try {
-      const randomQuote = this.quotesService.getRandomQuote();
-      const message = `${langConfig.fallbackPrefix}\n\n"${randomQuote.text}" - ${randomQuote.author}\n\n${langConfig.fallbackSuffix}`;
+      // Use the quote's translation in the chat language when it has one
+      const quote = localizeQuote(this.quotesService.getRandomQuote(), [langConfig.code]);
+      const message = `${langConfig.fallbackPrefix}\n\n"${quote.text}" - ${quote.author}\n\n${langConfig.fallbackSuffix}`;
 
       return {
         message,
-        language: langConfig.name.toLowerCase().includes('english') ? 'en' : 
-                 langConfig.name.toLowerCase().includes('arabic') ? 'ar' : 'ckb',
+        language: langConfig.code,
         direction: langConfig.direction,
-        provider: 'fallback',
-        quote: randomQuote
+        ...fallback,
+        quote
       };
     } catch (error) {
       console.error('Fallback response error:', error);
@@ -144,7 +235,7 @@ class ChatService {
         message,
         language: 'en',
         direction: 'ltr',
-        provider: 'fallback',
+        ...fallback,
         error: true
       };
     }
@@ -169,9 +260,13 @@ class ChatService {
       errors.push('History must be an array with maximum 10 entries');
     }
 
-    if (body.history) {
+    if (Array.isArray(body.history)) {
       for (let i = 0; i < body.history.length; i++) {
         const msg = body.history[i];
+        if (!msg || typeof msg !== 'object') {
+          errors.push(`History item ${i} must be an object with role and content`);
+          continue;
+        }
         if (!msg.role || !['user', 'assistant'].includes(msg.role)) {
           errors.push(`History item ${i} must have role 'user' or 'assistant'`);
         }
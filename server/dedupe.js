@@ -0,0 +1,159 @@
+const { authorSlug, UNKNOWN_AUTHOR_SLUG } = require('./quoteModel');
+
+/**
+ * Finds exact and near duplicate quotes
+ * Texts are compared after normalization (Unicode form, case, accents,
+ * punctuation and whitespace) as sets of character trigrams, using Jaccard
+ * similarity. Candidate pairs come from prefix filtering: with the trigrams
+ * of every text sorted rarest first, two texts can only reach the threshold
+ * if their first few trigrams overlap, so most pairs are never compared.
+ */
+
+const DEFAULT_THRESHOLD = 0.8;
+
+// Lowercase letters and digits separated by single spaces, without accents or punctuation
+function normalizeText(text) {
+  return String(text)
+    .normalize('NFKC')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    // Apostrophes join words ("don't" and "dont" compare equal)
+    .replace(/['’ʼ`]/g, '')
+    .replace(/[\p{P}\p{S}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function trigrams(normalized) {
+  const padded = ` ${normalized} `;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  small.forEach(gram => {
+    if (large.has(gram)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Disjoint sets over quote indexes, to merge matching pairs into groups
+function createGroups(size) {
+  const parent = Array.from({ length: size }, (_, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    parent[find(a)] = find(b);
+  };
+  return { find, union };
+}
+
+// Pairs of quote indexes whose similarity reaches the threshold, with the similarity
+function similarPairs(entries, threshold) {
+  const frequency = new Map();
+  entries.forEach(({ grams }) => grams.forEach(gram => frequency.set(gram, (frequency.get(gram) || 0) + 1)));
+  const rarestFirst = (a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : 1);
+
+  const index = new Map();
+  const pairs = [];
+  entries.forEach((entry, current) => {
+    const sorted = [...entry.grams].sort(rarestFirst);
+    // Texts at least threshold similar share ceil(threshold * size) trigrams, so their prefixes overlap
+    const prefixLength = sorted.length - Math.ceil(threshold * sorted.length - 1e-9) + 1;
+    const candidates = new Set();
+
+    sorted.slice(0, prefixLength).forEach(gram => {
+      if (!index.has(gram)) index.set(gram, []);
+      index.get(gram).forEach(other => candidates.add(other));
+      index.get(gram).push(current);
+    });
+
+    candidates.forEach(other => {
+      const similarity = entry.normalized === entries[other].normalized
+        ? 1
+        : jaccard(entry.grams, entries[other].grams);
+      if (similarity >= threshold) {
+        pairs.push({ a: other, b: current, similarity });
+      }
+    });
+  });
+  return pairs;
+}
+
+/**
+ * Groups quotes whose texts are the same after normalization ("exact") or at
+ * least threshold similar ("near"). A group is misattributed when its quotes
+ * name different authors; quotes by an unknown author don't count against it.
+ * Returns { threshold, total, summary, groups }.
+ */
+function findDuplicates(quotes, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const entries = quotes.map(quote => {
+    const normalized = normalizeText(quote.text);
+    return { quote, normalized, grams: trigrams(normalized) };
+  });
+
+  const { find, union } = createGroups(entries.length);
+  const lowest = new Map();
+  similarPairs(entries, threshold).forEach(({ a, b, similarity }) => {
+    const before = Math.min(lowest.get(find(a)) ?? 1, lowest.get(find(b)) ?? 1);
+    union(a, b);
+    lowest.set(find(a), Math.min(before, similarity));
+  });
+
+  const members = new Map();
+  entries.forEach((entry, position) => {
+    const root = find(position);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(entry);
+  });
+
+  const groups = [...members.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([root, group]) => {
+      // Each author once, as first written
+      const authors = new Map();
+      group.forEach(({ quote }) => {
+        const slug = authorSlug(quote.author);
+        if (slug !== UNKNOWN_AUTHOR_SLUG && !authors.has(slug)) authors.set(slug, quote.author);
+      });
+
+      return {
+        kind: group.every(({ normalized }) => normalized === group[0].normalized) ? 'exact' : 'near',
+        similarity: Math.round(lowest.get(root) * 1000) / 1000,
+        misattributed: authors.size > 1,
+        authors: [...authors.values()],
+        quotes: group.map(({ quote }) => ({ id: quote.id, text: quote.text, author: quote.author }))
+      };
+    });
+
+  return {
+    threshold,
+    total: quotes.length,
+    summary: {
+      groups: groups.length,
+      exact: groups.filter(group => group.kind === 'exact').length,
+      near: groups.filter(group => group.kind === 'near').length,
+      misattributed: groups.filter(group => group.misattributed).length
+    },
+    groups
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeText,
+  trigrams,
+  jaccard,
+  findDuplicates
+};
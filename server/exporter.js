@@ -0,0 +1,58 @@
+const { csvField } = require('./formatters');
+
+/**
+ * Full-fidelity exports of the quote collection
+ * Quotes are serialized one at a time from any iterable (see storage each()),
+ * so the payload is never held in memory as a whole. Every format keeps IDs,
+ * tags, translations and timestamps: JSON loads as a quotes file, and all
+ * three formats can be fed back through the import endpoint.
+ */
+
+const EXPORT_FORMATS = {
+  json: { type: 'application/json', extension: 'json' },
+  ndjson: { type: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { type: 'text/csv', extension: 'csv' }
+};
+
+const CSV_EXPORT_COLUMNS = ['id', 'text', 'author', 'tags', 'translations', 'createdAt', 'updatedAt'];
+
+function csvRow(quote) {
+  return CSV_EXPORT_COLUMNS.map(column => {
+    if (column === 'tags') return csvField(quote.tags.join(';'));
+    if (column === 'translations') return csvField(quote.translations && JSON.stringify(quote.translations));
+    return csvField(quote[column]);
+  }).join(',');
+}
+
+// Yields the export as text chunks, one per quote plus any framing
+function* exportChunks(quotes, format, { exportedAt = new Date().toISOString() } = {}) {
+  if (format === 'csv') {
+    yield `${CSV_EXPORT_COLUMNS.join(',')}\r\n`;
+    for (const quote of quotes) {
+      yield `${csvRow(quote)}\r\n`;
+    }
+    return;
+  }
+
+  if (format === 'ndjson') {
+    for (const quote of quotes) {
+      yield `${JSON.stringify(quote)}\n`;
+    }
+    return;
+  }
+
+  // The quotes file shape, so the export can replace quotes.json directly
+  yield `{"exportedAt":${JSON.stringify(exportedAt)},"quotes":[`;
+  let first = true;
+  for (const quote of quotes) {
+    yield `${first ? '\n' : ',\n'}${JSON.stringify(quote)}`;
+    first = false;
+  }
+  yield `${first ? '' : '\n'}]}\n`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_EXPORT_COLUMNS,
+  exportChunks
+};
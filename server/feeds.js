@@ -0,0 +1,135 @@
+const { xmlEscape } = require('./formatters');
+const { queryFingerprint } = require('./pagination');
+
+/**
+ * RSS 2.0 and Atom renderings of the quote feeds
+ * A feed mixes the quote of the day history with recently added quotes.
+ * Entry IDs are URNs built from the quote ID (plus the date for daily
+ * entries), so they stay the same whichever host serves the feed.
+ */
+
+const FEED_MEDIA_TYPES = {
+  rss: 'application/rss+xml',
+  atom: 'application/atom+xml'
+};
+
+const URN_PREFIX = 'urn:random-quotes';
+
+// Feed ID for a set of filters, the same for every host and parameter order
+function feedId(filters = {}) {
+  return `${URN_PREFIX}:feed:${queryFingerprint(filters)}`;
+}
+
+function latest(...timestamps) {
+  return timestamps.filter(Boolean).reduce((a, b) => (Date.parse(b) > Date.parse(a) ? b : a));
+}
+
+/**
+ * Turns { daily: [{ date, start, quote }], recent: [quote] } into feed
+ * entries, newest first. baseUrl is used for the entry links.
+ */
+function buildFeedEntries({ daily = [], recent = [] }, baseUrl) {
+  const content = quote => `"${quote.text}" — ${quote.author}`;
+  const link = quote => `${baseUrl}/api/v1/quotes/${encodeURIComponent(quote.id)}`;
+
+  const entries = [
+    ...daily.map(({ date, start, quote }) => ({
+      id: `${URN_PREFIX}:quote-of-the-day:${date}:${quote.id}`,
+      title: `Quote of the day for ${date}: ${quote.author}`,
+      content: content(quote),
+      author: quote.author,
+      tags: quote.tags,
+      link: link(quote),
+      published: start.toISOString(),
+      // Edits to the quote after its day started count as updates to the entry
+      updated: latest(start.toISOString(), quote.updatedAt)
+    })),
+    ...recent.map(quote => ({
+      id: `${URN_PREFIX}:quote:${quote.id}`,
+      title: `New quote by ${quote.author}`,
+      content: content(quote),
+      author: quote.author,
+      tags: quote.tags,
+      link: link(quote),
+      published: quote.createdAt,
+      updated: quote.updatedAt || quote.createdAt
+    }))
+  ];
+
+  return entries.sort((a, b) => Date.parse(b.updated) - Date.parse(a.updated));
+}
+
+// The newest entry decides when the feed last changed
+function feedUpdated(entries, fallback) {
+  return entries.length > 0 ? entries[0].updated : fallback;
+}
+
+/**
+ * feed is { title, description, id, link, selfLink, updated }, where updated
+ * is used when there are no entries
+ */
+function renderRss(feed, entries) {
+  const items = entries.map(entry => [
+    '    <item>',
+    `      <title>${xmlEscape(entry.title)}</title>`,
+    `      <link>${xmlEscape(entry.link)}</link>`,
+    `      <guid isPermaLink="false">${xmlEscape(entry.id)}</guid>`,
+    `      <description>${xmlEscape(entry.content)}</description>`,
+    `      <dc:creator>${xmlEscape(entry.author)}</dc:creator>`,
+    ...(entry.tags || []).map(tag => `      <category>${xmlEscape(tag)}</category>`),
+    `      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${xmlEscape(feed.title)}</title>`,
+    `    <link>${xmlEscape(feed.link)}</link>`,
+    `    <description>${xmlEscape(feed.description)}</description>`,
+    `    <atom:link href="${xmlEscape(feed.selfLink)}" rel="self" type="${FEED_MEDIA_TYPES.rss}"/>`,
+    `    <lastBuildDate>${new Date(feedUpdated(entries, feed.updated)).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+function renderAtom(feed, entries) {
+  const items = entries.map(entry => [
+    '  <entry>',
+    `    <id>${xmlEscape(entry.id)}</id>`,
+    `    <title>${xmlEscape(entry.title)}</title>`,
+    `    <link href="${xmlEscape(entry.link)}"/>`,
+    `    <author><name>${xmlEscape(entry.author)}</name></author>`,
+    ...(entry.tags || []).map(tag => `    <category term="${xmlEscape(tag)}"/>`),
+    `    <published>${entry.published}</published>`,
+    `    <updated>${entry.updated}</updated>`,
+    `    <content type="text">${xmlEscape(entry.content)}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xmlEscape(feed.id)}</id>`,
+    `  <title>${xmlEscape(feed.title)}</title>`,
+    `  <subtitle>${xmlEscape(feed.description)}</subtitle>`,
+    `  <link href="${xmlEscape(feed.link)}"/>`,
+    `  <link href="${xmlEscape(feed.selfLink)}" rel="self" type="${FEED_MEDIA_TYPES.atom}"/>`,
+    `  <updated>${feedUpdated(entries, feed.updated)}</updated>`,
+    ...items,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  FEED_MEDIA_TYPES,
+  feedId,
+  buildFeedEntries,
+  renderRss,
+  renderAtom
+};
@@ -0,0 +1,187 @@
+/**
+ * Plain text, CSV, XML and Markdown renderings of quotes
+ * Quotes are expected to be localized (see i18n.localizeQuote), so they carry
+ * language and direction. Right-to-left text is wrapped in Unicode isolates in
+ * text and Markdown output, so it doesn't reorder the surrounding punctuation.
+ */
+
+// Format names accepted by ?format= and the media types they produce
+const MEDIA_TYPES = {
+  json: 'application/json',
+  text: 'text/plain',
+  csv: 'text/csv',
+  xml: 'application/xml',
+  markdown: 'text/markdown'
+};
+
+const FIRST_STRONG_ISOLATE = '\u2068';
+const POP_DIRECTIONAL_ISOLATE = '\u2069';
+
+// Drops bidi controls already in the value so the isolates added here stay balanced
+function isolate(value, direction) {
+  const clean = String(value).replace(/[\u202A-\u202E\u2066-\u2069]/g, '');
+  return direction === 'rtl' ? `${FIRST_STRONG_ISOLATE}${clean}${POP_DIRECTIONAL_ISOLATE}` : clean;
+}
+
+function formatText(quotes) {
+  return quotes
+    .map(quote => `"${isolate(quote.text, quote.direction)}" — ${isolate(quote.author, quote.direction)}`)
+    .join('\n') + '\n';
+}
+
+const CSV_COLUMNS = ['id', 'text', 'author', 'tags', 'language', 'direction'];
+
+// Values a spreadsheet would run as a formula, also when already prefixed
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * RFC 4180 field. Values a spreadsheet would run as a formula
+ * (=, +, -, @ and control characters) are prefixed with a quote, which
+ * parseCsvField removes again.
+ */
+function csvField(value) {
+  let field = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_PATTERN.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+// Undoes the formula prefix csvField adds to a parsed CSV value
+function parseCsvField(field) {
+  return field.startsWith("'") && FORMULA_PATTERN.test(field.slice(1)) ? field.slice(1) : field;
+}
+
+function formatCsv(quotes) {
+  const rows = quotes.map(quote => CSV_COLUMNS
+    .map(column => csvField(column === 'tags' ? (quote.tags || []).join(';') : quote[column]))
+    .join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Escapes markup and drops characters XML 1.0 does not allow
+function xmlEscape(value) {
+  return String(value)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function xmlQuote(quote) {
+  const attributes = [`id="${xmlEscape(quote.id)}"`];
+  if (quote.language) attributes.push(`xml:lang="${xmlEscape(quote.language)}"`);
+  if (quote.direction) attributes.push(`dir="${xmlEscape(quote.direction)}"`);
+
+  const tags = (quote.tags || []).map(tag => `<tag>${xmlEscape(tag)}</tag>`).join('');
+  return `<quote ${attributes.join(' ')}><text>${xmlEscape(quote.text)}</text>` +
+    `<author>${xmlEscape(quote.author)}</author><tags>${tags}</tags></quote>`;
+}
+
+/**
+ * A single quote becomes the root element; lists are wrapped in <quotes>
+ * with the scalar fields of meta (total, page, ...) as attributes.
+ */
+function formatXml(quotes, { single = false, meta = {} } = {}) {
+  const declaration = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  if (single) {
+    return `${declaration}${xmlQuote(quotes[0])}\n`;
+  }
+
+  const attributes = Object.entries(meta)
+    .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+    .map(([name, value]) => ` ${name}="${xmlEscape(value)}"`)
+    .join('');
+  return `${declaration}<quotes${attributes}>\n${quotes.map(quote => `  ${xmlQuote(quote)}\n`).join('')}</quotes>\n`;
+}
+
+// Backslash-escapes characters Markdown would treat as formatting
+function markdownEscape(value) {
+  return String(value).replace(/[\\`*_{}[\]()<>#+\-.!|~]/g, '\\$&');
+}
+
+function formatMarkdown(quotes) {
+  return quotes
+    .map(quote => {
+      const lines = String(quote.text).split(/\r?\n/)
+        .map(line => `> ${isolate(markdownEscape(line), quote.direction)}`);
+      return `${lines.join('\n')}\n>\n> — ${isolate(markdownEscape(quote.author), quote.direction)}`;
+    })
+    .join('\n\n') + '\n';
+}
+
+const FORMATTERS = {
+  text: formatText,
+  csv: formatCsv,
+  xml: formatXml,
+  markdown: formatMarkdown
+};
+
+// Renders quotes in one of the non-JSON formats
+function formatQuotes(quotes, format, options = {}) {
+  return FORMATTERS[format](quotes, options);
+}
+
+// Browsers ask for these first, with wildcards or XML at lower quality
+const BROWSER_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// [{ type, q }] for the media ranges in an Accept header
+function parseAccept(accept) {
+  return String(accept).split(',')
+    .map(range => {
+      const [type, ...params] = range.trim().toLowerCase().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { type: type.trim(), q: Number.isNaN(q) ? 1 : q };
+    })
+    .filter(({ type, q }) => type && q > 0);
+}
+
+/**
+ * The format to answer an Accept header with, or null when none is
+ * acceptable. JSON is the default: for no header, for browsers (text/html)
+ * and for wildcards. Another format is only picked when its media type is
+ * named and preferred at least as much as any wildcard.
+ */
+function negotiateFormat(accept) {
+  if (!accept) {
+    return 'json';
+  }
+  const ranges = parseAccept(accept);
+  if (ranges.some(({ type }) => BROWSER_TYPES.includes(type))) {
+    return 'json';
+  }
+
+  let explicit = null;
+  ranges.forEach(({ type, q }) => {
+    const format = Object.keys(MEDIA_TYPES).find(name => MEDIA_TYPES[name] === type);
+    if (format && (!explicit || q > explicit.q)) {
+      explicit = { format, q };
+    }
+  });
+
+  let wildcard = null;
+  ranges.forEach(({ type, q }) => {
+    const format = type === '*/*' || type === 'application/*' ? 'json' : (type === 'text/*' ? 'text' : null);
+    if (format && (!wildcard || q > wildcard.q)) {
+      wildcard = { format, q };
+    }
+  });
+
+  if (explicit && (!wildcard || explicit.q >= wildcard.q)) {
+    return explicit.format;
+  }
+  return wildcard ? wildcard.format : null;
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  negotiateFormat,
+  formatQuotes,
+  csvField,
+  parseCsvField,
+  xmlEscape,
+  markdownEscape
+};
@@ -0,0 +1,154 @@
+const { parse, validate, execute, getOperationAST, GraphQLError } = require('graphql');
+const { createSchema } = require('./schema');
+const { checkQueryLimits, DEFAULT_MAX_DEPTH, DEFAULT_MAX_COMPLEXITY } = require('./limits');
+const { parseAcceptLanguage } = require('../i18n');
+
+/**
+ * Express handler serving GraphQL over HTTP
+ * Queries may be sent with GET (?query=&variables=&operationName=) or POST
+ * (a JSON body with the same fields); mutations only with POST. Requests
+ * that can't run (syntax, validation or limit errors) get 400 with the
+ * errors, executed ones 200 with { data, errors? }.
+ */
+
+function errorBody(errors) {
+  return { errors: errors.map(error => (error instanceof GraphQLError ? error.toJSON() : { message: error.message })) };
+}
+
+// Resolver errors that aren't GraphQL errors are internal and don't reach the client
+function maskError(error) {
+  if (error.originalError && !(error.originalError instanceof GraphQLError)) {
+    console.error('GraphQL resolver error:', error.originalError);
+    return new GraphQLError('Internal server error', {
+      path: error.path,
+      nodes: error.nodes,
+      extensions: { code: 'INTERNAL_SERVER_ERROR' }
+    });
+  }
+  return error;
+}
+
+// Reads { query, variables, operationName } from the query string or JSON body
+function readRequest(req) {
+  const params = req.method === 'GET' ? req.query : (req.body || {});
+  const { query, operationName } = params;
+  let { variables } = params;
+
+  if (typeof query !== 'string' || query.trim().length === 0) {
+    return { error: 'Must provide a query string' };
+  }
+  if (operationName !== undefined && operationName !== null && typeof operationName !== 'string') {
+    return { error: 'operationName must be a string' };
+  }
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch {
+      return { error: 'variables must be a JSON object' };
+    }
+  }
+  if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    return { error: 'variables must be a JSON object' };
+  }
+
+  return { query, variables: variables || {}, operationName: operationName || undefined };
+}
+
+/**
+ * Runs an Express middleware such as a rate limiter. Resolves true when it
+ * passes the request on, false when it answered the request itself.
+ */
+function passes(middleware, req, res) {
+  return new Promise((resolve, reject) => {
+    const answered = () => resolve(false);
+    res.once('finish', answered);
+    res.once('close', answered);
+    middleware(req, res, error => {
+      res.off('finish', answered);
+      res.off('close', answered);
+      return error ? reject(error) : resolve(true);
+    });
+  });
+}
+
+/**
+ * Returns the /graphql handler. The chat mutation also goes through
+ * chatLimiter, like POST /api/v1/chat.
+ */
+function createGraphqlHandler({
+  quotesService,
+  chatService,
+  chatLimiter,
+  maxDepth = DEFAULT_MAX_DEPTH,
+  maxComplexity = DEFAULT_MAX_COMPLEXITY
+}) {
+  const schema = createSchema();
+
+  return async (req, res) => {
+    const { query, variables, operationName, error } = readRequest(req);
+    if (error) {
+      return res.status(400).json(errorBody([new GraphQLError(error)]));
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (syntaxError) {
+      return res.status(400).json(errorBody([syntaxError]));
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return res.status(400).json(errorBody(validationErrors));
+    }
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+      const message = operationName
+        ? `Unknown operation named "${operationName}"`
+        : 'Must provide operationName when the document has several operations';
+      return res.status(400).json(errorBody([new GraphQLError(message)]));
+    }
+    if (req.method === 'GET' && operation.operation !== 'query') {
+      res.set('Allow', 'POST');
+      return res.status(405).json(errorBody([new GraphQLError(`Can only perform a ${operation.operation} operation with POST`)]));
+    }
+
+    const limitErrors = checkQueryLimits(schema, document, operation, variables, { maxDepth, maxComplexity });
+    if (limitErrors.length > 0) {
+      return res.status(400).json(errorBody(limitErrors));
+    }
+
+    if (operation.operation === 'mutation' && chatLimiter && !(await passes(chatLimiter, req, res))) {
+      return;
+    }
+
+    try {
+      const result = await execute({
+        schema,
+        document,
+        variableValues: variables,
+        operationName,
+        contextValue: {
+          quotesService,
+          chatService,
+          languages: parseAcceptLanguage(req.get('Accept-Language'))
+        }
+      });
+      if (result.errors) {
+        result.errors = result.errors.map(maskError);
+      }
+      res.json(result);
+    } catch (executionError) {
+      console.error('GraphQL execution error:', executionError);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to execute GraphQL request'
+      });
+    }
+  };
+}
+
+module.exports = {
+  createGraphqlHandler
+};
@@ -0,0 +1,118 @@
+const {
+  Kind,
+  GraphQLError,
+  getArgumentValues,
+  getNamedType,
+  getNullableType,
+  isListType,
+  isObjectType,
+  isInterfaceType
+} = require('graphql');
+
+/**
+ * Depth and complexity limits for GraphQL operations
+ * Depth counts nested field selections (top-level fields are depth 1).
+ * Complexity estimates the number of values resolved: every field costs 1,
+ * and a list multiplies the cost of its selections by its expected size,
+ * taken from the limit argument of the field returning the page it is in.
+ * Introspection fields (__schema, __typename, ...) count for neither.
+ */
+
+const DEFAULT_MAX_DEPTH = 8;
+const DEFAULT_MAX_COMPLEXITY = 1000;
+
+// Expected size of lists without a limit, like tags
+const DEFAULT_LIST_SIZE = 10;
+
+function fieldLimit(fieldDef, node, variables) {
+  if (!fieldDef.args.some(arg => arg.name === 'limit')) {
+    return undefined;
+  }
+  const { limit } = getArgumentValues(fieldDef, node, variables);
+  return Number.isInteger(limit) && limit > 0 ? limit : undefined;
+}
+
+function measureSelections(selectionSet, parentType, options, parentLimit) {
+  let depth = 0;
+  let complexity = 0;
+
+  selectionSet.selections.forEach(selection => {
+    let measured;
+    if (selection.kind === Kind.FIELD) {
+      measured = measureField(selection, parentType, options, parentLimit);
+    } else {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? options.fragments[selection.name.value] : selection;
+      if (!fragment) return;
+      const type = fragment.typeCondition ? options.schema.getType(fragment.typeCondition.name.value) : parentType;
+      measured = measureSelections(fragment.selectionSet, type, options, parentLimit);
+    }
+    depth = Math.max(depth, measured.depth);
+    complexity += measured.complexity;
+  });
+
+  return { depth, complexity };
+}
+
+function measureField(node, parentType, options, parentLimit) {
+  const name = node.name.value;
+  if (name.startsWith('__') || !(isObjectType(parentType) || isInterfaceType(parentType))) {
+    return { depth: 0, complexity: 0 };
+  }
+
+  const fieldDef = parentType.getFields()[name];
+  if (!fieldDef) {
+    return { depth: 0, complexity: 0 };
+  }
+
+  const limit = fieldLimit(fieldDef, node, options.variables);
+  const children = node.selectionSet
+    ? measureSelections(node.selectionSet, getNamedType(fieldDef.type), options, limit)
+    : { depth: 0, complexity: 0 };
+  const size = isListType(getNullableType(fieldDef.type)) ? limit || parentLimit || DEFAULT_LIST_SIZE : 1;
+
+  return { depth: children.depth + 1, complexity: size * (1 + children.complexity) };
+}
+
+/**
+ * Depth and estimated complexity of an operation in a validated document.
+ * Returns { depth, complexity }.
+ */
+function measureOperation(schema, document, operation, variables = {}) {
+  const fragments = {};
+  document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .forEach(definition => {
+      fragments[definition.name.value] = definition;
+    });
+
+  const rootType = schema.getRootType(operation.operation);
+  return measureSelections(operation.selectionSet, rootType, { schema, fragments, variables }, undefined);
+}
+
+function limitError(message, code) {
+  return new GraphQLError(message, { extensions: { code } });
+}
+
+/**
+ * Errors for an operation going over maxDepth or maxComplexity,
+ * or an empty array when it is within both.
+ */
+function checkQueryLimits(schema, document, operation, variables, { maxDepth = DEFAULT_MAX_DEPTH, maxComplexity = DEFAULT_MAX_COMPLEXITY } = {}) {
+  const { depth, complexity } = measureOperation(schema, document, operation, variables);
+  const errors = [];
+  if (depth > maxDepth) {
+    errors.push(limitError(`Query depth ${depth} exceeds the maximum of ${maxDepth}`, 'QUERY_TOO_DEEP'));
+  }
+  if (complexity > maxComplexity) {
+    errors.push(limitError(`Query complexity ${complexity} exceeds the maximum of ${maxComplexity}`, 'QUERY_TOO_COMPLEX'));
+  }
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_COMPLEXITY,
+  DEFAULT_LIST_SIZE,
+  measureOperation,
+  checkQueryLimits
+};
@@ -0,0 +1,325 @@
+const { buildSchema, GraphQLError } = require('graphql');
+const { authorSlug } = require('../quoteModel');
+const { localizeQuote } = require('../i18n');
+const { isValidSeed, generateSeed, MAX_SEED_LENGTH } = require('../random');
+
+/**
+ * GraphQL schema over QuotesService and ChatService
+ * Resolvers get { quotesService, chatService, languages } as context;
+ * languages come from Accept-Language, like the REST API.
+ */
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXCLUDED_IDS = 100;
+
+const typeDefs = `
+  enum TagMode { ANY ALL }
+  enum QuoteSort { AUTHOR LENGTH ID RANDOM RELEVANCE }
+  enum SortOrder { ASC DESC }
+
+  "A quote, in the first requested language it has a translation for"
+  type Quote {
+    id: ID!
+    text: String!
+    "Author name as written on this quote (translated along with the text)"
+    authorName: String!
+    author: Author!
+    tags: [Tag!]!
+    language: String!
+    direction: String!
+    "Whether a language was asked for that this quote isn't translated into"
+    fallback: Boolean!
+    "Relevance, only for quotes from a search query"
+    score: Float
+    createdAt: String
+    updatedAt: String
+  }
+
+  type Author {
+    slug: String!
+    name: String!
+    quoteCount: Int!
+    tags: [Tag!]!
+    quotes(page: Int = 1, limit: Int = 10, exclude: [ID!]): QuotePage!
+  }
+
+  type Tag {
+    name: String!
+    count: Int!
+    quotes(page: Int = 1, limit: Int = 10, exclude: [ID!]): QuotePage!
+  }
+
+  type QuotePage {
+    quotes: [Quote!]!
+    total: Int!
+    page: Int!
+    limit: Int!
+    totalPages: Int!
+    "Seed of a random order, to ask for more pages in the same order"
+    seed: String
+  }
+
+  type AuthorPage {
+    authors: [Author!]!
+    total: Int!
+    page: Int!
+    limit: Int!
+    totalPages: Int!
+  }
+
+  type Query {
+    quote(id: ID!): Quote
+    "A random quote; the same seed always picks the same one"
+    randomQuote(tags: [String!], tagMode: TagMode = ANY, exclude: [ID!], seed: String): Quote
+    "Quotes matching the filters, ranked by relevance when query is given (same syntax as ?q=)"
+    quotes(
+      query: String
+      contains: String
+      tags: [String!]
+      tagMode: TagMode = ANY
+      author: String
+      minLength: Int
+      maxLength: Int
+      sort: QuoteSort
+      order: SortOrder
+      seed: String
+      page: Int = 1
+      limit: Int = 10
+    ): QuotePage!
+    author(slug: String!): Author
+    authors(contains: String, page: Int = 1, limit: Int = 10): AuthorPage!
+    "Every tag with its number of quotes, most used first"
+    tags: [Tag!]!
+  }
+
+  input ChatMessageInput {
+    role: String!
+    content: String!
+  }
+
+  type ChatResponse {
+    response: String!
+    language: String!
+    direction: String!
+    provider: String!
+    timestamp: String!
+    quote: Quote
+    "IDs of the quotes the AI was given, in the order it can cite them as [1], [2], ...; empty for a fallback answer"
+    contextQuoteIds: [ID!]!
+    "True when the AI provider failed and a canned answer was given"
+    fallback: Boolean!
+    "Why the first AI provider didn't answer, e.g. provider_error, timeout, circuit_open or content_filter"
+    fallbackReason: String
+    "Providers tried or passed over before the one that answered"
+    skipped: [SkippedProvider!]!
+  }
+
+  type SkippedProvider {
+    provider: String!
+    reason: String!
+  }
+
+  type Mutation {
+    chat(message: String!, language: String = "en", history: [ChatMessageInput!]): ChatResponse!
+  }
+`;
+
+function badInput(message, details) {
+  return new GraphQLError(message, {
+    extensions: { code: 'BAD_USER_INPUT', ...(details && { details }) }
+  });
+}
+
+function given(value) {
+  return value !== undefined && value !== null;
+}
+
+// The argument checks the REST API makes on the equivalent query parameters
+function checkArgs({ page, limit, exclude, seed, minLength, maxLength }) {
+  const errors = [];
+  if (given(page) && page < 1) {
+    errors.push('page must be at least 1');
+  }
+  if (given(limit) && (limit < 1 || limit > MAX_PAGE_SIZE)) {
+    errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (given(exclude) && exclude.length > MAX_EXCLUDED_IDS) {
+    errors.push(`exclude must list at most ${MAX_EXCLUDED_IDS} quote IDs`);
+  }
+  if (given(seed) && !isValidSeed(seed)) {
+    errors.push(`seed must be a string of at most ${MAX_SEED_LENGTH} characters`);
+  }
+  if ([minLength, maxLength].some(value => given(value) && value < 0)) {
+    errors.push('minLength and maxLength must not be negative');
+  } else if (given(minLength) && given(maxLength) && minLength > maxLength) {
+    errors.push('minLength must not be greater than maxLength');
+  }
+  return errors;
+}
+
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw badInput('Invalid arguments', errors);
+  }
+}
+
+// GraphQL passes omitted nullable arguments as undefined and explicit nulls as null;
+// undefined lets the service defaults (e.g. page 1, limit 10) apply
+function optional(value) {
+  return given(value) ? value : undefined;
+}
+
+function tagFilter(tags) {
+  return given(tags) && tags.length > 0 ? tags.join(',') : undefined;
+}
+
+// Tags with their counts, looked up once per request
+function findTag(context, name) {
+  if (!context.tagCounts) {
+    context.tagCounts = new Map(context.quotesService.getTagCounts().map(({ tag, count }) => [tag, count]));
+  }
+  return { name, count: context.tagCounts.get(name) || 0 };
+}
+
+// The quote in the requested languages; the chat quote comes already localized
+function localized(quote, context) {
+  if (quote.language) {
+    return quote;
+  }
+  if (!context.localized) {
+    context.localized = new WeakMap();
+  }
+  if (!context.localized.has(quote)) {
+    context.localized.set(quote, localizeQuote(quote, context.languages));
+  }
+  return context.localized.get(quote);
+}
+
+function quotePage(context, filters, { page, limit, exclude }) {
+  assertValid(checkArgs({ page, limit, exclude }));
+  return context.quotesService.findQuotes({ ...filters, exclude: optional(exclude) }, optional(page), optional(limit));
+}
+
+const resolvers = {
+  Query: {
+    quote: (_, { id }, { quotesService }) => quotesService.getQuoteById(id) || null,
+
+    randomQuote: (_, { tags, tagMode, exclude, seed }, { quotesService }) => {
+      assertValid(checkArgs({ exclude, seed }));
+      const filters = { tags: tagFilter(tags), tagMode: given(tagMode) ? tagMode.toLowerCase() : 'any', exclude: optional(exclude) };
+      const { quotes } = quotesService.getRandomQuotes(filters, { count: 1, seed: optional(seed) });
+      return quotes[0] || null;
+    },
+
+    quotes: (_, args, { quotesService }) => {
+      const { query, contains, tags, tagMode, author, minLength, maxLength } = args;
+      const page = optional(args.page);
+      const limit = optional(args.limit);
+      const sort = given(args.sort) ? args.sort.toLowerCase() : undefined;
+      const order = given(args.order) ? args.order.toLowerCase() : undefined;
+      let seed = optional(args.seed);
+
+      const errors = checkArgs({ page, limit, seed, minLength, maxLength });
+      if (sort === 'relevance' && !query) {
+        errors.push('sort RELEVANCE requires a query');
+      }
+      if (seed !== undefined && sort !== 'random') {
+        errors.push('seed can only be used with sort RANDOM');
+      }
+      assertValid(errors);
+
+      // A random order without a seed gets a new one, returned so it can be repeated
+      if (sort === 'random' && seed === undefined) {
+        seed = generateSeed();
+      }
+
+      const filters = {
+        contains: optional(contains),
+        tags: tagFilter(tags),
+        tagMode: given(tagMode) ? tagMode.toLowerCase() : 'any',
+        author: optional(author),
+        minLength: optional(minLength),
+        maxLength: optional(maxLength)
+      };
+      return query
+        ? quotesService.rankQuotes(query, filters, page, limit, { sort, order, seed })
+        : quotesService.findQuotes(filters, page, limit, { sort, order, seed });
+    },
+
+    author: (_, { slug }, { quotesService }) => quotesService.getAuthor(slug),
+
+    authors: (_, { contains, page, limit }, { quotesService }) => {
+      assertValid(checkArgs({ page, limit }));
+      const result = quotesService.getAuthors({ contains: optional(contains) }, optional(page), optional(limit));
+      return { ...result, authors: result.authors.map(({ slug }) => quotesService.getAuthor(slug)) };
+    },
+
+    tags: (_, args, context) => context.quotesService.getTagCounts().map(({ tag }) => findTag(context, tag))
+  },
+
+  Mutation: {
+    chat: async (_, { message, language, history }, { chatService }) => {
+      const body = { message, language, history: history || [] };
+      const errors = chatService.validateChatRequest(body);
+      if (errors.length > 0) {
+        throw badInput('Invalid chat request', errors);
+      }
+
+      const response = await chatService.generateResponse(message, language, body.history);
+      return {
+        response: response.message,
+        language: response.language,
+        direction: response.direction,
+        provider: response.provider,
+        timestamp: new Date().toISOString(),
+        quote: response.quote || null,
+        contextQuoteIds: response.contextQuoteIds || [],
+        fallback: Boolean(response.error || response.reason),
+        fallbackReason: response.reason || null,
+        skipped: response.skipped || []
+      };
+    }
+  },
+
+  Quote: {
+    text: (quote, _, context) => localized(quote, context).text,
+    authorName: (quote, _, context) => localized(quote, context).author,
+    author: (quote, _, { quotesService }) => {
+      // A localized quote may carry a translated author name
+      const original = quote.language ? quotesService.getQuoteById(quote.id) || quote : quote;
+      return quotesService.getAuthor(authorSlug(original.author));
+    },
+    tags: (quote, _, context) => quote.tags.map(tag => findTag(context, tag)),
+    language: (quote, _, context) => localized(quote, context).language,
+    direction: (quote, _, context) => localized(quote, context).direction,
+    fallback: (quote, _, context) => Boolean(localized(quote, context).fallback),
+    score: quote => (quote.match ? quote.match.score : null)
+  },
+
+  Author: {
+    tags: (author, _, context) => author.tags.map(tag => findTag(context, tag)),
+    quotes: (author, args, context) => quotePage(context, { author: author.slug }, args)
+  },
+
+  Tag: {
+    quotes: (tag, args, context) => quotePage(context, { tags: tag.name }, args)
+  }
+};
+
+// Attaches the resolvers to the fields of the schema built from typeDefs
+function createSchema() {
+  const schema = buildSchema(typeDefs);
+  Object.entries(resolvers).forEach(([typeName, fields]) => {
+    const typeFields = schema.getType(typeName).getFields();
+    Object.entries(fields).forEach(([fieldName, resolve]) => {
+      typeFields[fieldName].resolve = resolve;
+    });
+  });
+  return schema;
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  typeDefs,
+  createSchema
+};
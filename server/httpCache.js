@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+/**
+ * Conditional GET for responses that only depend on the quote collection
+ * The ETag is derived from the collection version and the request (URL,
+ * Accept and Accept-Language), so a client's copy can be confirmed as fresh
+ * before the response is computed.
+ */
+
+// Collection responses may be reused for a minute, then revalidated with their ETag
+const COLLECTION_CACHE_CONTROL = 'public, max-age=60';
+
+// Every call picks something new
+const NO_STORE = 'no-store';
+
+function requestEtag(req, version) {
+  const hash = crypto.createHash('sha256')
+    .update([version, req.originalUrl, req.get('Accept') || '', req.get('Accept-Language') || ''].join('\n'))
+    .digest('base64url')
+    .slice(0, 27);
+  return `"${hash}"`;
+}
+
+// Seconds until the given time, e.g. the next quote of the day rotation
+function maxAgeUntil(time, now = new Date()) {
+  return Math.max(0, Math.floor((time.getTime() - now.getTime()) / 1000));
+}
+
+/**
+ * Sets ETag, Last-Modified and Cache-Control, then answers 304 Not Modified
+ * when If-None-Match or If-Modified-Since show the client's copy is current.
+ * Returns true when the 304 was sent and the handler should stop.
+ */
+function sendNotModified(req, res, { version, lastModified, cacheControl = COLLECTION_CACHE_CONTROL }) {
+  res.set('ETag', requestEtag(req, version));
+  res.set('Last-Modified', lastModified.toUTCString());
+  res.set('Cache-Control', cacheControl);
+  res.vary('Accept');
+  res.vary('Accept-Language');
+
+  if (!req.fresh) {
+    return false;
+  }
+  res.status(304).end();
+  return true;
+}
+
+module.exports = {
+  COLLECTION_CACHE_CONTROL,
+  NO_STORE,
+  requestEtag,
+  maxAgeUntil,
+  sendNotModified
+};
@@ -0,0 +1,144 @@
+/**
+ * Language negotiation and quote translations
+ * Quotes are written in DEFAULT_LANGUAGE and may carry translations keyed by
+ * language code: { "ar": { "text": "...", "author": "..." } }
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Languages written right to left, matched on the primary subtag
+const RTL_LANGUAGES = ['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+function isValidLanguageCode(code) {
+  return typeof code === 'string' && LANGUAGE_CODE_PATTERN.test(code);
+}
+
+function baseLanguage(code) {
+  return code.split('-')[0];
+}
+
+function getTextDirection(language) {
+  return RTL_LANGUAGES.includes(baseLanguage(String(language).toLowerCase())) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Parses an Accept-Language header into language codes, most preferred first.
+ * Wildcards and ranges with q=0 are dropped.
+ */
+function parseAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') {
+    return [];
+  }
+
+  return header.split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { code: range.trim().toLowerCase(), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(({ code, quality }) => quality > 0 && isValidLanguageCode(code))
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ code }) => code);
+}
+
+/**
+ * Accepts { ar: 'text' } or { ar: { text, author } } and returns
+ * { ar: { text, author? } } with lowercase codes, skipping empty entries
+ */
+function normalizeTranslations(translations) {
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    return {};
+  }
+
+  const normalized = {};
+  Object.entries(translations).forEach(([code, value]) => {
+    const translation = typeof value === 'string' ? { text: value } : value;
+    if (!translation || typeof translation.text !== 'string' || translation.text.trim().length === 0) {
+      return;
+    }
+
+    normalized[code.toLowerCase()] = {
+      text: translation.text,
+      ...(typeof translation.author === 'string' && translation.author && { author: translation.author })
+    };
+  });
+
+  return normalized;
+}
+
+function validateTranslations(translations) {
+  if (translations === null || typeof translations !== 'object' || Array.isArray(translations)) {
+    return ['Translations must be an object keyed by language code'];
+  }
+
+  const errors = [];
+  Object.entries(translations).forEach(([code, value]) => {
+    if (!isValidLanguageCode(code)) {
+      errors.push(`Translation key "${code}" is not a valid language code`);
+      return;
+    }
+
+    const translation = typeof value === 'string' ? { text: value } : value;
+    if (!translation || typeof translation.text !== 'string' || translation.text.trim().length === 0 ||
+        translation.text.length > 1000) {
+      errors.push(`Translation "${code}" must have text of 1-1000 characters`);
+    }
+    if (translation && translation.author !== undefined &&
+        (typeof translation.author !== 'string' || translation.author.length > 200)) {
+      errors.push(`Translation "${code}" author must be a string of at most 200 characters`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Returns the quote in the first requested language it is available in.
+ * The result carries language and direction; fallback is true when a
+ * language was asked for but only the original text could be served.
+ */
+function localizeQuote(quote, languages = []) {
+  const { translations = {}, ...rest } = quote;
+
+  for (const requested of languages) {
+    const code = requested.toLowerCase();
+    if (baseLanguage(code) === DEFAULT_LANGUAGE) {
+      break;
+    }
+
+    const matched = translations[code] ? code : (translations[baseLanguage(code)] ? baseLanguage(code) : null);
+    if (matched) {
+      const translation = translations[matched];
+      return {
+        ...rest,
+        text: translation.text,
+        author: translation.author || quote.author,
+        language: matched,
+        direction: getTextDirection(matched),
+        fallback: false
+      };
+    }
+  }
+
+  const requestedOther = languages.length > 0 && baseLanguage(languages[0].toLowerCase()) !== DEFAULT_LANGUAGE;
+  return {
+    ...rest,
+    language: DEFAULT_LANGUAGE,
+    direction: getTextDirection(DEFAULT_LANGUAGE),
+    fallback: requestedOther
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  RTL_LANGUAGES,
+  isValidLanguageCode,
+  getTextDirection,
+  parseAcceptLanguage,
+  normalizeTranslations,
+  validateTranslations,
+  localizeQuote
+};
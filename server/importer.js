@@ -0,0 +1,291 @@
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+const { normalizeQuote, validateQuoteInput } = require('./quoteModel');
+const { parseCsvField } = require('./formatters');
+
+/**
+ * Reads quotes to import from CSV, newline-delimited JSON or a JSON quotes file
+ * CSV and JSONL are parsed as they stream in; JSON is read whole, in either
+ * shape a quotes file may have. Every record becomes an entry
+ * { row, quote } ready to add, or { row, error } explaining why it can't be.
+ * row is the 1-based position of the record in the input (CSV header excluded).
+ */
+
+// ndjson is another name for jsonl, matching the export format
+const IMPORT_FORMATS = ['csv', 'jsonl', 'ndjson', 'json'];
+
+const IMPORT_MEDIA_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'jsonl',
+  'application/jsonl': 'jsonl',
+  'application/json': 'json'
+};
+
+// CSV header names are matched case-insensitively against these
+const CSV_COLUMNS = ['id', 'text', 'quote', 'author', 'tags', 'translations', 'createdAt', 'updatedAt'];
+
+const FILE_EXTENSIONS = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.json': 'json'
+};
+
+function invalidImport(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
+
+/**
+ * Incremental RFC 4180 parser. push() takes text chunks and returns the rows
+ * completed so far, so quoted fields may span chunks and lines.
+ */
+class CsvParser {
+  constructor() {
+    this.row = [];
+    this.field = '';
+    this.inQuotes = false;
+    this.afterQuote = false;
+    this.started = false;
+  }
+
+  push(chunk) {
+    const rows = [];
+    let text = chunk;
+    if (!this.started) {
+      text = text.replace(/^\uFEFF/, '');
+      this.started = text.length > 0;
+    }
+
+    for (const char of text) {
+      if (this.inQuotes) {
+        if (char === '"') {
+          this.inQuotes = false;
+          this.afterQuote = true;
+        } else {
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        // A doubled quote inside a quoted field stands for one quote
+        if (this.afterQuote) this.field += '"';
+        this.inQuotes = true;
+      } else if (char === ',') {
+        this.endField();
+      } else if (char === '\n') {
+        this.endField();
+        rows.push(...this.endRow());
+      } else if (char !== '\r') {
+        this.field += char;
+      }
+      this.afterQuote = false;
+    }
+    return rows;
+  }
+
+  end() {
+    if (this.inQuotes) {
+      throw invalidImport('CSV ends inside a quoted field');
+    }
+    if (this.field.length === 0 && this.row.length === 0) {
+      return [];
+    }
+    this.endField();
+    return this.endRow();
+  }
+
+  endField() {
+    this.row.push(this.field);
+    this.field = '';
+  }
+
+  // Blank lines are skipped
+  endRow() {
+    const row = this.row;
+    this.row = [];
+    return row.length === 1 && row[0] === '' ? [] : [row];
+  }
+}
+
+/**
+ * Iterates a stream without destroying it when reading stops early, so an
+ * HTTP request can still be answered after a bad header
+ */
+function chunksOf(stream) {
+  return typeof stream.iterator === 'function' ? stream.iterator({ destroyOnReturn: false }) : stream;
+}
+
+async function* csvRecords(stream) {
+  const parser = new CsvParser();
+  const decoder = new StringDecoder('utf8');
+  let header = null;
+
+  const toRecords = rows => rows.flatMap(row => {
+    if (!header) {
+      header = row.map(name => {
+        const lower = name.trim().toLowerCase();
+        return CSV_COLUMNS.find(column => column.toLowerCase() === lower) || lower;
+      });
+      if (!header.includes('text') && !header.includes('quote')) {
+        throw invalidImport('CSV header must have a text (or quote) column');
+      }
+      return [];
+    }
+    return [Object.fromEntries(header.map((name, index) => [name, parseCsvField(row[index] === undefined ? '' : row[index])]))];
+  });
+
+  for await (const chunk of chunksOf(stream)) {
+    yield* toRecords(parser.push(typeof chunk === 'string' ? chunk : decoder.write(chunk)));
+  }
+  yield* toRecords(parser.push(decoder.end()));
+  yield* toRecords(parser.end());
+}
+
+async function* jsonlRecords(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim().length === 0) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      yield { parseError: `Line ${lineNumber} is not valid JSON: ${error.message}` };
+    }
+  }
+}
+
+async function* jsonRecords(source) {
+  let data = source;
+  if (source && typeof source.pipe === 'function') {
+    let text = '';
+    source.setEncoding('utf8');
+    for await (const chunk of source) {
+      text += chunk;
+    }
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw invalidImport(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  // Same shapes loadQuotes accepts: an array or { quotes: [...] }
+  const records = Array.isArray(data) ? data : data && Array.isArray(data.quotes) ? data.quotes : null;
+  if (!records) {
+    throw invalidImport('JSON must be an array of quotes or an object with a quotes array');
+  }
+  yield* records;
+}
+
+// Turns a parsed record into input for validateQuoteInput, or null for unusable types
+function toQuoteInput(record) {
+  if (typeof record === 'string') {
+    return { text: record };
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return null;
+  }
+
+  // CSV cells are always strings: empty means missing, tags are separated by ; or ,
+  // and translations are JSON (see exporter)
+  const blankToUndefined = value => (value === '' || value === null ? undefined : value);
+  const tags = typeof record.tags === 'string'
+    ? record.tags.split(/[;,]/).map(tag => tag.trim()).filter(tag => tag.length > 0)
+    : record.tags;
+  let translations = blankToUndefined(record.translations);
+  if (typeof translations === 'string') {
+    try {
+      translations = JSON.parse(translations);
+    } catch {
+      // Left as a string so validation reports it
+    }
+  }
+
+  return {
+    id: blankToUndefined(record.id),
+    text: record.text !== undefined ? record.text : record.quote,
+    author: blankToUndefined(record.author),
+    tags: blankToUndefined(tags),
+    translations,
+    createdAt: blankToUndefined(record.createdAt),
+    updatedAt: blankToUndefined(record.updatedAt)
+  };
+}
+
+// Timestamps are optional, but must be ISO 8601 dates when given
+function validateTimestamps(input) {
+  return ['createdAt', 'updatedAt']
+    .filter(name => input[name] !== undefined &&
+      (typeof input[name] !== 'string' || Number.isNaN(Date.parse(input[name]))))
+    .map(name => `${name} must be an ISO 8601 date`);
+}
+
+function toEntry(record, row) {
+  if (record && record.parseError) {
+    return { row, error: record.parseError };
+  }
+
+  const input = toQuoteInput(record);
+  if (!input) {
+    return { row, error: 'Quote must be a string or an object' };
+  }
+  const errors = [...validateQuoteInput(input), ...validateTimestamps(input)];
+  if (errors.length > 0) {
+    return { row, error: errors.join('; ') };
+  }
+
+  return {
+    row,
+    quote: normalizeQuote({
+      ...input,
+      text: input.text.trim(),
+      author: input.author && input.author.trim()
+    })
+  };
+}
+
+/**
+ * Reads every record from source (a readable stream, or for json also an
+ * already parsed value). Throws an error with code INVALID_IMPORT when the
+ * input as a whole can't be read.
+ */
+async function readImport(source, format) {
+  const readers = { csv: csvRecords, jsonl: jsonlRecords, ndjson: jsonlRecords, json: jsonRecords };
+  if (!readers[format]) {
+    throw invalidImport(`Import format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  // e.g. ?format=csv on a body a JSON or form parser has already consumed
+  if (format !== 'json' && !(source && typeof source.pipe === 'function')) {
+    throw invalidImport(`A ${format} import must be sent as a raw body, not as JSON or form data`);
+  }
+
+  const entries = [];
+  for await (const record of readers[format](source)) {
+    entries.push(toEntry(record, entries.length + 1));
+  }
+  return entries;
+}
+
+// Format from a Content-Type header, e.g. "text/csv; charset=utf-8"
+function formatFromMediaType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return IMPORT_MEDIA_TYPES[type];
+}
+
+function formatFromFileName(fileName) {
+  const match = String(fileName).toLowerCase().match(/\.[a-z]+$/);
+  return match ? FILE_EXTENSIONS[match[0]] : undefined;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  CsvParser,
+  readImport,
+  formatFromMediaType,
+  formatFromFileName
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+/**
+ * Opaque cursors for stable paging
+ * A cursor remembers the quote a page ended on (next) or started on (prev),
+ * so following it continues from that quote even when quotes were added or
+ * removed in front of it. If the quote is gone, the remembered offset is used.
+ */
+
+/**
+ * Fingerprint of the parameters that decide which quotes are listed and in
+ * what order. A cursor only works for the query it was issued for.
+ */
+function queryFingerprint(params) {
+  const normalized = Object.keys(params).sort()
+    .filter(key => params[key] !== undefined)
+    .map(key => [key, params[key]]);
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// Returns { direction, id, offset, fingerprint, seed? } or null when the cursor is malformed
+function decodeCursor(value) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > 512) {
+    return null;
+  }
+
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  const valid = cursor && typeof cursor === 'object' &&
+    ['next', 'prev'].includes(cursor.direction) &&
+    (cursor.id === null || typeof cursor.id === 'string') &&
+    Number.isInteger(cursor.offset) && cursor.offset >= 0 &&
+    typeof cursor.fingerprint === 'string' &&
+    (cursor.seed === undefined || typeof cursor.seed === 'string');
+
+  return valid ? cursor : null;
+}
+
+/**
+ * Cursors leading from a page that starts at offset to its neighbours.
+ * context ({ fingerprint, seed }) is stored in the cursors.
+ */
+function pageCursors(page, offset, total, context = {}) {
+  const end = offset + page.length;
+  return {
+    nextCursor: end < total
+      ? encodeCursor({ direction: 'next', id: page.length > 0 ? page[page.length - 1].id : null, offset: end, ...context })
+      : null,
+    prevCursor: offset > 0
+      ? encodeCursor({ direction: 'prev', id: page.length > 0 ? page[0].id : null, offset, ...context })
+      : null
+  };
+}
+
+/**
+ * Slices the page a cursor points to out of the ordered items.
+ * Returns { items, offset, nextCursor, prevCursor }.
+ */
+function cursorPage(items, { cursor, limit = 10, context = {} }) {
+  const anchor = cursor.id === null ? -1 : items.findIndex(item => item.id === cursor.id);
+  let start;
+  let end;
+
+  if (cursor.direction === 'next') {
+    start = anchor >= 0 ? anchor + 1 : Math.min(cursor.offset, items.length);
+    end = Math.min(start + limit, items.length);
+  } else {
+    end = anchor >= 0 ? anchor : Math.min(cursor.offset, items.length);
+    start = Math.max(0, end - limit);
+  }
+
+  const page = items.slice(start, end);
+  return {
+    items: page,
+    offset: start,
+    ...pageCursors(page, start, items.length, context)
+  };
+}
+
+/**
+ * RFC 8288 Link header value with next/prev links, e.g.
+ * </api/v1/quotes?limit=10&cursor=abc>; rel="next"
+ */
+function buildLinkHeader(path, query, { nextCursor, prevCursor }) {
+  const link = (cursor, rel) => {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (['cursor', 'page'].includes(key)) return;
+      [].concat(value).forEach(item => params.append(key, item));
+    });
+    params.set('cursor', cursor);
+    return `<${path}?${params.toString()}>; rel="${rel}"`;
+  };
+
+  return [
+    nextCursor && link(nextCursor, 'next'),
+    prevCursor && link(prevCursor, 'prev')
+  ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  queryFingerprint,
+  encodeCursor,
+  decodeCursor,
+  pageCursors,
+  cursorPage,
+  buildLinkHeader
+};
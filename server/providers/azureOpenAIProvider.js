@@ -0,0 +1,87 @@
+const OpenAIProvider = require('./openaiProvider');
+const providerError = require('./providerError');
+
+/**
+ * Chat provider for Azure OpenAI
+ * Same chat completions API as OpenAI, addressed by deployment:
+ * `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=...`
+ * with the key in an api-key header. Prompts or replies blocked by Azure's
+ * content filter fail with reason content_filter.
+ */
+
+const DEFAULT_API_VERSION = '2024-06-01';
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor({ apiKey, endpoint, deployment, apiVersion = DEFAULT_API_VERSION } = {}) {
+    super({ apiKey, model: deployment, baseUrl: endpoint || '' });
+    this.name = 'azure';
+    this.deployment = deployment;
+    this.apiVersion = apiVersion;
+  }
+
+  init() {
+    const missing = [
+      !this.apiKey && 'AZURE_OPENAI_API_KEY',
+      !this.baseUrl && 'AZURE_OPENAI_ENDPOINT',
+      !this.deployment && 'AZURE_OPENAI_DEPLOYMENT_NAME'
+    ].filter(Boolean);
+    if (missing.length > 0) {
+      console.log(`${missing.join(', ')} not found, using fallback responses`);
+      return false;
+    }
+    this.ready = true;
+    console.log(`Azure OpenAI provider initialized (deployment ${this.deployment})`);
+    return true;
+  }
+
+  endpoint() {
+    const query = new URLSearchParams({ 'api-version': this.apiVersion });
+    return `${this.baseUrl}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions?${query}`;
+  }
+
+  headers() {
+    return { 'api-key': this.apiKey };
+  }
+
+  // The deployment decides the model
+  requestBody(request) {
+    const body = super.requestBody(request);
+    delete body.model;
+    return body;
+  }
+
+  // A filtered prompt is refused with 400 and error code content_filter
+  responseError(status, body) {
+    if (body && body.error && body.error.code === 'content_filter') {
+      return providerError('azure prompt was blocked by the content filter', { status, reason: 'content_filter' });
+    }
+    return super.responseError(status, body);
+  }
+
+  // A filtered reply is cut off with finish_reason content_filter
+  replyText(choice) {
+    if (choice && choice.finish_reason === 'content_filter') {
+      throw providerError('azure reply was blocked by the content filter', { reason: 'content_filter' });
+    }
+    return super.replyText(choice);
+  }
+
+  deltaText(choice) {
+    if (choice && choice.finish_reason === 'content_filter') {
+      throw providerError('azure reply was blocked by the content filter', { reason: 'content_filter' });
+    }
+    return super.deltaText(choice);
+  }
+
+  health() {
+    return {
+      name: this.name,
+      ready: this.ready,
+      model: this.deployment,
+      endpoint: this.baseUrl,
+      apiVersion: this.apiVersion
+    };
+  }
+}
+
+module.exports = AzureOpenAIProvider;
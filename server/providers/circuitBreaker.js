@@ -0,0 +1,67 @@
+/**
+ * Circuit breaker for one provider
+ * After failureThreshold failures in a row the circuit opens and the
+ * provider is skipped. Once resetTimeoutMs has passed it is half-open: one
+ * request is let through as a trial, closing the circuit on success and
+ * opening it again on failure. Every allowed request must be followed by
+ * recordSuccess, recordFailure, or recordCancelled when the caller gave up
+ * on it, which says nothing about the provider.
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 3, resetTimeoutMs = 30000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialPending = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return this.now() - this.openedAt >= this.resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  allowRequest() {
+    const { state } = this;
+    if (state === 'closed') {
+      return true;
+    }
+    if (state === 'open' || this.trialPending) {
+      return false;
+    }
+    this.trialPending = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialPending = false;
+  }
+
+  recordFailure() {
+    this.trialPending = false;
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+    }
+  }
+
+  recordCancelled() {
+    this.trialPending = false;
+  }
+
+  status() {
+    const { state } = this;
+    return {
+      state,
+      failures: this.failures,
+      ...(state === 'open' && { retryAt: new Date(this.openedAt + this.resetTimeoutMs).toISOString() })
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,68 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Chat provider for Google Gemini
+ * Gemini has no system role in chats, so the system prompt opens the
+ * history as a user turn the model has acknowledged.
+ */
+class GeminiProvider {
+  constructor({ apiKey, model = 'gemini-1.5-flash' } = {}) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.modelName = model;
+    this.model = null;
+  }
+
+  init() {
+    if (!this.apiKey) {
+      console.log('GEMINI_API_KEY not found, using fallback responses');
+      return false;
+    }
+
+    try {
+      const genAI = new GoogleGenerativeAI(this.apiKey);
+      this.model = genAI.getGenerativeModel({ model: this.modelName });
+      console.log('Gemini AI initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize Gemini:', error);
+      this.model = null;
+      return false;
+    }
+  }
+
+  startChat({ systemPrompt, history = [] }) {
+    return this.model.startChat({
+      history: [
+        { role: 'user', parts: [{ text: systemPrompt }] },
+        { role: 'model', parts: [{ text: 'I understand. I\'ll provide helpful, inspiring responses about quotes and life wisdom in the requested language.' }] },
+        ...history.map(msg => ({
+          role: msg.role === 'user' ? 'user' : 'model',
+          parts: [{ text: msg.content }]
+        }))
+      ]
+    });
+  }
+
+  async generate(request, { signal } = {}) {
+    const result = await this.startChat(request).sendMessage(request.message, { signal });
+    const response = await result.response;
+    return response.text();
+  }
+
+  async *stream(request, { signal } = {}) {
+    const result = await this.startChat(request).sendMessageStream(request.message, { signal });
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  health() {
+    return { name: this.name, ready: this.model !== null, model: this.modelName };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,119 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const { ProviderChain } = require('./providerChain');
+
+/**
+ * AI providers for the chat
+ *
+ * Every provider implements:
+ *   name                                      e.g. 'gemini'
+ *   init()                                    set up the client; false when not configured
+ *   generate({ systemPrompt, message, history }, { signal })
+ *                                             async, the reply text; throws on failure,
+ *                                             with a reason when the cause is worth reporting;
+ *                                             signal aborts the request when it times out
+ *                                             or is cancelled
+ *   stream({ systemPrompt, message, history }, { signal })
+ *                                             async iterable of the reply text in chunks,
+ *                                             as the model generates it; fails like generate
+ *   health()                                  { name, ready, model, ... } without calling out
+ *
+ * history is [{ role: 'user' | 'assistant', content }], oldest first.
+ * 'fallback' stands for no provider: the chat answers with a quote.
+ * AI_PROVIDERS lists providers to try in order (see providerChain).
+ */
+
+const PROVIDER_NAMES = ['gemini', 'openai', 'azure', 'fallback'];
+
+// Picks the provider from AI_PROVIDER, configured from its environment variables
+function createProvider(name = process.env.AI_PROVIDER || 'gemini', env = process.env) {
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_MODEL || undefined
+      });
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || undefined,
+        baseUrl: env.OPENAI_BASE_URL || undefined
+      });
+    case 'azure':
+      return new AzureOpenAIProvider({
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        deployment: env.AZURE_OPENAI_DEPLOYMENT_NAME,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || undefined
+      });
+    case 'fallback':
+      return null;
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}", expected ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
+
+// Prefix of each provider's environment variables, e.g. AZURE_OPENAI_TIMEOUT_MS
+const ENV_PREFIXES = { gemini: 'GEMINI', openai: 'OPENAI', azure: 'AZURE_OPENAI' };
+
+function envInteger(value, fallback) {
+  return value !== undefined && /^\d+$/.test(value) ? parseInt(value) : fallback;
+}
+
+// Reads AI_PROVIDERS (e.g. "gemini,openai,fallback"), or AI_PROVIDER alone
+function providerNames(env = process.env) {
+  const names = env.AI_PROVIDERS
+    ? env.AI_PROVIDERS.split(',').map(name => name.trim()).filter(name => name.length > 0)
+    : [env.AI_PROVIDER || 'gemini'];
+
+  const unknown = names.find(name => !PROVIDER_NAMES.includes(name));
+  if (unknown) {
+    throw new Error(`Unknown AI provider "${unknown}", expected ${PROVIDER_NAMES.join(', ')}`);
+  }
+  if (new Set(names).size !== names.length) {
+    throw new Error('AI_PROVIDERS lists a provider more than once');
+  }
+  if (names.includes('fallback') && names[names.length - 1] !== 'fallback') {
+    throw new Error('fallback must be the last of AI_PROVIDERS');
+  }
+  return names;
+}
+
+/**
+ * Creates the providers named in AI_PROVIDERS and a chain over the ones
+ * that are configured, with timeouts, retries and circuit breakers from
+ * the environment. Returns { names, providers, chain }; providers holds
+ * every named provider, ready or not.
+ */
+function createProviderChain(env = process.env) {
+  const names = providerNames(env);
+  const providers = names.map(name => createProvider(name, env)).filter(Boolean);
+  const ready = providers.filter(provider => provider.init());
+
+  const timeouts = {};
+  providers.forEach(({ name }) => {
+    const timeout = envInteger(env[`${ENV_PREFIXES[name]}_TIMEOUT_MS`]);
+    if (timeout) timeouts[name] = timeout;
+  });
+
+  const chain = new ProviderChain(ready, {
+    timeoutMs: envInteger(env.AI_TIMEOUT_MS),
+    timeouts,
+    retries: envInteger(env.AI_RETRIES),
+    backoffMs: envInteger(env.AI_RETRY_BACKOFF_MS),
+    failureThreshold: envInteger(env.AI_CIRCUIT_FAILURE_THRESHOLD),
+    resetTimeoutMs: envInteger(env.AI_CIRCUIT_RESET_MS)
+  });
+  return { names, providers, chain };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createProvider,
+  providerNames,
+  createProviderChain,
+  GeminiProvider,
+  OpenAIProvider,
+  AzureOpenAIProvider
+};
@@ -0,0 +1,143 @@
+const providerError = require('./providerError');
+
+/**
+ * Chat provider for any OpenAI-compatible chat completions API
+ * (OpenAI itself, or a local server such as Ollama or vLLM via baseUrl).
+ * Requests go to `${baseUrl}/chat/completions` with a bearer token.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// The data of each server-sent event in a response body
+async function* eventData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+}
+
+class OpenAIProvider {
+  constructor({ apiKey, model = 'gpt-3.5-turbo', baseUrl = DEFAULT_BASE_URL } = {}) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.ready = false;
+  }
+
+  init() {
+    if (!this.apiKey) {
+      console.log('OPENAI_API_KEY not found, using fallback responses');
+      return false;
+    }
+    this.ready = true;
+    console.log(`OpenAI-compatible provider initialized (${this.model} at ${this.baseUrl})`);
+    return true;
+  }
+
+  endpoint() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  headers() {
+    return { Authorization: `Bearer ${this.apiKey}` };
+  }
+
+  requestBody({ systemPrompt, message, history = [] }) {
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...history.map(msg => ({ role: msg.role, content: msg.content })),
+        { role: 'user', content: message }
+      ]
+    };
+  }
+
+  // The error an unsuccessful response stands for; body is its parsed JSON, if any
+  responseError(status, body) {
+    const detail = body && body.error && body.error.message ? `: ${body.error.message}` : '';
+    return providerError(`${this.name} request failed with status ${status}${detail}`, { status });
+  }
+
+  post(body, signal) {
+    return fetch(this.endpoint(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers() },
+      body: JSON.stringify(body),
+      signal
+    });
+  }
+
+  async generate(request, { signal } = {}) {
+    const response = await this.post(this.requestBody(request), signal);
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch {
+      // Leave body null; a successful response without JSON is reported below
+    }
+
+    if (!response.ok) {
+      throw this.responseError(response.status, body);
+    }
+
+    return this.replyText(body && Array.isArray(body.choices) ? body.choices[0] : null);
+  }
+
+  /**
+   * Yields the reply text as it is generated, using the streamed
+   * (stream: true) form of chat completions
+   */
+  async *stream(request, { signal } = {}) {
+    const response = await this.post({ ...this.requestBody(request), stream: true }, signal);
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      throw this.responseError(response.status, body);
+    }
+
+    for await (const data of eventData(response.body)) {
+      if (data === '[DONE]') {
+        return;
+      }
+      const event = JSON.parse(data);
+      if (event.error) {
+        throw providerError(`${this.name} stream failed: ${event.error.message}`);
+      }
+      const text = this.deltaText(Array.isArray(event.choices) ? event.choices[0] : null);
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  // The text of the first choice of a successful response
+  replyText(choice) {
+    const content = choice && choice.message ? choice.message.content : null;
+    if (typeof content !== 'string') {
+      throw providerError(`${this.name} response has no message`, { reason: 'invalid_response' });
+    }
+    return content;
+  }
+
+  // The text a streamed chunk adds to the reply; chunks may carry none
+  deltaText(choice) {
+    return choice && choice.delta ? choice.delta.content : null;
+  }
+
+  health() {
+    return { name: this.name, ready: this.ready, model: this.model, baseUrl: this.baseUrl };
+  }
+}
+
+module.exports = OpenAIProvider;
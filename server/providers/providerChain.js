@@ -0,0 +1,223 @@
+const CircuitBreaker = require('./circuitBreaker');
+const providerError = require('./providerError');
+
+/**
+ * Ordered failover over the configured providers
+ * Each provider gets a timeout per attempt and a few retries with jittered
+ * exponential backoff for transient failures (timeouts, network errors,
+ * 429 and 5xx). A provider that keeps failing is skipped by its circuit
+ * breaker until it has had time to recover. The first provider to answer
+ * wins; the ones before it are reported with the reason they were skipped.
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Failures that may go away when the same request is sent again
+function isRetryable(error) {
+  if (error.reason) {
+    return error.reason === 'timeout';
+  }
+  return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+// Settles like promise unless ms pass first; then runs onTimeout and fails
+// with reason timeout
+async function raceTimeout(promise, ms, message, onTimeout) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      onTimeout();
+      reject(providerError(message, { reason: 'timeout' }));
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Runs call(signal), aborting it and failing with reason timeout after ms.
+// Aborting the optional parent signal aborts the call too, until it returns.
+async function withTimeout(call, ms, name, parent) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (parent) {
+    if (parent.aborted) {
+      abort();
+    }
+    parent.addEventListener('abort', abort, { once: true });
+  }
+
+  try {
+    return await raceTimeout(call(controller.signal), ms, `${name} did not answer within ${ms}ms`, abort);
+  } finally {
+    if (parent) {
+      parent.removeEventListener('abort', abort);
+    }
+  }
+}
+
+class ProviderChain {
+  constructor(providers, {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    timeouts = {},
+    retries = 1,
+    backoffMs = 250,
+    maxBackoffMs = 2000,
+    failureThreshold = 3,
+    resetTimeoutMs = 30000,
+    random = Math.random,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    now = Date.now
+  } = {}) {
+    this.entries = providers.map(provider => ({
+      provider,
+      timeoutMs: timeouts[provider.name] || timeoutMs,
+      breaker: new CircuitBreaker({ failureThreshold, resetTimeoutMs, now })
+    }));
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.random = random;
+    this.sleep = sleep;
+  }
+
+  get providers() {
+    return this.entries.map(entry => entry.provider);
+  }
+
+  // Full jitter: anywhere up to the exponential delay for this retry
+  backoffDelay(retry) {
+    return Math.floor(this.random() * Math.min(this.maxBackoffMs, this.backoffMs * 2 ** retry));
+  }
+
+  async attempt({ provider, timeoutMs }, call, parent) {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await withTimeout(signal => call(provider, signal), timeoutMs, provider.name, parent);
+      } catch (error) {
+        if (retry >= this.retries || !isRetryable(error) || (parent && parent.aborted)) {
+          throw error;
+        }
+        await this.sleep(this.backoffDelay(retry));
+      }
+    }
+  }
+
+  /**
+   * Calls call(provider, signal) on each provider in turn until one succeeds.
+   * Returns { result, provider, skipped } where skipped lists the providers
+   * tried or passed over before it as { provider, reason }. When none answers,
+   * throws an error with reason no_provider and the same skipped list.
+   */
+  async run(call) {
+    const { result, entry, skipped } = await this.failover(call);
+    return { result, provider: entry.provider.name, skipped };
+  }
+
+  /**
+   * run for streamed replies: open(provider, signal) returns an async iterable
+   * of text chunks. A provider has answered once its first chunk arrives
+   * within its timeout, so failover only happens before anything has been
+   * streamed; after that each chunk must follow the last within the same
+   * timeout. Returns { chunks, provider, skipped } where chunks yields the
+   * whole reply and throws if the provider fails or stalls part way.
+   * Aborting signal cancels the request without counting against the provider.
+   */
+  async runStream(open, { signal } = {}) {
+    const { result, entry, skipped } = await this.failover(async (provider, attemptSignal) => {
+      // The stream outlives the attempt, so it gets a signal of its own
+      const controller = new AbortController();
+      attemptSignal.addEventListener('abort', () => controller.abort(), { once: true });
+      const iterator = open(provider, controller.signal)[Symbol.asyncIterator]();
+      const first = await iterator.next();
+      if (first.done) {
+        throw providerError(`${provider.name} stream ended without a reply`, { reason: 'invalid_response' });
+      }
+      return { first: first.value, iterator, controller };
+    }, signal);
+
+    return { chunks: this.continueStream(entry, result, signal), provider: entry.provider.name, skipped };
+  }
+
+  async *continueStream({ provider, timeoutMs, breaker }, { first, iterator, controller }, signal) {
+    const abort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+
+    try {
+      yield first;
+      for (;;) {
+        const { done, value } = await raceTimeout(iterator.next(), timeoutMs,
+          `${provider.name} sent nothing for ${timeoutMs}ms`, abort);
+        if (done) break;
+        yield value;
+      }
+    } catch (error) {
+      if (!(signal && signal.aborted)) {
+        console.error(`AI provider ${provider.name} failed mid-stream:`, error.message);
+        breaker.recordFailure();
+      }
+      throw error;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      // Ends the request when the reader stops early
+      abort();
+    }
+  }
+
+  async failover(call, signal) {
+    const skipped = [];
+
+    for (const entry of this.entries) {
+      const { provider, breaker } = entry;
+      if (!breaker.allowRequest()) {
+        skipped.push({ provider: provider.name, reason: 'circuit_open' });
+        continue;
+      }
+
+      try {
+        const result = await this.attempt(entry, call, signal);
+        breaker.recordSuccess();
+        return { result, entry, skipped };
+      } catch (error) {
+        if (signal && signal.aborted) {
+          breaker.recordCancelled();
+          throw error;
+        }
+        console.error(`AI provider ${provider.name} failed:`, error.message);
+        // A content filter block is an answer, so the provider is up
+        if (error.reason === 'content_filter') {
+          breaker.recordSuccess();
+        } else {
+          breaker.recordFailure();
+        }
+        skipped.push({ provider: provider.name, reason: error.reason || 'provider_error' });
+      }
+    }
+
+    const error = providerError('No AI provider could answer', { reason: 'no_provider' });
+    error.skipped = skipped;
+    throw error;
+  }
+
+  status() {
+    return this.entries.map(({ provider, timeoutMs, breaker }) => ({
+      ...provider.health(),
+      timeoutMs,
+      circuit: breaker.status()
+    }));
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  ProviderChain,
+  isRetryable,
+  withTimeout
+};
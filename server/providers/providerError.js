@@ -0,0 +1,15 @@
+/**
+ * Error from a chat provider, with code PROVIDER_ERROR. status is the HTTP
+ * status of a failed upstream response; reason, when set, is a short
+ * machine-readable cause such as content_filter, reported with the
+ * fallback answer.
+ */
+function providerError(message, { status, reason } = {}) {
+  const error = new Error(message);
+  error.code = 'PROVIDER_ERROR';
+  if (status !== undefined) error.status = status;
+  if (reason !== undefined) error.reason = reason;
+  return error;
+}
+
+module.exports = providerError;
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { normalizeTranslations, validateTranslations } = require('./i18n');
+
+/**
+ * Quote normalization and validation shared by the service and storage adapters
+ * Supports both file formats: ["..."] and {"quotes": ["..."]}
+ */
+
+/**
+ * Derives a stable ID from the quote content so links survive restarts
+ */
+function generateId(text, author) {
+  const content = `${String(text).trim().normalize('NFC')}\n${String(author).trim().normalize('NFC')}`;
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+// Author names that all mean "we don't know who said it"
+const UNKNOWN_AUTHORS = ['unknown', 'anonymous', 'anon', 'unattributed'];
+const UNKNOWN_AUTHOR_SLUG = 'unknown';
+
+/**
+ * Lowercase, hyphen-separated words, e.g. "Martin Luther King Jr." ->
+ * "martin-luther-king-jr". Accents are dropped, other letters (Arabic,
+ * Kurdish, ...) are kept.
+ */
+function slugify(value) {
+  const words = String(value || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+
+  return words ? words.join('-') : '';
+}
+
+// Unknown, anonymous and missing authors all share one slug
+function authorSlug(author) {
+  const slug = slugify(author);
+  return !slug || UNKNOWN_AUTHORS.includes(slug) ? UNKNOWN_AUTHOR_SLUG : slug;
+}
+
+function hasExplicitId(quote) {
+  return typeof quote === 'object' && quote !== null &&
+    quote.id !== undefined && quote.id !== null && quote.id !== '';
+}
+
+/**
+ * Accepts an array or a comma-separated string and returns unique,
+ * lowercase, hyphenated tags (e.g. "Hard Work" -> "hard-work")
+ */
+function normalizeTags(tags) {
+  let list = [];
+  if (Array.isArray(tags)) {
+    list = tags;
+  } else if (typeof tags === 'string') {
+    list = tags.split(',');
+  }
+
+  const normalized = list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+    .filter(tag => tag.length > 0);
+
+  return [...new Set(normalized)];
+}
+
+function normalizeQuote(quote) {
+  // Handle string quotes (convert to object)
+  if (typeof quote === 'string') {
+    return {
+      id: generateId(quote, 'Unknown'),
+      text: quote,
+      author: 'Unknown',
+      tags: []
+    };
+  }
+
+  // Handle object quotes (ensure required fields)
+  if (typeof quote === 'object' && quote !== null) {
+    const text = quote.text || quote.quote || '';
+    const author = quote.author || 'Unknown';
+    const translations = normalizeTranslations(quote.translations);
+
+    return {
+      id: hasExplicitId(quote) ? String(quote.id) : generateId(text, author),
+      text,
+      author,
+      tags: normalizeTags(quote.tags),
+      ...(Object.keys(translations).length > 0 && { translations }),
+      ...(quote.createdAt && { createdAt: quote.createdAt }),
+      ...(quote.updatedAt && { updatedAt: quote.updatedAt })
+    };
+  }
+
+  throw new Error('Invalid quote format');
+}
+
+/**
+ * Normalizes raw quotes and makes sure every ID is unique.
+ * Explicit IDs must not repeat; generated IDs that collide (identical
+ * content, or a clash with an explicit ID) get a numeric suffix in file order.
+ */
+function buildCollection(rawQuotes) {
+  const quotes = rawQuotes.map(quote => normalizeQuote(quote));
+  const explicitIds = new Map();
+
+  rawQuotes.forEach((rawQuote, index) => {
+    if (!hasExplicitId(rawQuote)) return;
+
+    const id = quotes[index].id;
+    if (explicitIds.has(id)) {
+      throw new Error(`Duplicate quote ID "${id}" at index ${index} (already used at index ${explicitIds.get(id)})`);
+    }
+    explicitIds.set(id, index);
+  });
+
+  const takenIds = new Set(explicitIds.keys());
+  rawQuotes.forEach((rawQuote, index) => {
+    if (hasExplicitId(rawQuote)) return;
+
+    const baseId = quotes[index].id;
+    let id = baseId;
+    for (let suffix = 2; takenIds.has(id); suffix++) {
+      id = `${baseId}-${suffix}`;
+    }
+    quotes[index].id = id;
+    takenIds.add(id);
+  });
+
+  return quotes;
+}
+
+// The raw quotes of a parsed quotes file in either supported format
+function quotesOf(data) {
+  if (Array.isArray(data)) {
+    // Format: ["quote1", "quote2", ...]
+    return data;
+  }
+  if (data && Array.isArray(data.quotes)) {
+    // Format: {"quotes": ["quote1", "quote2", ...]}
+    return data.quotes;
+  }
+  throw new Error('Invalid quotes file format');
+}
+
+// Accepts the parsed contents of a quotes file in either supported format
+function parseQuotesData(data) {
+  return buildCollection(quotesOf(data));
+}
+
+function validateQuoteInput(body, { partial = false } = {}) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+
+  if (!partial || body.text !== undefined) {
+    if (typeof body.text !== 'string' || body.text.trim().length === 0) {
+      errors.push('Text is required and must be a non-empty string');
+    } else if (body.text.length > 1000) {
+      errors.push('Text must be less than 1000 characters');
+    }
+  }
+
+  if (body.author !== undefined && (typeof body.author !== 'string' || body.author.length > 200)) {
+    errors.push('Author must be a string of at most 200 characters');
+  }
+
+  if (body.tags !== undefined) {
+    const validTags = Array.isArray(body.tags) && body.tags.length <= 20 &&
+      body.tags.every(tag => typeof tag === 'string' && tag.trim().length > 0 && tag.length <= 50);
+    if (!validTags) {
+      errors.push('Tags must be an array of at most 20 non-empty strings (max 50 characters each)');
+    }
+  }
+
+  if (body.translations !== undefined) {
+    errors.push(...validateTranslations(body.translations));
+  }
+
+  if (body.id !== undefined && (typeof body.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(body.id))) {
+    errors.push('ID must be 1-64 letters, digits, hyphens or underscores');
+  }
+
+  return errors;
+}
+
+/**
+ * Checks a quote against the listing filters.
+ * tagMode 'any' matches quotes with at least one of the tags, 'all' requires every tag.
+ * author compares slugs, minLength/maxLength apply to the text and exclude lists IDs to skip.
+ */
+function matchesFilters(quote, { contains, tags, tagMode = 'any', author, minLength, maxLength, exclude } = {}) {
+  if (exclude && exclude.includes(quote.id)) {
+    return false;
+  }
+
+  if (author && authorSlug(quote.author) !== authorSlug(author)) {
+    return false;
+  }
+
+  if ((minLength !== undefined && quote.text.length < minLength) ||
+      (maxLength !== undefined && quote.text.length > maxLength)) {
+    return false;
+  }
+
+  if (contains) {
+    const searchTerm = contains.toLowerCase();
+    const found = quote.text.toLowerCase().includes(searchTerm) ||
+      quote.author.toLowerCase().includes(searchTerm);
+    if (!found) return false;
+  }
+
+  const wantedTags = normalizeTags(tags);
+  if (wantedTags.length > 0) {
+    return tagMode === 'all'
+      ? wantedTags.every(tag => quote.tags.includes(tag))
+      : wantedTags.some(tag => quote.tags.includes(tag));
+  }
+
+  return true;
+}
+
+// Sort orders the storage adapters support, besides collection order
+const SORT_FIELDS = ['author', 'length', 'id'];
+
+const SORT_KEYS = {
+  author: quote => quote.author.toLowerCase(),
+  length: quote => quote.text.length,
+  id: quote => quote.id
+};
+
+/**
+ * Sorts a copy of the quotes by author, text length or ID.
+ * Ties keep collection order, also when sorting descending.
+ */
+function sortQuotes(quotes, sort, order = 'asc') {
+  const key = SORT_KEYS[sort];
+  if (!key) {
+    return [...quotes];
+  }
+
+  const direction = order === 'desc' ? -1 : 1;
+  return quotes
+    .map((quote, position) => ({ quote, position, value: key(quote) }))
+    .sort((a, b) => {
+      if (a.value < b.value) return -direction;
+      if (a.value > b.value) return direction;
+      return a.position - b.position;
+    })
+    .map(({ quote }) => quote);
+}
+
+module.exports = {
+  UNKNOWN_AUTHOR_SLUG,
+  SORT_FIELDS,
+  slugify,
+  authorSlug,
+  generateId,
+  hasExplicitId,
+  normalizeTags,
+  normalizeQuote,
+  buildCollection,
+  quotesOf,
+  parseQuotesData,
+  validateQuoteInput,
+  matchesFilters,
+  sortQuotes
+};
@@ -0,0 +1,92 @@
+/**
+ * Calendar helpers for the quote of the day
+ * Works out the current day in a given timezone and when it rolls over
+ */
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+}
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant of local midnight at the start of a calendar day, corrected twice so DST changes are respected
+function getLocalMidnight(year, month, day, timeZone) {
+  const midnightUtc = Date.UTC(year, month - 1, day);
+  let midnight = midnightUtc - getTimeZoneOffset(new Date(midnightUtc), timeZone);
+  midnight = midnightUtc - getTimeZoneOffset(new Date(midnight), timeZone);
+  return new Date(midnight);
+}
+
+/**
+ * Returns the calendar date (YYYY-MM-DD) in the timezone, the instant the
+ * day started and the instant of the next local midnight, when the quote
+ * of the day rotates
+ */
+function getDailyRotation(timeZone = 'UTC', now = new Date()) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  const date = [
+    String(year).padStart(4, '0'),
+    String(month).padStart(2, '0'),
+    String(day).padStart(2, '0')
+  ].join('-');
+
+  return {
+    date,
+    start: getLocalMidnight(year, month, day, timeZone),
+    // Date.UTC rolls day + 1 over into the next month or year
+    nextRotation: getLocalMidnight(year, month, day + 1, timeZone)
+  };
+}
+
+// The last count days up to and including today, newest first, as { date, start }
+function getPastDays(timeZone = 'UTC', count = 1, now = new Date()) {
+  const days = [];
+  let instant = now;
+  for (let i = 0; i < count; i++) {
+    const { date, start } = getDailyRotation(timeZone, instant);
+    days.push({ date, start });
+    instant = new Date(start.getTime() - 1);
+  }
+  return days;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getDailyRotation,
+  getPastDays
+};
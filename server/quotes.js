@@ -1,126 +1,572 @@
 const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const {
+  UNKNOWN_AUTHOR_SLUG,
+  slugify,
+  authorSlug,
+  generateId,
+  normalizeQuote,
+  normalizeTags,
+  validateQuoteInput,
+  matchesFilters,
+  sortQuotes
+} = require('./quoteModel');
+const { JsonFileStorage, DEFAULT_QUOTES_FILE } = require('./storage');
+const { SearchIndex, keywords } = require('./searchIndex');
+const { createRandom, generateSeed, shuffle, sample } = require('./random');
+const { cursorPage } = require('./pagination');
+const { findDuplicates, DEFAULT_THRESHOLD } = require('./dedupe');
+const { describeProblem } = require('./quotesFileSchema');
+
+// Keywords from earlier chat messages count half as much as the message's own
+const CONTEXT_WEIGHT = 0.5;
+// Keeps scoring a long message cheap; the first keywords are kept
+const MAX_KEYWORDS = 32;
 
 /**
- * Loads and normalizes quotes from JSON file
- * Supports both formats: ["..."] and {"quotes": ["..."]}
+ * Quote collection service on top of a storage adapter
+ * Defaults to the JSON file adapter; see server/storage for the others.
  */
 class QuotesService {
-  constructor(quotesPath = null) {
-    this.quotesPath = quotesPath || path.join(__dirname, '..', 'quotes.json');
-    this.quotes = [];
+  constructor(quotesPath = null, { storage = null } = {}) {
+    this.quotesPath = quotesPath || DEFAULT_QUOTES_FILE;
+    this.storage = storage || new JsonFileStorage(this.quotesPath);
+    this.lastReload = null;
+    this.searchIndex = null;
+    this.authorIndex = null;
+    this.version = null;
+    this.changedAt = null;
+    this.watchTimer = null;
+    this.watchListener = null;
+    // Mutations run one after another so concurrent writes never overwrite each other
+    this.writeQueue = Promise.resolve();
     this.loadQuotes();
   }
 
   loadQuotes() {
     try {
-      const quotesFile = fs.readFileSync(this.quotesPath, 'utf8');
-      const data = JSON.parse(quotesFile);
-      
-      // Handle different formats
-      if (Array.isArray(data)) {
-        // Format: ["quote1", "quote2", ...]
-        this.quotes = data.map(quote => this.normalizeQuote(quote));
-      } else if (data.quotes && Array.isArray(data.quotes)) {
-        // Format: {"quotes": ["quote1", "quote2", ...]}
-        this.quotes = data.quotes.map(quote => this.normalizeQuote(quote));
-      } else {
-        throw new Error('Invalid quotes file format');
-      }
-
-      console.log(`Loaded ${this.quotes.length} quotes successfully`);
+      this.storage.load();
+      this.collectionChanged();
+      this.getSearchIndex();
+      this.warnAboutProblems();
+      console.log(`Loaded ${this.storage.count()} quotes successfully`);
     } catch (error) {
       console.error('Error loading quotes file:', error);
       throw error;
     }
   }
 
-  normalizeQuote(quote) {
-    // Handle string quotes (convert to object)
-    if (typeof quote === 'string') {
-      return {
-        id: this.generateId(),
-        text: quote,
-        author: 'Unknown'
-      };
+  /**
+   * Re-reads the quotes file and swaps it in only if it parses and validates.
+   * On failure the current collection stays in place and the error is recorded.
+   * Runs through the write queue so it never interleaves with an API write.
+   */
+  async reloadQuotes() {
+    if (!this.storage.reload) {
+      return null;
+    }
+
+    return this.enqueueWrite(async () => {
+      try {
+        const total = this.storage.reload();
+        this.collectionChanged();
+        this.warnAboutProblems();
+        this.lastReload = { status: 'ok', at: new Date().toISOString() };
+        console.log(`Reloaded ${total} quotes from ${this.storage.filePath}`);
+      } catch (error) {
+        this.lastReload = { status: 'error', at: new Date().toISOString(), error: error.message };
+        console.error(`Failed to reload ${this.storage.filePath}, keeping ${this.storage.count()} previously loaded quotes:`, error.message);
+      }
+      return this.lastReload;
+    });
+  }
+
+  /**
+   * Reloads the quotes file when it changes on disk. Polls the path with
+   * fs.watchFile, so a file replaced by rename is seen too, as long as the
+   * path itself is not a bind mount: a single-file Docker mount stays on the
+   * old file once the host saves by rename, so mount its directory instead.
+   * Does nothing for storage that is not file based.
+   */
+  watch({ interval = 1000, debounceMs = 300 } = {}) {
+    if (this.watchListener || !this.storage.reload) return;
+
+    this.watchListener = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      // Our own API writes already updated memory
+      const { modifiedAt } = this.storage;
+      if (modifiedAt && Math.floor(current.mtimeMs) === modifiedAt.getTime()) return;
+
+      clearTimeout(this.watchTimer);
+      this.watchTimer = setTimeout(() => this.reloadQuotes(), debounceMs);
+    };
+    fs.watchFile(this.storage.filePath, { interval }, this.watchListener);
+  }
+
+  unwatch() {
+    clearTimeout(this.watchTimer);
+    if (this.watchListener) {
+      fs.unwatchFile(this.storage.filePath, this.watchListener);
+      this.watchListener = null;
+    }
+  }
+
+  // Lists what validation found in the quotes file when it only warns (QUOTES_VALIDATION=warn)
+  warnAboutProblems() {
+    const { problems = [] } = this.storage;
+    if (problems.length === 0) return;
+
+    const skipped = new Set(problems.map(problem => problem.index).filter(index => index !== null)).size;
+    console.warn(`${this.storage.filePath} has ${problems.length} problems, skipped ${skipped} quotes:\n` +
+      problems.map(problem => `  ${describeProblem(problem)}`).join('\n'));
+  }
+
+  // Drops data derived from the collection so it is rebuilt on next use
+  collectionChanged() {
+    this.searchIndex = null;
+    this.authorIndex = null;
+    this.version = null;
+    this.changedAt = new Date();
+  }
+
+  /**
+   * Hash of the collection contents, for ETags. It only changes with the
+   * quotes, so it survives restarts and matches across instances.
+   */
+  getVersion() {
+    if (!this.version) {
+      const hash = crypto.createHash('sha256');
+      for (const quote of this.storage.each()) {
+        hash.update(`${JSON.stringify(quote)}\n`);
+      }
+      this.version = hash.digest('hex').slice(0, 16);
     }
+    return this.version;
+  }
+
+  // When the collection was last loaded, reloaded or written
+  getLastModified() {
+    return this.changedAt;
+  }
 
-    // Handle object quotes (ensure required fields)
-    if (typeof quote === 'object') {
-      return {
-        id: quote.id || this.generateId(),
-        text: quote.text || quote.quote || '',
-        author: quote.author || 'Unknown'
-      };
+  getSearchIndex() {
+    if (!this.searchIndex) {
+      this.searchIndex = new SearchIndex(this.storage.all());
     }
+    return this.searchIndex;
+  }
+
+  getStatus() {
+    const { modifiedAt } = this.storage;
+    return {
+      total: this.storage.count(),
+      storage: this.storage.name,
+      fileModifiedAt: modifiedAt ? modifiedAt.toISOString() : null,
+      problems: this.storage.problems ? this.storage.problems.length : 0,
+      lastReload: this.lastReload
+    };
+  }
+
+  normalizeQuote(quote) {
+    return normalizeQuote(quote);
+  }
 
-    throw new Error('Invalid quote format');
+  normalizeTags(tags) {
+    return normalizeTags(tags);
   }
 
-  generateId() {
-    return Math.random().toString(36).substr(2, 9);
+  generateId(text, author) {
+    return generateId(text, author);
   }
 
   getAllQuotes() {
-    return this.quotes;
+    return this.storage.all();
   }
 
-  getRandomQuote() {
-    if (this.quotes.length === 0) {
+  /**
+   * Returns a random quote, optionally limited to quotes matching the filters.
+   * Returns null when filters are given but nothing matches them.
+   */
+  getRandomQuote(filters = {}) {
+    if (this.storage.count() === 0) {
       throw new Error('No quotes available');
     }
-    const randomIndex = Math.floor(Math.random() * this.quotes.length);
-    return this.quotes[randomIndex];
+
+    return this.storage.random(filters);
   }
 
-  getQuoteById(id) {
-    return this.quotes.find(quote => quote.id === id);
+  /**
+   * Up to count distinct random quotes matching the filters (exclude skips
+   * IDs the caller has already shown). The same seed and collection always
+   * give the same quotes; the seed used is returned with them.
+   */
+  getRandomQuotes(filters = {}, { count = 1, seed = generateSeed() } = {}) {
+    if (this.storage.count() === 0) {
+      throw new Error('No quotes available');
+    }
+
+    return {
+      quotes: sample(this.matchingQuotes(filters), count, createRandom(seed)),
+      seed
+    };
   }
 
-  searchQuotes(query, page = 1, limit = 10) {
-    if (!query) {
-      return this.getPaginatedQuotes(page, limit);
+  /**
+   * Picks the quote for a calendar day (YYYY-MM-DD). The quote whose ID hashes
+   * lowest with the date wins, so adding quotes rarely changes the current pick.
+   * With filters the pick is made among the matching quotes only, and null is
+   * returned when none match.
+   */
+  getQuoteOfTheDay(date, filters = {}) {
+    const quotes = this.storage.all();
+    if (quotes.length === 0) {
+      throw new Error('No quotes available');
+    }
+
+    let selected = null;
+    let lowestHash = null;
+    for (const quote of quotes) {
+      if (!matchesFilters(quote, filters)) continue;
+      const hash = crypto.createHash('sha256').update(`${date}:${quote.id}`).digest('hex');
+      if (lowestHash === null || hash < lowestHash) {
+        lowestHash = hash;
+        selected = quote;
+      }
     }
+    return selected;
+  }
+
+  // Quotes added through the API (they carry createdAt), newest first
+  getRecentQuotes(filters = {}, limit = 20) {
+    return this.matchingQuotes(filters)
+      .filter(quote => quote.createdAt)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+      .slice(0, limit);
+  }
 
-    const searchTerm = query.toLowerCase();
-    const filteredQuotes = this.quotes.filter(quote => 
-      quote.text.toLowerCase().includes(searchTerm) ||
-      quote.author.toLowerCase().includes(searchTerm)
-    );
+  // Generator over the matching quotes in collection order, for streaming
+  iterateQuotes(filters = {}) {
+    return this.storage.each(filters);
+  }
 
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
+  getQuoteById(id) {
+    return this.storage.get(id);
+  }
+
+  /**
+   * Exact and near duplicate groups across the whole collection, flagging
+   * groups attributed to more than one author (see dedupe)
+   */
+  findDuplicates({ threshold = DEFAULT_THRESHOLD } = {}) {
+    return findDuplicates(this.storage.all(), { threshold });
+  }
+
+  /**
+   * Finds quotes matching the filters (see matchesFilters).
+   * sort is author, length or id with order asc|desc, or random, which
+   * shuffles with the given seed so every page comes from the same order.
+   */
+  findQuotes(filters = {}, page = 1, limit = 10, { sort, order, seed } = {}) {
+    if (sort === 'random') {
+      return { ...this.paginate(this.matchingQuotes(filters, { sort, seed }), page, limit), seed };
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const { quotes, total } = this.storage.search(filters, {
+      offset: (pageNum - 1) * limitNum,
+      limit: limitNum,
+      sort,
+      order
+    });
 
     return {
-      quotes: filteredQuotes.slice(startIndex, endIndex),
-      total: filteredQuotes.length,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      totalPages: Math.ceil(filteredQuotes.length / limit)
+      quotes,
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum)
     };
   }
 
-  getPaginatedQuotes(page = 1, limit = 10) {
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
+  /**
+   * Relevance-ranked search using the query syntax of SearchIndex.
+   * Each quote gets a match object with its score and highlight ranges;
+   * the other filters narrow the ranked results. Sorting works as in
+   * findQuotes, with 'relevance' (best first unless order is asc) as default.
+   */
+  rankQuotes(query, filters = {}, page = 1, limit = 10, { sort, order, seed } = {}) {
+    const result = this.paginate(this.rankedQuotes(query, filters, { sort, order, seed }), page, limit);
+    return sort === 'random' ? { ...result, seed } : result;
+  }
+
+  /**
+   * Cursor-based paging over the results of findQuotes, or rankQuotes when
+   * a query is given. Pages continue after (or before) the quote the cursor
+   * names, so they don't shift when the collection changes in between.
+   * Returns { quotes, total, limit, offset, nextCursor, prevCursor }
+   */
+  findQuotesByCursor(query, filters = {}, sortOptions = {}, { cursor, limit = 10, context = {} }) {
+    const items = query ? this.rankedQuotes(query, filters, sortOptions) : this.matchingQuotes(filters, sortOptions);
+    const { items: quotes, offset, nextCursor, prevCursor } = cursorPage(items, { cursor, limit, context });
+
+    return { quotes, total: items.length, limit, offset, nextCursor, prevCursor };
+  }
+
+  // Every quote matching the filters, in listing order
+  matchingQuotes(filters = {}, { sort, order, seed } = {}) {
+    const { quotes } = this.storage.search(filters, { offset: 0, limit: this.storage.count(filters), sort, order });
+    return sort === 'random' ? shuffle(quotes, createRandom(seed)) : quotes;
+  }
+
+  // Every search result with its match details, in listing order
+  rankedQuotes(query, filters = {}, { sort = 'relevance', order, seed } = {}) {
+    const results = this.getSearchIndex().search(query)
+      .filter(({ quote }) => matchesFilters(quote, filters))
+      .map(({ quote, score, highlights }) => ({ ...quote, match: { score, highlights } }));
+
+    if (sort === 'random') {
+      return shuffle(results, createRandom(seed));
+    }
+    if (sort === 'relevance') {
+      return order === 'asc' ? results.reverse() : results;
+    }
+    return sortQuotes(results, sort, order);
+  }
+
+  paginate(items, page = 1, limit = 10, key = 'quotes') {
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const startIndex = (pageNum - 1) * limitNum;
 
     return {
-      quotes: this.quotes.slice(startIndex, endIndex),
-      total: this.quotes.length,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      totalPages: Math.ceil(this.quotes.length / limit)
+      [key]: items.slice(startIndex, startIndex + limitNum),
+      total: items.length,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(items.length / limitNum)
     };
   }
 
+  searchQuotes(query, page = 1, limit = 10) {
+    return this.findQuotes({ contains: query }, page, limit);
+  }
+
+  getPaginatedQuotes(page = 1, limit = 10) {
+    return this.findQuotes({}, page, limit);
+  }
+
+  // Tags with the number of quotes using each, most used first
+  getTagCounts() {
+    const counts = new Map();
+    this.storage.all().forEach(quote => {
+      quote.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Groups the quotes by author slug. The display name is the spelling of
+   * the first quote in the collection; unknown authors show as "Unknown".
+   * Returns Map(slug -> { slug, name, quotes })
+   */
+  getAuthorIndex() {
+    if (!this.authorIndex) {
+      this.authorIndex = new Map();
+      this.storage.all().forEach(quote => {
+        const slug = authorSlug(quote.author);
+        if (!this.authorIndex.has(slug)) {
+          const name = slug === UNKNOWN_AUTHOR_SLUG ? 'Unknown' : quote.author.trim();
+          this.authorIndex.set(slug, { slug, name, quotes: [] });
+        }
+        this.authorIndex.get(slug).quotes.push(quote);
+      });
+    }
+    return this.authorIndex;
+  }
+
+  // Authors sorted by name, optionally narrowed to names containing a term
+  getAuthors({ contains } = {}, page = 1, limit = 10) {
+    const searchTerm = slugify(contains);
+    const authors = [...this.getAuthorIndex().values()]
+      .filter(author => !searchTerm || author.slug.includes(searchTerm))
+      .map(({ slug, name, quotes }) => ({ slug, name, quoteCount: quotes.length }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return this.paginate(authors, page, limit, 'authors');
+  }
+
+  // Returns { slug, name, quoteCount, tags }, or null when the slug is unknown
+  getAuthor(slug) {
+    const author = this.getAuthorIndex().get(slug);
+    if (!author) {
+      return null;
+    }
+
+    const tags = [...new Set(author.quotes.flatMap(quote => quote.tags))].sort();
+    return { slug: author.slug, name: author.name, quoteCount: author.quotes.length, tags };
+  }
+
+  getAuthorQuotes(slug, page = 1, limit = 10) {
+    const author = this.getAuthorIndex().get(slug);
+    return author ? this.paginate(author.quotes, page, limit) : null;
+  }
+
+  validateQuoteInput(body, options) {
+    return validateQuoteInput(body, options);
+  }
+
+  async createQuote(input) {
+    return this.enqueueWrite(async () => {
+      const now = new Date().toISOString();
+      const quote = normalizeQuote({
+        id: input.id,
+        text: input.text.trim(),
+        author: input.author && input.author.trim(),
+        tags: input.tags,
+        translations: input.translations,
+        createdAt: now,
+        updatedAt: now
+      });
+
+      if (this.storage.get(quote.id)) {
+        const error = new Error(`A quote with ID "${quote.id}" already exists`);
+        error.code = 'DUPLICATE_ID';
+        throw error;
+      }
+
+      await this.storage.insert(quote);
+      this.collectionChanged();
+      return quote;
+    });
+  }
+
+  /**
+   * Replaces a quote (PUT) or merges the given fields into it (partial/PATCH).
+   * The ID and creation time never change. Returns null when the ID is unknown.
+   */
+  async updateQuote(id, input, { partial = false } = {}) {
+    return this.enqueueWrite(async () => {
+      const existing = this.storage.get(id);
+      if (!existing) {
+        return null;
+      }
+
+      const fields = partial ? { ...existing, ...input } : input;
+      const quote = normalizeQuote({
+        id: existing.id,
+        text: fields.text.trim(),
+        author: fields.author && fields.author.trim(),
+        tags: fields.tags,
+        translations: fields.translations,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      });
+
+      await this.storage.update(quote);
+      this.collectionChanged();
+      return quote;
+    });
+  }
+
+  // Returns the removed quote, or null when the ID is unknown
+  async deleteQuote(id) {
+    return this.enqueueWrite(async () => {
+      const quote = this.storage.get(id);
+      if (!quote) {
+        return null;
+      }
+
+      await this.storage.remove(id);
+      this.collectionChanged();
+      return quote;
+    });
+  }
+
+  /**
+   * Adds the entries read by importer.readImport. merge keeps the collection and
+   * skips quotes whose ID is already taken; replace swaps the whole collection
+   * for the import, and is only applied when no row is invalid and at least one
+   * quote is accepted. Returns a report with the outcome of every row.
+   */
+  async importQuotes(entries, { strategy = 'merge', dryRun = false } = {}) {
+    return this.enqueueWrite(async () => {
+      const now = new Date().toISOString();
+      const existingIds = new Set(strategy === 'merge' ? this.storage.all().map(quote => quote.id) : []);
+      const importedRows = new Map();
+      const accepted = [];
+
+      const rows = entries.map(({ row, quote, error }) => {
+        if (error) {
+          return { row, status: 'invalid', reason: error };
+        }
+        if (existingIds.has(quote.id)) {
+          return { row, status: 'duplicate', id: quote.id, reason: `A quote with ID "${quote.id}" already exists` };
+        }
+        if (importedRows.has(quote.id)) {
+          return { row, status: 'duplicate', id: quote.id, reason: `Same ID as row ${importedRows.get(quote.id)}` };
+        }
+
+        importedRows.set(quote.id, row);
+        // Timestamps from an earlier export are kept
+        const createdAt = quote.createdAt || now;
+        accepted.push({ ...quote, createdAt, updatedAt: quote.updatedAt || createdAt });
+        return { row, status: 'accepted', id: quote.id };
+      });
+
+      const count = status => rows.filter(row => row.status === status).length;
+      const summary = { total: rows.length, accepted: accepted.length, duplicate: count('duplicate'), invalid: count('invalid') };
+      const applicable = strategy === 'replace'
+        ? summary.invalid === 0 && accepted.length > 0
+        : accepted.length > 0;
+
+      if (!dryRun && applicable) {
+        await this.storage.replaceAll(strategy === 'replace' ? accepted : [...this.storage.all(), ...accepted]);
+        this.collectionChanged();
+      }
+
+      return { strategy, dryRun, applied: !dryRun && applicable, summary, rows };
+    });
+  }
+
+  enqueueWrite(operation) {
+    const result = this.writeQueue.then(operation);
+    // Keep the queue going even when this write fails
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
   getCount() {
-    return this.quotes.length;
+    return this.storage.count();
+  }
+
+  /**
+   * The quotes most relevant to a chat message, for grounding the AI in the
+   * collection. Scores the keywords of the message, and at half weight those
+   * of context (earlier messages, most recent first), with TF-IDF over the
+   * search index. Returns up to limit quotes, best first; none when nothing
+   * matches.
+   */
+  findRelevantQuotes(message, { context = [], limit = 3 } = {}) {
+    const weights = new Map();
+    [[message, 1], ...context.map(text => [text, CONTEXT_WEIGHT])].forEach(([text, weight]) => {
+      keywords(text).forEach(term => {
+        if (!weights.has(term) && weights.size < MAX_KEYWORDS) {
+          weights.set(term, weight);
+        }
+      });
+    });
+
+    const terms = [...weights].map(([term, weight]) => ({ term, weight }));
+    return this.getSearchIndex().rankByTerms(terms).slice(0, limit).map(({ quote }) => quote);
   }
 
   // Get sample quotes for AI context (for system prompts)
-  getSampleQuotes(count = 3) {
-    const shuffled = [...this.quotes].sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, count);
+  getSampleQuotes(count = 3, seed = generateSeed()) {
+    return sample(this.storage.all(), count, createRandom(seed));
   }
 }
 
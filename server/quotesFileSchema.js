@@ -0,0 +1,161 @@
+const Ajv = require('ajv');
+const { hasExplicitId, buildCollection, quotesOf, parseQuotesData } = require('./quoteModel');
+const QUOTES_FILE_SCHEMA = require('./quotesFile.schema.json');
+
+/**
+ * Validation of a quotes file against its JSON Schema (quotesFile.schema.json)
+ * Every problem is reported as { index, field, message }: index is the
+ * position of the quote in the file (null for the file itself) and field the
+ * path inside it, e.g. "text" or "translations.ar.text" (null for the whole quote).
+ */
+
+// fail rejects a file with any problem, warn skips the quotes that have one, allow loads the file as is
+const VALIDATION_MODES = ['fail', 'warn', 'allow'];
+
+const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+ajv.addFormat('non-blank', /\S/);
+const validateSchema = ajv.compile(QUOTES_FILE_SCHEMA);
+
+const FORMAT_MESSAGES = {
+  'non-blank': 'must not be empty',
+  'date-time': 'must be an ISO 8601 date'
+};
+
+function withArticle(type) {
+  return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+function problemMessage(error, field) {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'additionalProperties':
+      return 'is not a known field';
+    case 'propertyNames':
+      return `key "${error.params.propertyName}" is not a valid language code`;
+    case 'format':
+      return FORMAT_MESSAGES[error.params.format] || error.message.replace(/^should/, 'must');
+    case 'type':
+      // Only quotes themselves may also be a string (see the "quote" definition)
+      return field === null && error.params.type === 'object'
+        ? 'must be a string or an object'
+        : `must be ${error.params.type.split(',').map(withArticle).join(' or ')}`;
+    default:
+      return error.message.replace(/^should/, 'must');
+  }
+}
+
+// "/quotes/3/translations/ar" -> { index: 3, field: "translations.ar" }
+function locate(pointer, wrapped) {
+  const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (wrapped) {
+    if (segments[0] !== 'quotes' || segments.length === 1) {
+      return { index: null, segments };
+    }
+    segments.shift();
+  }
+  if (segments.length === 0) {
+    return { index: null, segments };
+  }
+  return { index: Number(segments[0]), segments: segments.slice(1) };
+}
+
+function toProblem(error, wrapped) {
+  const property = error.params.missingProperty || error.params.additionalProperty;
+  const { index, segments } = locate(property ? `${error.dataPath}/${property}` : error.dataPath, wrapped);
+  const field = segments.length > 0
+    ? segments.reduce((path, segment) => (/^\d+$/.test(segment) ? `${path}[${segment}]` : path ? `${path}.${segment}` : segment), '')
+    : null;
+  return { index, field, message: problemMessage(error, field) };
+}
+
+// Explicit IDs must be unique; the first quote keeps its ID
+function duplicateIdProblems(rawQuotes, skipped) {
+  const seen = new Map();
+  const problems = [];
+  rawQuotes.forEach((quote, index) => {
+    if (skipped.has(index) || !hasExplicitId(quote)) return;
+
+    const id = String(quote.id);
+    if (seen.has(id)) {
+      problems.push({ index, field: 'id', message: `"${id}" is already used by quotes[${seen.get(id)}]` });
+    } else {
+      seen.set(id, index);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Every problem in the parsed contents of a quotes file, in file order.
+ * Throws like parseQuotesData when the file has no quotes array at all.
+ */
+function validateQuotesFile(data) {
+  const rawQuotes = quotesOf(data);
+  const wrapped = !Array.isArray(data);
+
+  const problems = [];
+  if (!validateSchema(data)) {
+    const seen = new Set();
+    validateSchema.errors
+      // if only repeats the errors of its branch, and propertyNames explains its own pattern error
+      .filter(error => error.keyword !== 'if' && !error.schemaPath.includes('/propertyNames/'))
+      .map(error => toProblem(error, wrapped))
+      .forEach(problem => {
+        const key = `${problem.index}|${problem.field}|${problem.message}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          problems.push(problem);
+        }
+      });
+  }
+
+  const invalid = new Set(problems.map(problem => problem.index).filter(index => index !== null));
+  problems.push(...duplicateIdProblems(rawQuotes, invalid));
+
+  return problems.sort((a, b) => (a.index === null ? -1 : a.index) - (b.index === null ? -1 : b.index));
+}
+
+function invalidQuotesFile(problems) {
+  const error = new Error(`Invalid quotes file: ${problems.map(describeProblem).join('; ')}`);
+  error.code = 'INVALID_QUOTES_FILE';
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Validates and normalizes the parsed contents of a quotes file.
+ * Returns { quotes, problems }; with warn the quotes that have problems are
+ * left out, with fail any problem throws an error with code INVALID_QUOTES_FILE
+ * listing them all. allow skips validation, so only a file without quotes
+ * or with a repeated ID is refused.
+ */
+function parseQuotesFile(data, { validation = 'fail' } = {}) {
+  if (validation === 'allow') {
+    return { quotes: parseQuotesData(data), problems: [] };
+  }
+
+  const problems = validateQuotesFile(data);
+  if (validation === 'fail' && problems.length > 0) {
+    throw invalidQuotesFile(problems);
+  }
+
+  const skipped = new Set(problems.map(problem => problem.index));
+  const quotes = buildCollection(quotesOf(data).filter((quote, index) => !skipped.has(index)));
+  return { quotes, problems };
+}
+
+// "quotes[3].text must not be empty"
+function describeProblem({ index, field, message }) {
+  const quote = index === null ? '' : `quotes[${index}]`;
+  const path = quote && field ? `${quote}.${field}` : quote || field;
+  return path ? `${path} ${message}` : message;
+}
+
+module.exports = {
+  VALIDATION_MODES,
+  QUOTES_FILE_SCHEMA,
+  validateQuotesFile,
+  parseQuotesFile,
+  describeProblem
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+/**
+ * Seedable random numbers for reproducible selections
+ * The same seed always gives the same sequence, so a seeded shuffle or
+ * sample can be repeated by passing the seed back.
+ */
+
+const MAX_SEED_LENGTH = 64;
+
+function isValidSeed(seed) {
+  return typeof seed === 'string' && seed.length > 0 && seed.length <= MAX_SEED_LENGTH;
+}
+
+function generateSeed() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Returns a function yielding floats in [0, 1) like Math.random,
+ * using mulberry32 seeded from a hash of the seed string
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates shuffle of a copy, so every order is equally likely
+function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Up to count distinct items, each subset equally likely (partial Fisher-Yates)
+function sample(items, count, random = Math.random) {
+  const pool = [...items];
+  const size = Math.min(count, pool.length);
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, size);
+}
+
+module.exports = {
+  MAX_SEED_LENGTH,
+  isValidSeed,
+  generateSeed,
+  createRandom,
+  shuffle,
+  sample
+};
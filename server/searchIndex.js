@@ -0,0 +1,317 @@
+/**
+ * In-memory inverted index for ranked quote search
+ *
+ * Query syntax:
+ *   success failure        every term must match (in any field)
+ *   "great work"           phrase, words must appear next to each other
+ *   author:jobs            restrict a term or phrase to author, text or tag
+ *
+ * Terms also match by prefix and, from four letters on, with typos
+ * (one edit, two from eight letters). Results are ordered by a TF-IDF score
+ * and carry the character ranges that matched in the text and author.
+ * rankByTerms scores quotes against free text, such as a chat message,
+ * where any keyword may match.
+ */
+
+const FIELDS = ['text', 'author', 'tag'];
+const FIELD_BOOST = { text: 1, author: 1.5, tag: 1.2 };
+const MATCH_WEIGHT = { exact: 1, prefix: 0.6, fuzzy: 0.4 };
+const PHRASE_BOOST = 1.5;
+// Query terms whose expansions are remembered, least recently used dropped first
+const EXPANSION_CACHE_SIZE = 500;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+// Words that say nothing about the topic of a chat message ("can you give me a quote about ...")
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do',
+  'does', 'for', 'from', 'give', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'i\'m', 'if', 'in', 'is',
+  'it', 'it\'s', 'me', 'my', 'of', 'on', 'one', 'or', 'please', 'quote', 'quotes', 'say', 'share', 'she', 'show',
+  'so', 'some', 'something', 'tell', 'that', 'the', 'their', 'them', 'there', 'they', 'this', 'to', 'us', 'was',
+  'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Lowercases and strips accents so "École" and "ecole" index the same
+function normalizeTerm(term) {
+  return term.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/’/g, '\'');
+}
+
+function tokenize(value) {
+  const tokens = [];
+  for (const match of String(value).matchAll(WORD_PATTERN)) {
+    tokens.push({
+      term: normalizeTerm(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+function maxTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Levenshtein distance that gives up once it exceeds the limit
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// The distinct topic words of free text such as a chat message, in order
+function keywords(value) {
+  const terms = tokenize(value)
+    .map(token => token.term)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+  return [...new Set(terms)];
+}
+
+/**
+ * Splits a query into clauses: { field, terms, phrase }.
+ * Unknown field prefixes are searched as plain words.
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const pattern = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(String(query))) !== null) {
+    const [, prefix, phraseText, word] = match;
+    const field = prefix && FIELDS.includes(prefix.toLowerCase()) ? prefix.toLowerCase() : null;
+    const raw = phraseText !== undefined ? phraseText : word;
+    const value = prefix && !field ? `${prefix} ${raw}` : raw;
+    const terms = tokenize(value).map(token => token.term);
+
+    if (terms.length === 0) continue;
+
+    if (phraseText !== undefined && terms.length > 1) {
+      clauses.push({ field, terms, phrase: true });
+    } else {
+      terms.forEach(term => clauses.push({ field, terms: [term], phrase: false }));
+    }
+  }
+
+  return clauses;
+}
+
+class SearchIndex {
+  constructor(quotes = []) {
+    this.quotes = quotes;
+    // term -> Map(docIndex -> { text: [positions], author: [...], tag: [...] })
+    this.postings = new Map();
+    // docIndex -> { text: tokens, author: tokens, tag: tokens }
+    this.documents = [];
+    this.expansionCache = new Map();
+
+    quotes.forEach((quote, docIndex) => {
+      const document = {
+        text: tokenize(quote.text),
+        author: tokenize(quote.author),
+        tag: (quote.tags || []).flatMap(tag => tokenize(tag.replace(/-/g, ' ')))
+      };
+      this.documents.push(document);
+
+      FIELDS.forEach(field => {
+        document[field].forEach((token, position) => {
+          if (!this.postings.has(token.term)) {
+            this.postings.set(token.term, new Map());
+          }
+          const docs = this.postings.get(token.term);
+          if (!docs.has(docIndex)) {
+            docs.set(docIndex, { text: [], author: [], tag: [] });
+          }
+          docs.get(docIndex)[field].push(position);
+        });
+      });
+    });
+  }
+
+  // Index terms a query term can match, with how well they match
+  expandTerm(term) {
+    const cached = this.expansionCache.get(term);
+    if (cached) {
+      // Move it to the end, as the most recently used
+      this.expansionCache.delete(term);
+      this.expansionCache.set(term, cached);
+      return cached;
+    }
+
+    const expansions = [];
+    const typoLimit = maxTypos(term);
+    for (const candidate of this.postings.keys()) {
+      if (candidate === term) {
+        expansions.push({ term: candidate, weight: MATCH_WEIGHT.exact });
+      } else if (term.length >= 2 && candidate.startsWith(term)) {
+        expansions.push({ term: candidate, weight: MATCH_WEIGHT.prefix });
+      } else if (typoLimit > 0 && editDistance(term, candidate, typoLimit) <= typoLimit) {
+        expansions.push({ term: candidate, weight: MATCH_WEIGHT.fuzzy });
+      }
+    }
+
+    this.expansionCache.set(term, expansions);
+    if (this.expansionCache.size > EXPANSION_CACHE_SIZE) {
+      this.expansionCache.delete(this.expansionCache.keys().next().value);
+    }
+    return expansions;
+  }
+
+  idf(term) {
+    const docs = this.postings.get(term);
+    return Math.log(1 + this.quotes.length / (docs ? docs.size : 1));
+  }
+
+  /**
+   * Scores one term clause for every document it matches.
+   * Returns Map(docIndex -> { score, hits: [{ field, position }] })
+   */
+  matchTerm(term, field) {
+    const results = new Map();
+    const fields = field ? [field] : FIELDS;
+
+    this.expandTerm(term).forEach(({ term: indexTerm, weight }) => {
+      const idf = this.idf(indexTerm);
+      this.postings.get(indexTerm).forEach((positionsByField, docIndex) => {
+        fields.forEach(name => {
+          const positions = positionsByField[name];
+          if (positions.length === 0) return;
+
+          const score = weight * idf * FIELD_BOOST[name] * (1 + Math.log(positions.length));
+          const entry = results.get(docIndex) || { score: 0, hits: [] };
+          entry.score = Math.max(entry.score, score);
+          positions.forEach(position => entry.hits.push({ field: name, position }));
+          results.set(docIndex, entry);
+        });
+      });
+    });
+
+    return results;
+  }
+
+  // A phrase matches when each word is found right after the previous one
+  matchPhrase(terms, field) {
+    const perTerm = terms.map(term => this.matchTerm(term, field));
+    const results = new Map();
+
+    perTerm[0].forEach((first, docIndex) => {
+      if (!perTerm.every(matches => matches.has(docIndex))) return;
+
+      const hits = [];
+      first.hits.forEach(({ field: name, position }) => {
+        const chain = [{ field: name, position }];
+        for (let i = 1; i < terms.length; i++) {
+          const next = perTerm[i].get(docIndex).hits
+            .find(hit => hit.field === name && hit.position === position + i);
+          if (!next) return;
+          chain.push(next);
+        }
+        hits.push(...chain);
+      });
+
+      if (hits.length > 0) {
+        const score = perTerm.reduce((sum, matches) => sum + matches.get(docIndex).score, 0) * PHRASE_BOOST;
+        results.set(docIndex, { score, hits });
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Runs a query and returns [{ quote, score, highlights }] best first.
+   * Every clause has to match; highlights are [start, end) character ranges.
+   */
+  search(query) {
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) {
+      return [];
+    }
+
+    let combined = null;
+    for (const clause of clauses) {
+      const matches = clause.phrase
+        ? this.matchPhrase(clause.terms, clause.field)
+        : this.matchTerm(clause.terms[0], clause.field);
+
+      if (combined === null) {
+        combined = matches;
+      } else {
+        const next = new Map();
+        combined.forEach((entry, docIndex) => {
+          const match = matches.get(docIndex);
+          if (match) {
+            next.set(docIndex, { score: entry.score + match.score, hits: entry.hits.concat(match.hits) });
+          }
+        });
+        combined = next;
+      }
+
+      if (combined.size === 0) return [];
+    }
+
+    return [...combined.entries()]
+      .map(([docIndex, { score, hits }]) => ({
+        quote: this.quotes[docIndex],
+        score: Math.round(score * 1000) / 1000,
+        highlights: this.buildHighlights(docIndex, hits)
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Ranks quotes by the weighted terms ([{ term, weight }]) they match.
+   * Unlike search, a quote only needs to match one term; the score adds up
+   * the TF-IDF score of each term times its weight.
+   * Returns [{ quote, score }] best first.
+   */
+  rankByTerms(terms) {
+    const scores = new Map();
+    terms.forEach(({ term, weight }) => {
+      this.matchTerm(term, null).forEach(({ score }, docIndex) => {
+        scores.set(docIndex, (scores.get(docIndex) || 0) + weight * score);
+      });
+    });
+
+    return [...scores.entries()]
+      .map(([docIndex, score]) => ({ quote: this.quotes[docIndex], score: Math.round(score * 1000) / 1000 }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  buildHighlights(docIndex, hits) {
+    const document = this.documents[docIndex];
+    const highlights = { text: [], author: [] };
+
+    ['text', 'author'].forEach(field => {
+      const positions = [...new Set(hits.filter(hit => hit.field === field).map(hit => hit.position))]
+        .sort((a, b) => a - b);
+      highlights[field] = positions.map(position => {
+        const token = document[field][position];
+        return [token.start, token.end];
+      });
+    });
+
+    return highlights;
+  }
+}
+
+module.exports = {
+  EXPANSION_CACHE_SIZE,
+  SearchIndex,
+  parseQuery,
+  tokenize,
+  keywords,
+  editDistance
+};
@@ -0,0 +1,31 @@
+/**
+ * Server-Sent Events (text/event-stream) responses
+ * Each event is written as `event: <name>` and a single `data:` line of
+ * JSON, so clients can parse the payload without joining lines.
+ */
+
+function startEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Tells nginx-style proxies not to buffer the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function sendEvent(res, event, data) {
+  res.write(formatEvent(event, data));
+}
+
+module.exports = {
+  startEventStream,
+  formatEvent,
+  sendEvent
+};
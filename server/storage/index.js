@@ -0,0 +1,58 @@
+const path = require('path');
+const JsonFileStorage = require('./jsonFileStorage');
+const SqliteStorage = require('./sqliteStorage');
+const { VALIDATION_MODES } = require('../quotesFileSchema');
+
+/**
+ * Storage adapters for the quote collection
+ *
+ * Every adapter implements:
+ *   load()                          open or read the backing store
+ *   all()                           every quote in collection order
+ *   get(id)                         one quote, or undefined
+ *   count(filters)                  number of quotes matching the filters
+ *   list({ offset, limit })         a page of quotes plus the total
+ *   search(filters, { offset, limit, sort, order })
+ *                                   sort is one of SORT_FIELDS, default collection order
+ *   random(filters)                 a random matching quote, or null
+ *   each(filters)                   generator over the matching quotes in collection order
+ *   insert(quote), update(quote), remove(id), replaceAll(quotes)   async writes
+ *   close()
+ *
+ * Filters are { contains, tags, tagMode, author, minLength, maxLength, exclude }
+ * with the meaning of matchesFilters in quoteModel. Adapters backed by a file also
+ * expose filePath, modifiedAt and reload() so the service can hot-reload them,
+ * and problems, the validation problems of quotes left out of the last load.
+ */
+
+const DEFAULT_QUOTES_FILE = path.join(__dirname, '..', '..', 'quotes.json');
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '..', '..', 'data', 'quotes.db');
+
+// Picks the adapter from QUOTES_STORAGE (json or sqlite)
+function createStorage({
+  type = process.env.QUOTES_STORAGE || 'json',
+  quotesPath = process.env.QUOTES_FILE || DEFAULT_QUOTES_FILE,
+  sqlitePath = process.env.SQLITE_PATH || DEFAULT_SQLITE_FILE,
+  validation = process.env.QUOTES_VALIDATION || 'fail'
+} = {}) {
+  if (!VALIDATION_MODES.includes(validation)) {
+    throw new Error(`Unknown QUOTES_VALIDATION "${validation}", expected fail, warn or allow`);
+  }
+
+  switch (type) {
+    case 'json':
+      return new JsonFileStorage(quotesPath, { validation });
+    case 'sqlite':
+      return new SqliteStorage(sqlitePath);
+    default:
+      throw new Error(`Unknown QUOTES_STORAGE "${type}", expected json or sqlite`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  JsonFileStorage,
+  SqliteStorage,
+  DEFAULT_QUOTES_FILE,
+  DEFAULT_SQLITE_FILE
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const { matchesFilters, sortQuotes } = require('../quoteModel');
+const { parseQuotesFile } = require('../quotesFileSchema');
+
+/**
+ * Storage adapter that keeps the whole collection of a JSON file in memory
+ * Writes go to a temp file that is renamed over the original. validation is
+ * fail, warn or allow (see quotesFileSchema); problems holds what the last
+ * load or reload found with warn.
+ */
+class JsonFileStorage {
+  constructor(filePath, { validation = 'fail' } = {}) {
+    this.name = 'json';
+    this.filePath = filePath;
+    this.validation = validation;
+    this.quotes = [];
+    this.problems = [];
+    this.modifiedAt = null;
+  }
+
+  load() {
+    const { quotes, problems, modifiedAt } = this.read();
+    this.quotes = quotes;
+    this.problems = problems;
+    this.modifiedAt = modifiedAt;
+  }
+
+  // Parses, validates and normalizes the file without touching the loaded collection
+  read() {
+    const modifiedAt = fs.statSync(this.filePath).mtime;
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const { quotes, problems } = parseQuotesFile(data, { validation: this.validation });
+    return { quotes, problems, modifiedAt };
+  }
+
+  /**
+   * Swaps in the file contents only if they parse and validate,
+   * otherwise throws and leaves the current collection in place
+   */
+  reload() {
+    const { quotes, problems, modifiedAt } = this.read();
+    if (quotes.length === 0) {
+      throw new Error('Quotes file contains no quotes');
+    }
+
+    this.quotes = quotes;
+    this.problems = problems;
+    this.modifiedAt = modifiedAt;
+    return quotes.length;
+  }
+
+  all() {
+    return this.quotes;
+  }
+
+  get(id) {
+    return this.quotes.find(quote => quote.id === id);
+  }
+
+  count(filters = {}) {
+    return this.filter(filters).length;
+  }
+
+  list({ offset = 0, limit = 10 } = {}) {
+    return this.search({}, { offset, limit });
+  }
+
+  search(filters = {}, { offset = 0, limit = 10, sort, order } = {}) {
+    const matches = sortQuotes(this.filter(filters), sort, order);
+    return {
+      quotes: matches.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+
+  random(filters = {}) {
+    const candidates = this.filter(filters);
+    if (candidates.length === 0) {
+      return null;
+    }
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  // Yields the matching quotes one at a time, in collection order
+  *each(filters = {}) {
+    for (const quote of this.quotes) {
+      if (matchesFilters(quote, filters)) yield quote;
+    }
+  }
+
+  filter(filters) {
+    return this.quotes.filter(quote => matchesFilters(quote, filters));
+  }
+
+  async insert(quote) {
+    await this.replaceAll([...this.quotes, quote]);
+  }
+
+  async update(quote) {
+    await this.replaceAll(this.quotes.map(existing => existing.id === quote.id ? quote : existing));
+  }
+
+  async remove(id) {
+    await this.replaceAll(this.quotes.filter(existing => existing.id !== id));
+  }
+
+  /**
+   * Writes the collection to a temp file next to the original and renames it
+   * into place, so readers never see a half-written file. Memory is only
+   * updated once the file is safely on disk.
+   */
+  async replaceAll(quotes) {
+    const tempPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    const content = `${JSON.stringify({ quotes }, null, 2)}\n`;
+
+    let modifiedAt;
+    try {
+      await fs.promises.writeFile(tempPath, content, 'utf8');
+      await fs.promises.rename(tempPath, this.filePath);
+      modifiedAt = (await fs.promises.stat(this.filePath)).mtime;
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    this.quotes = quotes;
+    this.modifiedAt = modifiedAt;
+  }
+
+  close() {}
+}
+
+module.exports = JsonFileStorage;
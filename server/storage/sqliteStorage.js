@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { authorSlug, normalizeTags } = require('../quoteModel');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS quotes (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    author TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS quotes_position ON quotes (position);
+  CREATE TABLE IF NOT EXISTS quote_tags (
+    quote_id TEXT NOT NULL REFERENCES quotes (id) ON DELETE CASCADE,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (quote_id, tag)
+  );
+  CREATE INDEX IF NOT EXISTS quote_tags_tag ON quote_tags (tag);
+`;
+
+const EACH_BATCH_SIZE = 500;
+
+/**
+ * Storage adapter backed by an embedded SQLite database (better-sqlite3)
+ * Filtering, counting and pagination run as SQL queries. The full quote is
+ * kept as JSON in the data column; text, author and tags are also stored in
+ * columns so they can be queried.
+ */
+class SqliteStorage {
+  constructor(dbPath) {
+    this.name = 'sqlite';
+    this.dbPath = dbPath;
+    this.db = null;
+  }
+
+  load() {
+    if (this.db) return;
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error(`SQLite storage needs the better-sqlite3 package: ${error.message}`);
+    }
+
+    if (this.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    // SQLite's lower() only folds ASCII and length() counts differently,
+    // so use the JavaScript versions to match the JSON store
+    this.db.function('js_lower', { deterministic: true }, value => String(value).toLowerCase());
+    this.db.function('js_length', { deterministic: true }, value => String(value).length);
+    this.db.function('author_slug', { deterministic: true }, value => authorSlug(value));
+    this.db.exec(SCHEMA);
+  }
+
+  all() {
+    return this.db.prepare('SELECT data FROM quotes ORDER BY position').all().map(toQuote);
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT data FROM quotes WHERE id = ?').get(id);
+    return row ? toQuote(row) : undefined;
+  }
+
+  count(filters = {}) {
+    const { where, params } = buildWhere(filters);
+    return this.db.prepare(`SELECT COUNT(*) AS total FROM quotes ${where}`).get(...params).total;
+  }
+
+  list({ offset = 0, limit = 10 } = {}) {
+    return this.search({}, { offset, limit });
+  }
+
+  search(filters = {}, { offset = 0, limit = 10, sort, order } = {}) {
+    const { where, params } = buildWhere(filters);
+    const quotes = this.db
+      .prepare(`SELECT data FROM quotes ${where} ORDER BY ${buildOrderBy(sort, order)} LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map(toQuote);
+
+    return { quotes, total: this.count(filters) };
+  }
+
+  random(filters = {}) {
+    const { where, params } = buildWhere(filters);
+    const row = this.db.prepare(`SELECT data FROM quotes ${where} ORDER BY random() LIMIT 1`).get(...params);
+    return row ? toQuote(row) : null;
+  }
+
+  /**
+   * Yields the matching quotes in collection order, reading them in batches
+   * so the connection is free for other queries between batches
+   */
+  *each(filters = {}) {
+    const { where, params } = buildWhere(filters);
+    const statement = this.db.prepare(
+      `SELECT position, data FROM quotes ${where ? `${where} AND` : 'WHERE'} position > ? ORDER BY position LIMIT ?`
+    );
+
+    let lastPosition = -1;
+    for (;;) {
+      const rows = statement.all(...params, lastPosition, EACH_BATCH_SIZE);
+      for (const row of rows) {
+        yield toQuote(row);
+      }
+      if (rows.length < EACH_BATCH_SIZE) return;
+      lastPosition = rows[rows.length - 1].position;
+    }
+  }
+
+  async insert(quote) {
+    this.db.transaction(() => {
+      const { next } = this.db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM quotes').get();
+      this.insertRow(quote, next);
+    })();
+  }
+
+  async update(quote) {
+    this.db.transaction(() => {
+      this.db.prepare('UPDATE quotes SET text = ?, author = ?, data = ? WHERE id = ?')
+        .run(quote.text, quote.author, JSON.stringify(quote), quote.id);
+      this.db.prepare('DELETE FROM quote_tags WHERE quote_id = ?').run(quote.id);
+      this.insertTags(quote);
+    })();
+  }
+
+  async remove(id) {
+    this.db.prepare('DELETE FROM quotes WHERE id = ?').run(id);
+  }
+
+  async replaceAll(quotes) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM quote_tags').run();
+      this.db.prepare('DELETE FROM quotes').run();
+      quotes.forEach((quote, position) => this.insertRow(quote, position));
+    })();
+  }
+
+  insertRow(quote, position) {
+    this.db.prepare('INSERT INTO quotes (id, position, text, author, data) VALUES (?, ?, ?, ?, ?)')
+      .run(quote.id, position, quote.text, quote.author, JSON.stringify(quote));
+    this.insertTags(quote);
+  }
+
+  insertTags(quote) {
+    const insertTag = this.db.prepare('INSERT INTO quote_tags (quote_id, tag) VALUES (?, ?)');
+    quote.tags.forEach(tag => insertTag.run(quote.id, tag));
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+function toQuote(row) {
+  return JSON.parse(row.data);
+}
+
+const SORT_COLUMNS = {
+  author: 'js_lower(author)',
+  length: 'js_length(text)',
+  id: 'id'
+};
+
+// Same ordering as sortQuotes: ties keep collection order
+function buildOrderBy(sort, order) {
+  const column = SORT_COLUMNS[sort];
+  if (!column) {
+    return 'position';
+  }
+  return `${column} ${order === 'desc' ? 'DESC' : 'ASC'}, position`;
+}
+
+// Translates the quote filters into a WHERE clause with bound parameters
+function buildWhere({ contains, tags, tagMode = 'any', author, minLength, maxLength, exclude } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (exclude && exclude.length > 0) {
+    conditions.push(`id NOT IN (${exclude.map(() => '?').join(', ')})`);
+    params.push(...exclude);
+  }
+
+  if (author) {
+    conditions.push('author_slug(author) = ?');
+    params.push(authorSlug(author));
+  }
+
+  if (minLength !== undefined) {
+    conditions.push('js_length(text) >= ?');
+    params.push(minLength);
+  }
+
+  if (maxLength !== undefined) {
+    conditions.push('js_length(text) <= ?');
+    params.push(maxLength);
+  }
+
+  if (contains) {
+    conditions.push('(instr(js_lower(text), ?) > 0 OR instr(js_lower(author), ?) > 0)');
+    const searchTerm = contains.toLowerCase();
+    params.push(searchTerm, searchTerm);
+  }
+
+  const wantedTags = normalizeTags(tags);
+  if (wantedTags.length > 0) {
+    const placeholders = wantedTags.map(() => '?').join(', ');
+    if (tagMode === 'all') {
+      conditions.push(`id IN (SELECT quote_id FROM quote_tags WHERE tag IN (${placeholders}) GROUP BY quote_id HAVING COUNT(*) = ?)`);
+      params.push(...wantedTags, wantedTags.length);
+    } else {
+      conditions.push(`id IN (SELECT quote_id FROM quote_tags WHERE tag IN (${placeholders}))`);
+      params.push(...wantedTags);
+    }
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+module.exports = SqliteStorage;
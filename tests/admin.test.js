@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+// Point the app at a scratch copy of the quotes so writes never touch quotes.json
+const tempQuotesFile = path.join(__dirname, 'temp-admin-quotes.json');
+fs.copyFileSync(path.join(__dirname, '..', 'quotes.json'), tempQuotesFile);
+process.env.QUOTES_FILE = tempQuotesFile;
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const app = require('../index');
+
+const readQuotesFile = () => JSON.parse(fs.readFileSync(tempQuotesFile, 'utf8')).quotes;
+
+describe('Quote management API', () => {
+  const auth = { Authorization: 'Bearer test-admin-key' };
+
+  afterAll(() => {
+    delete process.env.QUOTES_FILE;
+    delete process.env.ADMIN_API_KEY;
+    if (fs.existsSync(tempQuotesFile)) {
+      fs.unlinkSync(tempQuotesFile);
+    }
+  });
+
+  describe('Authentication', () => {
+    test('should reject requests without an API key', async () => {
+      const response = await request(app)
+        .post('/api/v1/quotes')
+        .send({ text: 'No key', author: 'Anonymous' });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('error', 'Unauthorized');
+    });
+
+    test('should reject a wrong API key', async () => {
+      const response = await request(app)
+        .delete('/api/v1/quotes/anything')
+        .set('Authorization', 'Bearer wrong-key');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should accept the key in the X-API-Key header', async () => {
+      const response = await request(app)
+        .delete('/api/v1/quotes/nonexistent')
+        .set('X-API-Key', 'test-admin-key');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/quotes', () => {
+    test('should create and persist a quote', async () => {
+      const response = await request(app)
+        .post('/api/v1/quotes')
+        .set(auth)
+        .send({ text: 'Created by a test.', author: 'Jest', tags: ['Testing'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.quote).toMatchObject({ text: 'Created by a test.', author: 'Jest', tags: ['testing'] });
+      expect(response.body.quote).toHaveProperty('createdAt');
+      expect(response.headers.location).toBe(`/api/v1/quotes/${response.body.quote.id}`);
+
+      const saved = readQuotesFile().find(quote => quote.id === response.body.quote.id);
+      expect(saved).toMatchObject({ text: 'Created by a test.', author: 'Jest' });
+
+      const fetched = await request(app).get(`/api/v1/quotes/${response.body.quote.id}`);
+      expect(fetched.status).toBe(200);
+    });
+
+    test('should validate the quote', async () => {
+      const response = await request(app)
+        .post('/api/v1/quotes')
+        .set(auth)
+        .send({ text: '', tags: 'not-an-array' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Validation failed');
+      expect(response.body.details).toContain('Text is required and must be a non-empty string');
+      expect(response.body.details).toContain('Tags must be an array of at most 20 non-empty strings (max 50 characters each)');
+    });
+
+    test('should save translations', async () => {
+      const response = await request(app)
+        .post('/api/v1/quotes')
+        .set(auth)
+        .send({ text: 'Translated by a test.', translations: { ar: { text: 'ترجمه اختبار.' } } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.quote.translations).toEqual({ ar: { text: 'ترجمه اختبار.' } });
+
+      const invalid = await request(app)
+        .post('/api/v1/quotes')
+        .set(auth)
+        .send({ text: 'Bad translation', translations: { ar: 42 } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details).toContain('Translation "ar" must have text of 1-1000 characters');
+    });
+
+    test('should reject an ID that is already used', async () => {
+      await request(app).post('/api/v1/quotes').set(auth).send({ id: 'fixed-id', text: 'First' });
+      const response = await request(app)
+        .post('/api/v1/quotes')
+        .set(auth)
+        .send({ id: 'fixed-id', text: 'Second' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should not lose concurrent writes', async () => {
+      const responses = await Promise.all(
+        Array.from({ length: 5 }, (_, i) => request(app)
+          .post('/api/v1/quotes')
+          .set(auth)
+          .send({ text: `Concurrent quote ${i}` }))
+      );
+
+      responses.forEach(response => expect(response.status).toBe(201));
+      const savedTexts = readQuotesFile().map(quote => quote.text);
+      for (let i = 0; i < 5; i++) {
+        expect(savedTexts).toContain(`Concurrent quote ${i}`);
+      }
+    });
+  });
+
+  describe('Caching', () => {
+    test('should change the ETag when the collection changes', async () => {
+      const before = await request(app).get('/api/v1/tags');
+      await request(app).post('/api/v1/quotes').set(auth).send({ text: 'Fresh tag', tags: ['brand-new-tag'] });
+
+      const after = await request(app).get('/api/v1/tags').set('If-None-Match', before.headers.etag);
+
+      expect(after.status).toBe(200);
+      expect(after.headers.etag).not.toBe(before.headers.etag);
+      expect(after.body.tags).toContainEqual({ tag: 'brand-new-tag', count: 1 });
+    });
+  });
+
+  describe('PUT and PATCH /api/v1/quotes/:id', () => {
+    let quoteId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/v1/quotes')
+        .set(auth)
+        .send({ text: 'To be edited', author: 'Editor', tags: ['draft'] });
+      quoteId = response.body.quote.id;
+    });
+
+    test('should update only the given fields with PATCH', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/quotes/${quoteId}`)
+        .set(auth)
+        .send({ author: 'Second Editor' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.quote).toMatchObject({
+        id: quoteId,
+        text: 'To be edited',
+        author: 'Second Editor',
+        tags: ['draft']
+      });
+    });
+
+    test('should replace the quote with PUT while keeping its ID', async () => {
+      const response = await request(app)
+        .put(`/api/v1/quotes/${quoteId}`)
+        .set(auth)
+        .send({ text: 'Edited text' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.quote).toMatchObject({ id: quoteId, text: 'Edited text', author: 'Unknown', tags: [] });
+      expect(readQuotesFile().find(quote => quote.id === quoteId).text).toBe('Edited text');
+    });
+
+    test('should require text with PUT', async () => {
+      const response = await request(app)
+        .put(`/api/v1/quotes/${quoteId}`)
+        .set(auth)
+        .send({ author: 'No text' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 for unknown quotes', async () => {
+      const response = await request(app)
+        .patch('/api/v1/quotes/nonexistent')
+        .set(auth)
+        .send({ author: 'Nobody' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/v1/quotes/:id', () => {
+    test('should delete the quote', async () => {
+      const created = await request(app)
+        .post('/api/v1/quotes')
+        .set(auth)
+        .send({ text: 'Short-lived quote' });
+      const { id } = created.body.quote;
+
+      const response = await request(app).delete(`/api/v1/quotes/${id}`).set(auth);
+
+      expect(response.status).toBe(204);
+      expect(readQuotesFile().some(quote => quote.id === id)).toBe(false);
+
+      const fetched = await request(app).get(`/api/v1/quotes/${id}`);
+      expect(fetched.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/quotes/import', () => {
+    const csv = [
+      'id,text,author,tags',
+      'csv-1,"Imported, with a comma",Importer,"import;csv"',
+      'csv-2,,Nobody,',
+      'csv-3,Second imported quote,Importer,'
+    ].join('\r\n');
+
+    test('should report every row of a CSV dry run without writing', async () => {
+      const before = readQuotesFile().length;
+      const response = await request(app)
+        .post('/api/v1/quotes/import?dryRun=true')
+        .set(auth)
+        .set('Content-Type', 'text/csv')
+        .send(csv);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        strategy: 'merge',
+        dryRun: true,
+        applied: false,
+        summary: { total: 3, accepted: 2, duplicate: 0, invalid: 1 }
+      });
+      expect(response.body.rows[1]).toEqual({
+        row: 2,
+        status: 'invalid',
+        reason: 'Text is required and must be a non-empty string'
+      });
+      expect(readQuotesFile()).toHaveLength(before);
+    });
+
+    test('should merge a JSONL import and skip duplicates', async () => {
+      const existing = readQuotesFile()[0];
+      const body = [
+        JSON.stringify({ text: existing.text, author: existing.author }),
+        JSON.stringify({ text: 'From JSONL', author: 'Importer', tags: ['import'] }),
+        '{not json'
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/v1/quotes/import')
+        .set(auth)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(body);
+
+      expect(response.status).toBe(200);
+      expect(response.body.applied).toBe(true);
+      expect(response.body.rows.map(row => row.status)).toEqual(['duplicate', 'accepted', 'invalid']);
+      expect(response.body.rows[2].reason).toMatch(/^Line 3 is not valid JSON/);
+
+      const saved = readQuotesFile().find(quote => quote.id === response.body.rows[1].id);
+      expect(saved).toMatchObject({ text: 'From JSONL', tags: ['import'] });
+      expect(saved).toHaveProperty('createdAt');
+
+      const fetched = await request(app).get(`/api/v1/quotes/${saved.id}`);
+      expect(fetched.status).toBe(200);
+    });
+
+    test('should accept both JSON shapes', async () => {
+      const asArray = await request(app)
+        .post('/api/v1/quotes/import?dryRun=true')
+        .set(auth)
+        .send(['Just a string quote', 42]);
+      const asObject = await request(app)
+        .post('/api/v1/quotes/import?dryRun=true&format=json')
+        .set(auth)
+        .send({ quotes: [{ quote: 'Legacy field name', author: 'Old Format' }] });
+
+      expect(asArray.body.rows.map(row => row.status)).toEqual(['accepted', 'invalid']);
+      expect(asArray.body.rows[1].reason).toBe('Quote must be a string or an object');
+      expect(asObject.body.summary).toMatchObject({ total: 1, accepted: 1 });
+    });
+
+    test('should refuse a replace import with invalid rows', async () => {
+      const before = readQuotesFile();
+      const response = await request(app)
+        .post('/api/v1/quotes/import?strategy=replace')
+        .set(auth)
+        .set('Content-Type', 'text/csv')
+        .send(csv);
+
+      expect(response.status).toBe(422);
+      expect(response.body).toHaveProperty('error', 'Import rejected');
+      expect(response.body.report.applied).toBe(false);
+      expect(readQuotesFile()).toEqual(before);
+    });
+
+    test('should validate the import options and body', async () => {
+      const options = await request(app)
+        .post('/api/v1/quotes/import?strategy=append&dryRun=yes')
+        .set(auth)
+        .set('Content-Type', 'text/plain')
+        .send('text');
+      const body = await request(app)
+        .post('/api/v1/quotes/import')
+        .set(auth)
+        .set('Content-Type', 'text/csv')
+        .send('author\nNo text column');
+
+      expect(options.status).toBe(400);
+      expect(options.body.details).toEqual([
+        'format must be one of: csv, jsonl, ndjson, json (or send a text/csv, application/x-ndjson or application/json body)',
+        'strategy must be one of: merge, replace',
+        'dryRun must be true or false'
+      ]);
+      expect(body.status).toBe(400);
+      expect(body.body).toEqual({ error: 'Invalid import', message: 'CSV header must have a text (or quote) column' });
+    });
+
+    test('should reject a CSV or JSONL import sent as JSON or form data', async () => {
+      const asJson = await request(app)
+        .post('/api/v1/quotes/import?format=csv')
+        .set(auth)
+        .send({ text: 'Not a CSV' });
+      const asForm = await request(app)
+        .post('/api/v1/quotes/import?format=jsonl')
+        .set(auth)
+        .type('form')
+        .send({ text: 'Not JSONL' });
+
+      expect(asJson.status).toBe(400);
+      expect(asJson.body).toEqual({
+        error: 'Invalid import',
+        message: 'A csv import must be sent as a raw body, not as JSON or form data'
+      });
+      expect(asForm.status).toBe(400);
+      expect(asForm.body.error).toBe('Invalid import');
+    });
+
+    test('should require the admin key', async () => {
+      const response = await request(app).post('/api/v1/quotes/import').send([]);
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/v1/quotes/duplicates', () => {
+    test('should report near duplicates with conflicting authors', async () => {
+      const { body: { quote: original } } = await request(app)
+        .post('/api/v1/quotes')
+        .set(auth)
+        .send({ text: 'Courage is grace under pressure.', author: 'Ernest Hemingway' });
+      const { body: { quote: copy } } = await request(app)
+        .post('/api/v1/quotes')
+        .set(auth)
+        .send({ text: 'Courage is grace under pressure!!', author: 'Someone Else' });
+
+      const response = await request(app).get('/api/v1/quotes/duplicates?threshold=0.9').set(auth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.threshold).toBe(0.9);
+      expect(response.body.total).toBe(readQuotesFile().length);
+      expect(response.body.groups).toContainEqual(expect.objectContaining({
+        kind: 'exact',
+        misattributed: true,
+        authors: ['Ernest Hemingway', 'Someone Else'],
+        quotes: [
+          { id: original.id, text: original.text, author: 'Ernest Hemingway' },
+          { id: copy.id, text: copy.text, author: 'Someone Else' }
+        ]
+      }));
+    });
+
+    test('should validate the threshold', async () => {
+      const responses = await Promise.all(['1.5', 'abc', ''].map(threshold =>
+        request(app).get(`/api/v1/quotes/duplicates?threshold=${threshold}`).set(auth)));
+
+      responses.forEach(response => {
+        expect(response.status).toBe(400);
+        expect(response.body.details).toEqual(['threshold must be a number between 0 and 1']);
+      });
+    });
+
+    test('should require the admin key', async () => {
+      const response = await request(app).get('/api/v1/quotes/duplicates');
+      expect(response.status).toBe(401);
+    });
+  });
+});
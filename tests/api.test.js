@@ -1,12 +1,10 @@
 const request = require('supertest');
+
+// This suite makes more requests than the default rate limit allows
+process.env.RATE_LIMIT_MAX = '1000';
 const app = require('../index');
 
 describe('Random Quotes API', () => {
-  afterAll(() => {
-    // Give time for the server to close properly
-    setTimeout(() => process.exit(), 100);
-  });
-
   describe('GET /health', () => {
     test('should return health status', async () => {
       const response = await request(app).get('/health');
@@ -18,6 +16,8 @@ describe('Random Quotes API', () => {
       expect(response.body.quotes).toHaveProperty('total');
       expect(typeof response.body.quotes.total).toBe('number');
       expect(response.body.quotes.total).toBeGreaterThan(0);
+      expect(response.body.quotes).toHaveProperty('fileModifiedAt');
+      expect(response.body.quotes).toHaveProperty('lastReload');
     });
   });
 
@@ -30,6 +30,7 @@ describe('Random Quotes API', () => {
       expect(response.body).toHaveProperty('endpoints');
       expect(response.body.endpoints).toHaveProperty('/api/v1/quote');
       expect(response.body.endpoints).toHaveProperty('/api/v1/chat');
+      expect(response.body.endpoints).toHaveProperty('/api/v1/chat/stream');
     });
   });
 
@@ -45,6 +46,56 @@ describe('Random Quotes API', () => {
       expect(response.body.quote).toHaveProperty('author');
     });
 
+    test('should include tags on quotes', async () => {
+      const response = await request(app).get('/api/v1/quote');
+
+      expect(Array.isArray(response.body.quote.tags)).toBe(true);
+    });
+
+    test('should return a random quote with the requested tag', async () => {
+      const response = await request(app).get('/api/v1/quote?tag=success');
+
+      expect(response.status).toBe(200);
+      expect(response.body.quote.tags).toContain('success');
+    });
+
+    test('should return 404 when no quote has the tag', async () => {
+      const response = await request(app).get('/api/v1/quote?tag=no-such-tag');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error', 'Quote not found');
+    });
+
+    test('should return several distinct quotes with count', async () => {
+      const response = await request(app).get('/api/v1/quote?count=4&seed=batch');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(4);
+      expect(response.body.seed).toBe('batch');
+      expect(new Set(response.body.quotes.map(quote => quote.id)).size).toBe(4);
+
+      const repeated = await request(app).get('/api/v1/quote?count=4&seed=batch');
+      expect(repeated.body.quotes).toEqual(response.body.quotes);
+    });
+
+    test('should skip excluded quotes and echo a generated seed', async () => {
+      const first = await request(app).get('/api/v1/quote');
+      const response = await request(app).get(`/api/v1/quote?count=50&exclude=${first.body.quote.id}`);
+
+      expect(typeof first.body.seed).toBe('string');
+      expect(response.body.quotes.map(quote => quote.id)).not.toContain(first.body.quote.id);
+    });
+
+    test('should reject invalid count and seed values', async () => {
+      const response = await request(app).get(`/api/v1/quote?count=0&seed=${'x'.repeat(65)}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        'count must be an integer between 1 and 50',
+        'seed must be a string of at most 64 characters'
+      ]);
+    });
+
     test('should return different quotes on multiple requests', async () => {
       const response1 = await request(app).get('/api/v1/quote');
       const response2 = await request(app).get('/api/v1/quote');
@@ -61,6 +112,52 @@ describe('Random Quotes API', () => {
     });
   });
 
+  describe('GET /api/v1/quote/today', () => {
+    test('should return the quote of the day with rotation details', async () => {
+      const response = await request(app).get('/api/v1/quote/today');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('quote');
+      expect(response.body.quote).toHaveProperty('id');
+      expect(response.body).toHaveProperty('timezone', 'UTC');
+      expect(response.body.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(new Date(response.body.nextRotation).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should return the same quote on every request', async () => {
+      const response1 = await request(app).get('/api/v1/quote/today');
+      const response2 = await request(app).get('/api/v1/quote/today');
+
+      expect(response2.body.date).toBe(response1.body.date);
+      expect(response2.body.quote.id).toBe(response1.body.quote.id);
+    });
+
+    test('should be cacheable until the next rotation', async () => {
+      const response = await request(app).get('/api/v1/quote/today');
+      const maxAge = parseInt(response.headers['cache-control'].match(/max-age=(\d+)/)[1]);
+
+      expect(response.headers['cache-control']).toContain('public');
+      expect(maxAge).toBeGreaterThan(0);
+      expect(maxAge).toBeLessThanOrEqual(24 * 60 * 60);
+      expect(new Date(response.headers.expires).getTime()).toBe(new Date(response.body.nextRotation).getTime());
+    });
+
+    test('should accept a timezone override', async () => {
+      const response = await request(app).get('/api/v1/quote/today?tz=Asia/Baghdad');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('timezone', 'Asia/Baghdad');
+    });
+
+    test('should reject unknown timezones', async () => {
+      const response = await request(app).get('/api/v1/quote/today?tz=Mars/Olympus');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Validation failed');
+      expect(response.body.details).toContain('Unknown timezone: Mars/Olympus');
+    });
+  });
+
   describe('GET /api/v1/quotes', () => {
     test('should return paginated quotes with default parameters', async () => {
       const response = await request(app).get('/api/v1/quotes');
@@ -100,6 +197,167 @@ describe('Random Quotes API', () => {
       }
     });
 
+    test('should rank results for a q search', async () => {
+      const response = await request(app).get('/api/v1/quotes?q=author:jobs "great work"');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBeGreaterThan(0);
+      const [first] = response.body.quotes;
+      expect(first.author).toBe('Steve Jobs');
+      expect(first.match).toHaveProperty('score');
+      const [start, end] = first.match.highlights.text[0];
+      expect(first.text.slice(start, end).toLowerCase()).toBe('great');
+    });
+
+    test('should tolerate typos in a q search', async () => {
+      const response = await request(app).get('/api/v1/quotes?q=sucess');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBeGreaterThan(0);
+    });
+
+    test('should reject an overly long q search', async () => {
+      const response = await request(app).get(`/api/v1/quotes?q=${'a'.repeat(201)}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('q must be a search query of at most 200 characters');
+    });
+
+    test('should sort quotes by author and length', async () => {
+      const byAuthor = await request(app).get('/api/v1/quotes?sort=author&order=desc&limit=100');
+      const byLength = await request(app).get('/api/v1/quotes?sort=length&limit=100');
+
+      const authors = byAuthor.body.quotes.map(quote => quote.author.toLowerCase());
+      expect(authors).toEqual([...authors].sort().reverse());
+      const lengths = byLength.body.quotes.map(quote => quote.text.length);
+      expect(lengths).toEqual([...lengths].sort((a, b) => a - b));
+    });
+
+    test('should repeat a random order for the same seed', async () => {
+      const first = await request(app).get('/api/v1/quotes?sort=random&seed=shared&limit=5');
+      const second = await request(app).get('/api/v1/quotes?sort=random&seed=shared&limit=5');
+      const unseeded = await request(app).get('/api/v1/quotes?sort=random');
+
+      expect(first.body.seed).toBe('shared');
+      expect(second.body.quotes).toEqual(first.body.quotes);
+      expect(typeof unseeded.body.seed).toBe('string');
+    });
+
+    test('should apply author, length and exclude filters', async () => {
+      const all = await request(app).get('/api/v1/quotes?author=steve-jobs');
+      const [excluded] = all.body.quotes;
+      const response = await request(app)
+        .get(`/api/v1/quotes?author=Steve%20Jobs&minLength=50&maxLength=200&exclude=${excluded.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(all.body.total - 1);
+      response.body.quotes.forEach(quote => {
+        expect(quote.author).toBe('Steve Jobs');
+        expect(quote.id).not.toBe(excluded.id);
+        expect(quote.text.length).toBeGreaterThanOrEqual(50);
+      });
+    });
+
+    test('should reject invalid sorting and filter values', async () => {
+      const response = await request(app)
+        .get('/api/v1/quotes?sort=popularity&order=up&minLength=-1&maxLength=abc&exclude=a%20b&seed=x');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        'sort must be one of: author, length, id, relevance, random',
+        'order must be one of: asc, desc',
+        'seed can only be used with sort=random',
+        'minLength must be a non-negative integer',
+        'maxLength must be a non-negative integer',
+        'exclude must be a comma-separated list of at most 100 quote IDs'
+      ]);
+    });
+
+    test('should require q for relevance sorting', async () => {
+      const response = await request(app).get('/api/v1/quotes?sort=relevance');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('sort=relevance requires a q search');
+    });
+
+    test('should sort ranked results by another field', async () => {
+      const response = await request(app).get('/api/v1/quotes?q=success&sort=length&order=desc');
+      const lengths = response.body.quotes.map(quote => quote.text.length);
+
+      expect(response.body.total).toBeGreaterThan(1);
+      expect(lengths).toEqual([...lengths].sort((a, b) => b - a));
+    });
+
+    test('should page through all quotes with cursors', async () => {
+      const seen = [];
+      let response = await request(app).get('/api/v1/quotes?limit=5&sort=author');
+      const total = response.body.total;
+      seen.push(...response.body.quotes.map(quote => quote.id));
+
+      while (response.body.nextCursor) {
+        expect(response.headers.link).toContain('rel="next"');
+        response = await request(app).get(`/api/v1/quotes?limit=5&sort=author&cursor=${response.body.nextCursor}`);
+        expect(response.status).toBe(200);
+        seen.push(...response.body.quotes.map(quote => quote.id));
+      }
+
+      expect(seen.length).toBe(total);
+      expect(new Set(seen).size).toBe(total);
+      expect(response.body.prevCursor).not.toBeNull();
+    });
+
+    test('should follow the Link header of a random listing', async () => {
+      const first = await request(app).get('/api/v1/quotes?limit=3&sort=random');
+      const next = first.headers.link.match(/<([^>]+)>; rel="next"/)[1];
+      const second = await request(app).get(next);
+
+      expect(second.status).toBe(200);
+      expect(second.body.seed).toBe(first.body.seed);
+      const firstIds = first.body.quotes.map(quote => quote.id);
+      second.body.quotes.forEach(quote => expect(firstIds).not.toContain(quote.id));
+    });
+
+    test('should reject invalid or mismatched cursors', async () => {
+      const first = await request(app).get('/api/v1/quotes?limit=2');
+      const mismatched = await request(app).get(`/api/v1/quotes?limit=2&sort=id&cursor=${first.body.nextCursor}`);
+      const invalid = await request(app).get('/api/v1/quotes?cursor=garbage&page=2');
+
+      expect(mismatched.status).toBe(400);
+      expect(mismatched.body.details).toContain('cursor is invalid or belongs to a different query');
+      expect(invalid.body.details).toEqual([
+        'cursor is invalid or belongs to a different query',
+        'cursor cannot be combined with page'
+      ]);
+    });
+
+    test('should filter quotes by any of the tags', async () => {
+      const response = await request(app).get('/api/v1/quotes?tag=success,innovation&limit=100');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBeGreaterThan(0);
+      response.body.quotes.forEach(quote => {
+        expect(quote.tags.some(tag => ['success', 'innovation'].includes(tag))).toBe(true);
+      });
+    });
+
+    test('should filter quotes by all of the tags', async () => {
+      const response = await request(app).get('/api/v1/quotes?tag=success&tag=failure&tagMode=all');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBeGreaterThan(0);
+      response.body.quotes.forEach(quote => {
+        expect(quote.tags).toEqual(expect.arrayContaining(['success', 'failure']));
+      });
+    });
+
+    test('should reject an invalid tag mode', async () => {
+      const response = await request(app).get('/api/v1/quotes?tag=success&tagMode=some');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Validation failed');
+      expect(response.body.details).toContain('tagMode must be one of: any, all');
+    });
+
     test('should handle large page numbers gracefully', async () => {
       const response = await request(app).get('/api/v1/quotes?page=999');
       
@@ -115,6 +373,59 @@ describe('Random Quotes API', () => {
     });
   });
 
+  describe('GET /api/v1/quotes/export', () => {
+    const download = url => request(app).get(url).buffer(true).parse((res, callback) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => callback(null, body));
+    });
+
+    test('should download the whole collection as JSON', async () => {
+      const [response, health] = await Promise.all([download('/api/v1/quotes/export'), request(app).get('/health')]);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^application\/json/);
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="quotes-\d{4}-\d{2}-\d{2}\.json"$/);
+      const { quotes } = JSON.parse(response.body);
+      expect(quotes).toHaveLength(health.body.quotes.total);
+      expect(quotes.some(quote => quote.translations)).toBe(true);
+    });
+
+    test('should export a filtered subset as NDJSON and CSV', async () => {
+      const ndjson = await download('/api/v1/quotes/export?format=ndjson&author=steve-jobs');
+      const csv = await download('/api/v1/quotes/export?format=csv&tag=innovation');
+
+      expect(ndjson.headers['content-type']).toMatch(/^application\/x-ndjson/);
+      const lines = ndjson.body.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.length).toBeGreaterThan(0);
+      lines.forEach(quote => expect(quote.author).toBe('Steve Jobs'));
+
+      expect(csv.headers['content-disposition']).toMatch(/\.csv"$/);
+      const rows = csv.body.trim().split('\r\n');
+      expect(rows[0]).toBe('id,text,author,tags,translations,createdAt,updatedAt');
+      rows.slice(1).forEach(row => expect(row).toMatch(/innovation/));
+    });
+
+    test('should validate the format and filters', async () => {
+      const response = await request(app).get('/api/v1/quotes/export?format=xml&minLength=abc');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        'minLength must be a non-negative integer',
+        'format must be one of: json, ndjson, csv'
+      ]);
+    });
+
+    test('should reject a repeated contains before starting the download', async () => {
+      const response = await request(app).get('/api/v1/quotes/export?contains=a&contains=b');
+
+      expect(response.status).toBe(400);
+      expect(response.headers['content-disposition']).toBeUndefined();
+      expect(response.body.details).toEqual(['contains must be a single search string']);
+    });
+  });
+
   describe('GET /api/v1/quotes/:id', () => {
     let validQuoteId;
 
@@ -140,6 +451,325 @@ describe('Random Quotes API', () => {
     });
   });
 
+  describe('Translations', () => {
+    let translatedId;
+
+    beforeAll(async () => {
+      const response = await request(app).get('/api/v1/quotes?q="great work" author:jobs');
+      translatedId = response.body.quotes[0].id;
+    });
+
+    test('should return the translation requested with ?lang=', async () => {
+      const response = await request(app).get(`/api/v1/quotes/${translatedId}?lang=ar`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.quote).toMatchObject({ language: 'ar', direction: 'rtl', fallback: false, author: 'ستيف جوبز' });
+      expect(response.body.quote).not.toHaveProperty('translations');
+      expect(response.headers.vary).toMatch(/Accept-Language/);
+    });
+
+    test('should honour Accept-Language', async () => {
+      const response = await request(app)
+        .get(`/api/v1/quotes/${translatedId}`)
+        .set('Accept-Language', 'fr;q=0.9, ckb');
+
+      expect(response.body.quote).toMatchObject({ language: 'ckb', direction: 'rtl' });
+    });
+
+    test('should fall back to the original text with a flag', async () => {
+      const response = await request(app).get(`/api/v1/quotes/${translatedId}?lang=fr`);
+
+      expect(response.body.quote).toMatchObject({
+        text: 'The only way to do great work is to love what you do.',
+        language: 'en',
+        direction: 'ltr',
+        fallback: true
+      });
+    });
+
+    test('should localize lists and the random quote', async () => {
+      const list = await request(app).get('/api/v1/quotes?lang=ar&limit=100');
+      const random = await request(app).get('/api/v1/quote?lang=ar');
+
+      list.body.quotes.forEach(quote => expect(quote.fallback ? 'en' : 'ar').toBe(quote.language));
+      expect(list.body.quotes.some(quote => quote.language === 'ar')).toBe(true);
+      expect(random.body.quote).toHaveProperty('direction');
+    });
+
+    test('should reject an invalid lang', async () => {
+      const response = await request(app).get('/api/v1/quote/today?lang=not_a_language');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('lang must be a language code such as en, ar or ckb');
+    });
+  });
+
+  describe('Content negotiation', () => {
+    let translatedId;
+
+    beforeAll(async () => {
+      const response = await request(app).get('/api/v1/quotes?q="great work" author:jobs');
+      translatedId = response.body.quotes[0].id;
+    });
+
+    test('should return plain text for Accept: text/plain', async () => {
+      const response = await request(app)
+        .get(`/api/v1/quotes/${translatedId}`)
+        .set('Accept', 'text/plain');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain/);
+      expect(response.headers.vary).toMatch(/Accept/);
+      expect(response.text).toBe('"The only way to do great work is to love what you do." — Steve Jobs\n');
+    });
+
+    test('should keep JSON as the default', async () => {
+      const response = await request(app).get('/api/v1/quote').set('Accept', '*/*');
+
+      expect(response.headers['content-type']).toMatch(/^application\/json/);
+      expect(response.body).toHaveProperty('quote');
+    });
+
+    test('should let ?format= override the Accept header', async () => {
+      const response = await request(app)
+        .get('/api/v1/quotes?limit=3&format=csv')
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/csv/);
+      const rows = response.text.trim().split('\r\n');
+      expect(rows[0]).toBe('id,text,author,tags,language,direction');
+      expect(rows).toHaveLength(4);
+    });
+
+    test('should list quotes as XML with the paging fields', async () => {
+      const response = await request(app)
+        .get('/api/v1/quotes?limit=2&lang=ar')
+        .set('Accept', 'application/xml');
+
+      expect(response.headers['content-type']).toMatch(/^application\/xml/);
+      expect(response.text).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<quotes total="\d+" page="1" limit="2"/);
+      expect(response.text).toContain(`<quote id="${translatedId}" xml:lang="ar" dir="rtl">`);
+    });
+
+    test('should isolate right-to-left text in Markdown', async () => {
+      const response = await request(app).get(`/api/v1/quotes/${translatedId}?format=markdown&lang=ar`);
+
+      expect(response.headers['content-type']).toMatch(/^text\/markdown/);
+      expect(response.text).toMatch(/^> \u2068[^\u2069]+\u2069\n>\n> — \u2068ستيف جوبز\u2069\n$/);
+    });
+
+    test('should render several random quotes and the quote of the day', async () => {
+      const random = await request(app).get('/api/v1/quote?count=3&format=text');
+      const today = await request(app).get('/api/v1/quote/today').set('Accept', 'text/markdown');
+
+      expect(random.text.trim().split('\n')).toHaveLength(3);
+      expect(today.text).toMatch(/^> /);
+    });
+
+    test('should serve JSON to browsers', async () => {
+      const browserAccept = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+      const random = await request(app).get('/api/v1/quote').set('Accept', browserAccept);
+      const single = await request(app).get(`/api/v1/quotes/${translatedId}`).set('Accept', browserAccept);
+      const html = await request(app).get('/api/v1/quotes').set('Accept', 'text/html');
+
+      [random, single, html].forEach(response => {
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/application\/json/);
+      });
+    });
+
+    test('should return 406 for unsupported media types', async () => {
+      const response = await request(app).get('/api/v1/quotes').set('Accept', 'image/png');
+
+      expect(response.status).toBe(406);
+      expect(response.body).toHaveProperty('error', 'Not Acceptable');
+      expect(response.body.message).toContain('text/csv');
+    });
+
+    test('should reject an unknown format', async () => {
+      const response = await request(app).get('/api/v1/quote?format=pdf');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('format must be one of: json, text, csv, xml, markdown');
+    });
+  });
+
+  describe('GET /api/v1/authors', () => {
+    test('should return paginated authors with quote counts', async () => {
+      const response = await request(app).get('/api/v1/authors?limit=100');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('totalPages');
+      expect(response.body.authors).toContainEqual({ slug: 'steve-jobs', name: 'Steve Jobs', quoteCount: 3 });
+    });
+
+    test('should search authors by name', async () => {
+      const response = await request(app).get('/api/v1/authors?contains=king');
+
+      expect(response.body.authors.map(author => author.slug)).toEqual(['martin-luther-king-jr']);
+    });
+
+    test('should return an author by slug', async () => {
+      const response = await request(app).get('/api/v1/authors/winston-churchill');
+
+      expect(response.status).toBe(200);
+      expect(response.body.author).toMatchObject({ name: 'Winston Churchill', quoteCount: 1 });
+    });
+
+    test('should return only quotes by the author', async () => {
+      const response = await request(app).get('/api/v1/authors/steve-jobs/quotes');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(3);
+      response.body.quotes.forEach(quote => expect(quote.author).toBe('Steve Jobs'));
+    });
+
+    test('should return 404 for unknown authors', async () => {
+      const author = await request(app).get('/api/v1/authors/nobody');
+      const quotes = await request(app).get('/api/v1/authors/nobody/quotes');
+
+      expect(author.status).toBe(404);
+      expect(quotes.status).toBe(404);
+      expect(author.body).toHaveProperty('error', 'Author not found');
+    });
+  });
+
+  describe('Feeds', () => {
+    test('should publish an RSS feed of the quote of the day', async () => {
+      const today = await request(app).get('/api/v1/quote/today');
+      const response = await request(app).get('/api/v1/feed.rss');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^application\/rss\+xml/);
+      expect(response.text).toContain(
+        `<guid isPermaLink="false">urn:random-quotes:quote-of-the-day:${today.body.date}:${today.body.quote.id}</guid>`
+      );
+      expect(response.text.match(/<item>/g)).toHaveLength(30);
+    });
+
+    test('should publish an Atom feed filtered by tag and author', async () => {
+      const response = await request(app).get('/api/v1/feed.atom?tag=innovation&author=steve-jobs');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^application\/atom\+xml/);
+      expect(response.text).toContain('<title>Random Quotes tagged innovation by Steve Jobs</title>');
+      const authors = response.text.match(/<author><name>[^<]+<\/name><\/author>/g);
+      expect(new Set(authors)).toEqual(new Set(['<author><name>Steve Jobs</name></author>']));
+    });
+
+    test('should return an empty feed when nothing matches', async () => {
+      const response = await request(app).get('/api/v1/feed.atom?tag=no-such-tag');
+
+      expect(response.status).toBe(200);
+      expect(response.text).not.toContain('<entry>');
+    });
+
+    test('should validate the feed filters', async () => {
+      const response = await request(app).get('/api/v1/feed.rss?tagMode=some&tz=Mars/Olympus');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['tagMode must be one of: any, all', 'Unknown timezone: Mars/Olympus']);
+    });
+  });
+
+  describe('GET /api/v1/tags', () => {
+    test('should return tags with quote counts', async () => {
+      const response = await request(app).get('/api/v1/tags');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(response.body.tags.length);
+      expect(response.body.tags.length).toBeGreaterThan(0);
+      response.body.tags.forEach(entry => {
+        expect(typeof entry.tag).toBe('string');
+        expect(entry.count).toBeGreaterThan(0);
+      });
+    });
+  });
+
+  describe('HTTP caching', () => {
+    let quoteId;
+
+    beforeAll(async () => {
+      quoteId = (await request(app).get('/api/v1/quotes')).body.quotes[0].id;
+    });
+
+    const cachedRoutes = [
+      '/api/v1/quotes?limit=2',
+      '/api/v1/quotes?sort=random&seed=fixed',
+      '/api/v1/quotes/:id',
+      '/api/v1/tags',
+      '/api/v1/authors',
+      '/api/v1/authors/steve-jobs',
+      '/api/v1/authors/steve-jobs/quotes'
+    ];
+
+    test.each(cachedRoutes)('should answer a matching If-None-Match on %s with 304', async route => {
+      const url = route.replace(':id', quoteId);
+      const response = await request(app).get(url);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toMatch(/^"[\w-]+"$/);
+      expect(response.headers['cache-control']).toBe('public, max-age=60');
+      expect(response.headers.vary).toEqual(expect.stringContaining('Accept-Language'));
+
+      const cached = await request(app).get(url).set('If-None-Match', response.headers.etag);
+      expect(cached.status).toBe(304);
+      expect(cached.text).toBe('');
+      expect(cached.headers.etag).toBe(response.headers.etag);
+
+      const changed = await request(app).get(url).set('If-None-Match', '"something-else"');
+      expect(changed.status).toBe(200);
+    });
+
+    test('should honor If-Modified-Since', async () => {
+      const response = await request(app).get('/api/v1/tags');
+      const lastModified = new Date(response.headers['last-modified']);
+
+      expect(lastModified.getTime()).toBeLessThanOrEqual(Date.now());
+      expect((await request(app).get('/api/v1/tags').set('If-Modified-Since', response.headers['last-modified'])).status).toBe(304);
+      expect((await request(app).get('/api/v1/tags').set('If-Modified-Since', new Date(lastModified.getTime() - 1000).toUTCString())).status).toBe(200);
+    });
+
+    test('should give every representation its own ETag', async () => {
+      const json = await request(app).get('/api/v1/quotes?limit=2');
+      const csv = await request(app).get('/api/v1/quotes?limit=2').set('Accept', 'text/csv');
+      const arabic = await request(app).get('/api/v1/quotes?limit=2').set('Accept-Language', 'ar');
+      const page2 = await request(app).get('/api/v1/quotes?limit=2&page=2');
+
+      expect(new Set([json, csv, arabic, page2].map(response => response.headers.etag)).size).toBe(4);
+      expect((await request(app).get('/api/v1/quotes?limit=2').set('Accept', 'text/csv').set('If-None-Match', json.headers.etag)).status).toBe(200);
+    });
+
+    test('should cache the quote of the day until rotation', async () => {
+      const response = await request(app).get('/api/v1/quote/today');
+
+      expect(response.headers.etag).toBeDefined();
+      expect(new Date(response.headers['last-modified']).getTime()).toBeLessThanOrEqual(Date.now());
+      expect((await request(app).get('/api/v1/quote/today').set('If-None-Match', response.headers.etag)).status).toBe(304);
+      expect((await request(app).get('/api/v1/quote/today?tz=Asia/Tokyo').set('If-None-Match', response.headers.etag)).status).toBe(200);
+    });
+
+    test('should never cache random picks', async () => {
+      const random = await request(app).get('/api/v1/quote');
+      const shuffled = await request(app).get('/api/v1/quotes?sort=random');
+
+      expect(random.headers['cache-control']).toBe('no-store');
+      expect(shuffled.headers['cache-control']).toBe('no-store');
+      expect(shuffled.headers.etag).not.toMatch(/^"/);
+    });
+
+    test('should not cache errors', async () => {
+      const missing = await request(app).get('/api/v1/quotes/does-not-exist');
+      const unacceptable = await request(app).get('/api/v1/quotes').set('Accept', 'image/png');
+
+      expect(missing.headers['cache-control']).toBeUndefined();
+      expect(unacceptable.status).toBe(406);
+      expect(unacceptable.headers['cache-control']).toBe('no-store');
+      expect(unacceptable.headers['last-modified']).toBeUndefined();
+    });
+  });
+
   describe('POST /api/v1/chat', () => {
     test('should handle valid chat request in English', async () => {
       const chatRequest = {
@@ -204,6 +834,46 @@ describe('Random Quotes API', () => {
       expect(response.body).toHaveProperty('quote');
     });
 
+    test('should report why the AI provider was not used', async () => {
+      const ChatService = require('../server/chatService');
+      const spy = jest.spyOn(ChatService.prototype, 'generateResponse').mockResolvedValueOnce({
+        message: 'Here\'s a thoughtful quote for you',
+        language: 'en',
+        direction: 'ltr',
+        provider: 'fallback',
+        reason: 'content_filter',
+        quote: { id: '1', text: 'Quote', author: 'Author', tags: [] }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/chat')
+        .send({ message: 'Hello' });
+      spy.mockRestore();
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ provider: 'fallback', fallback: true, fallbackReason: 'content_filter' });
+    });
+
+    test('should return the IDs of the quotes the AI was given', async () => {
+      const ChatService = require('../server/chatService');
+      const spy = jest.spyOn(ChatService.prototype, 'generateResponse').mockResolvedValueOnce({
+        message: 'Keep going [1].',
+        language: 'en',
+        direction: 'ltr',
+        provider: 'gemini',
+        contextQuoteIds: ['abc123', 'def456']
+      });
+
+      const response = await request(app)
+        .post('/api/v1/chat')
+        .send({ message: 'Give me a quote about perseverance' });
+      spy.mockRestore();
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ provider: 'gemini', contextQuoteIds: ['abc123', 'def456'] });
+      expect(response.body).not.toHaveProperty('fallback');
+    });
+
     test('should handle conversation history', async () => {
       const chatRequest = {
         message: 'What about motivation?',
@@ -270,6 +940,109 @@ describe('Random Quotes API', () => {
     });
   });
 
+  describe('POST /api/v1/chat/stream', () => {
+    // The { event, data } of each event in a text/event-stream body
+    const parseEvents = text => text.trim().split('\n\n').map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+
+    test('should stream the fallback answer as events', async () => {
+      const response = await request(app)
+        .post('/api/v1/chat/stream')
+        .send({ message: 'Hello', language: 'ar' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+      expect(response.headers['cache-control']).toBe('no-cache, no-transform');
+      expect(response.headers['content-encoding']).toBeUndefined();
+
+      const events = parseEvents(response.text);
+      expect(events.map(({ event }) => event)).toEqual(['delta', 'quote', 'done']);
+      expect(events[0].data.text).toContain(events[1].data.quote.text);
+      expect(events[2].data).toMatchObject({ language: 'ar', direction: 'rtl', provider: 'fallback', timestamp: expect.any(String) });
+    });
+
+    test('should report the fallback reason and skipped providers when done', async () => {
+      const ChatService = require('../server/chatService');
+      const spy = jest.spyOn(ChatService.prototype, 'streamResponse').mockImplementationOnce(async function* () {
+        yield { event: 'delta', data: { text: 'Here\'s a thoughtful quote for you' } };
+        yield {
+          event: 'done',
+          data: { language: 'en', direction: 'ltr', provider: 'fallback', reason: 'timeout', skipped: [{ provider: 'gemini', reason: 'timeout' }] }
+        };
+      });
+
+      const response = await request(app)
+        .post('/api/v1/chat/stream')
+        .send({ message: 'Hello' });
+      spy.mockRestore();
+
+      const done = parseEvents(response.text).pop();
+      expect(done).toEqual({
+        event: 'done',
+        data: {
+          language: 'en',
+          direction: 'ltr',
+          provider: 'fallback',
+          timestamp: expect.any(String),
+          fallback: true,
+          fallbackReason: 'timeout',
+          skipped: [{ provider: 'gemini', reason: 'timeout' }]
+        }
+      });
+    });
+
+    test('should end the stream with an error event when generation fails', async () => {
+      const ChatService = require('../server/chatService');
+      const spy = jest.spyOn(ChatService.prototype, 'streamResponse').mockImplementationOnce(async function* () {
+        yield { event: 'delta', data: { text: 'Partial' } };
+        throw new Error('Unexpected');
+      });
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/v1/chat/stream')
+        .send({ message: 'Hello' });
+      spy.mockRestore();
+      consoleSpy.mockRestore();
+
+      expect(parseEvents(response.text)).toEqual([
+        { event: 'delta', data: { text: 'Partial' } },
+        { event: 'error', data: { error: 'Internal server error', message: 'Failed to generate chat response' } }
+      ]);
+    });
+
+    test('should validate the request like the chat endpoint', async () => {
+      const response = await request(app)
+        .post('/api/v1/chat/stream')
+        .send({ message: '', language: 'fr' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Validation failed', message: 'Invalid request parameters' });
+      expect(response.body.details).toEqual([
+        'Message is required and must be a non-empty string',
+        'Language must be one of: en, ar, ckb'
+      ]);
+    });
+
+    test('should reject history items that are not objects', async () => {
+      const response = await request(app)
+        .post('/api/v1/chat/stream')
+        .send({ message: 'hi', history: [null] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['History item 0 must be an object with role and content']);
+    });
+
+    test('should reject a request without a body', async () => {
+      const response = await request(app).post('/api/v1/chat/stream');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['Message is required and must be a non-empty string']);
+    });
+  });
+
   describe('Backward compatibility', () => {
     test('should redirect /quote to /api/v1/quote', async () => {
       const response = await request(app).get('/quote');
@@ -1,4 +1,6 @@
+const http = require('http');
 const ChatService = require('../server/chatService');
+const { ProviderChain } = require('../server/providers/providerChain');
 const QuotesService = require('../server/quotes');
 
 // Mock the Google Generative AI module
@@ -29,9 +31,10 @@ describe('ChatService', () => {
     // Create quotes service with mock data
     quotesService = {
       getSampleQuotes: jest.fn().mockReturnValue([
-        { text: 'Sample quote 1', author: 'Author 1' },
-        { text: 'Sample quote 2', author: 'Author 2' }
+        { id: 'sample-1', text: 'Sample quote 1', author: 'Author 1' },
+        { id: 'sample-2', text: 'Sample quote 2', author: 'Author 2' }
       ]),
+      findRelevantQuotes: jest.fn().mockReturnValue([]),
       getRandomQuote: jest.fn().mockReturnValue({
         id: 'test-id',
         text: 'Random test quote',
@@ -106,6 +109,27 @@ describe('ChatService', () => {
       expect(response.message).toContain('ئەمە وتەیەک');
     });
 
+    test('should use the quote translation for the chat language', async () => {
+      quotesService.getRandomQuote.mockReturnValue({
+        id: 'test-id',
+        text: 'Random test quote',
+        author: 'Test Author',
+        translations: { ar: { text: 'اقتباس اختباري', author: 'مؤلف' } }
+      });
+
+      const response = await chatService.generateResponse('مرحبا', 'ar');
+
+      expect(response.message).toContain('"اقتباس اختباري" - مؤلف');
+      expect(response.quote).toMatchObject({ text: 'اقتباس اختباري', language: 'ar', direction: 'rtl', fallback: false });
+    });
+
+    test('should fall back to the original quote without a translation', async () => {
+      const response = await chatService.generateResponse('سڵاو', 'ckb');
+
+      expect(response.message).toContain('"Random test quote" - Test Author');
+      expect(response.quote).toMatchObject({ language: 'en', fallback: true });
+    });
+
     test('should handle error in fallback gracefully', async () => {
       // Make getRandomQuote throw an error
       quotesService.getRandomQuote.mockImplementation(() => {
@@ -149,10 +173,11 @@ describe('ChatService', () => {
       expect(response).toHaveProperty('direction', 'ltr');
     });
 
-    test('should include sample quotes in system prompt', async () => {
-      await chatService.generateResponse('Hello', 'en');
+    test('should include sample quotes in system prompt when none are relevant', async () => {
+      const response = await chatService.generateResponse('Hello', 'en');
       
       expect(quotesService.getSampleQuotes).toHaveBeenCalledWith(3);
+      expect(response.contextQuoteIds).toEqual(['sample-1', 'sample-2']);
     });
 
     test('should fall back to local response on Gemini error', async () => {
@@ -180,6 +205,309 @@ describe('ChatService', () => {
     });
   });
 
+  describe('OpenAI-compatible provider', () => {
+    let server;
+
+    beforeEach(done => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '  Stub wisdom  ' } }] }));
+      });
+      server.listen(0, '127.0.0.1', () => {
+        process.env.AI_PROVIDER = 'openai';
+        process.env.OPENAI_API_KEY = 'test-key';
+        process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+        done();
+      });
+    });
+
+    afterEach(done => {
+      delete process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_BASE_URL;
+      console.log.mockRestore();
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    test('should answer through the configured endpoint', async () => {
+      chatService = new ChatService(quotesService);
+      const response = await chatService.generateResponse('Hello', 'ar');
+
+      expect(response).toEqual({
+        message: 'Stub wisdom',
+        language: 'ar',
+        direction: 'rtl',
+        provider: 'openai',
+        contextQuoteIds: ['sample-1', 'sample-2']
+      });
+      expect(chatService.getStatus()).toMatchObject({
+        active: 'openai',
+        providers: [{ name: 'openai', ready: true, circuit: { state: 'closed', failures: 0 } }]
+      });
+    });
+
+    test('should give the reason when falling back after a provider error', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      chatService = new ChatService(quotesService);
+      const blocked = Object.assign(new Error('azure prompt was blocked by the content filter'), { reason: 'content_filter' });
+      const azure = { name: 'azure', health: () => ({}), generate: jest.fn().mockRejectedValueOnce(blocked).mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { status: 401 })) };
+      chatService.chain = new ProviderChain([azure], { retries: 0 });
+
+      expect(await chatService.generateResponse('Hello', 'en')).toMatchObject({
+        provider: 'fallback',
+        reason: 'content_filter',
+        skipped: [{ provider: 'azure', reason: 'content_filter' }]
+      });
+      expect(await chatService.generateResponse('Hello', 'en')).toMatchObject({ provider: 'fallback', reason: 'provider_error' });
+
+      consoleSpy.mockRestore();
+    });
+
+    test('should report the fallback as active without an API key', () => {
+      delete process.env.OPENAI_API_KEY;
+      chatService = new ChatService(quotesService);
+
+      expect(chatService.getStatus()).toEqual({
+        active: 'fallback',
+        providers: [{ name: 'openai', ready: false, model: 'gpt-3.5-turbo', baseUrl: expect.any(String) }]
+      });
+    });
+  });
+
+  describe('Provider failover', () => {
+    let servers;
+
+    // One stub chat completions server per provider; reply(count) gives the status and answer of each call
+    const startServer = reply => new Promise(resolve => {
+      let count = 0;
+      const server = http.createServer((req, res) => {
+        const { status = 200, content } = reply(++count);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(status === 200 ? { choices: [{ message: { content } }] } : { error: { message: 'Unavailable' } }));
+      });
+      servers.push(server);
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+
+    beforeEach(() => {
+      servers = [];
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      ['AI_PROVIDERS', 'AI_RETRIES', 'AI_RETRY_BACKOFF_MS', 'AI_CIRCUIT_FAILURE_THRESHOLD', 'OPENAI_API_KEY', 'OPENAI_BASE_URL',
+        'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT_NAME'].forEach(name => delete process.env[name]);
+      console.log.mockRestore();
+      console.error.mockRestore();
+      await Promise.all(servers.map(server => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+      })));
+    });
+
+    test('should fail over in order and report the skipped providers', async () => {
+      const azureUrl = await startServer(() => ({ status: 503 }));
+      const openaiUrl = await startServer(() => ({ content: 'From OpenAI' }));
+      Object.assign(process.env, {
+        AI_PROVIDERS: 'azure, openai, fallback',
+        AI_RETRIES: '1',
+        AI_RETRY_BACKOFF_MS: '1',
+        AI_CIRCUIT_FAILURE_THRESHOLD: '2',
+        AZURE_OPENAI_API_KEY: 'key',
+        AZURE_OPENAI_ENDPOINT: azureUrl,
+        AZURE_OPENAI_DEPLOYMENT_NAME: 'gpt',
+        OPENAI_API_KEY: 'key',
+        OPENAI_BASE_URL: `${openaiUrl}/v1`
+      });
+      chatService = new ChatService(quotesService);
+
+      const first = await chatService.generateResponse('Hello', 'en');
+      expect(first).toMatchObject({ message: 'From OpenAI', provider: 'openai', skipped: [{ provider: 'azure', reason: 'provider_error' }] });
+
+      // The second failure opens Azure's circuit, so the third request doesn't try it
+      await chatService.generateResponse('Hello', 'en');
+      const third = await chatService.generateResponse('Hello', 'en');
+      expect(third.skipped).toEqual([{ provider: 'azure', reason: 'circuit_open' }]);
+      expect(chatService.getStatus()).toMatchObject({
+        active: 'openai',
+        providers: [
+          { name: 'azure', circuit: { state: 'open', failures: 2 } },
+          { name: 'openai', circuit: { state: 'closed' } },
+          { name: 'fallback', ready: true }
+        ]
+      });
+    });
+
+    test('should answer with a quote when every provider fails', async () => {
+      const openaiUrl = await startServer(() => ({ status: 500 }));
+      Object.assign(process.env, { AI_PROVIDERS: 'openai', AI_RETRIES: '0', OPENAI_API_KEY: 'key', OPENAI_BASE_URL: openaiUrl });
+      chatService = new ChatService(quotesService);
+
+      expect(await chatService.generateResponse('Hello', 'en')).toMatchObject({
+        provider: 'fallback',
+        reason: 'provider_error',
+        skipped: [{ provider: 'openai', reason: 'provider_error' }],
+        quote: { id: 'test-id' }
+      });
+    });
+
+    test('should reject an invalid provider list', () => {
+      process.env.AI_PROVIDERS = 'fallback,gemini';
+      expect(() => new ChatService(quotesService)).toThrow('fallback must be the last of AI_PROVIDERS');
+
+      process.env.AI_PROVIDERS = 'openai,openai';
+      expect(() => new ChatService(quotesService)).toThrow('AI_PROVIDERS lists a provider more than once');
+    });
+  });
+
+  describe('Quote retrieval', () => {
+    const relevantQuotes = [
+      { id: 'q1', text: 'Well done is better than well said.', author: 'Benjamin Franklin', translations: { ar: { text: 'العمل الجيد خير من القول الجيد.' } } },
+      { id: 'q2', text: 'Action is the foundational key to all success.', author: 'Pablo Picasso' }
+    ];
+    let provider;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      quotesService.findRelevantQuotes.mockReturnValue(relevantQuotes);
+      provider = { name: 'openai', health: () => ({}), generate: jest.fn().mockResolvedValue('Act now [2].') };
+      chatService = new ChatService(quotesService);
+      chatService.chain = new ProviderChain([provider], { retries: 0 });
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    test('should ground the prompt in the relevant quotes, numbered', async () => {
+      const history = [
+        { role: 'user', content: 'I keep putting things off' },
+        { role: 'assistant', content: 'That happens to everyone.' },
+        { role: 'user', content: 'How do I start?' }
+      ];
+
+      const response = await chatService.generateResponse('Something about action', 'ar', history);
+
+      expect(quotesService.findRelevantQuotes).toHaveBeenCalledWith('Something about action', {
+        context: ['How do I start?', 'I keep putting things off'],
+        limit: 3
+      });
+      expect(quotesService.getSampleQuotes).not.toHaveBeenCalled();
+
+      const { systemPrompt } = provider.generate.mock.calls[0][0];
+      expect(systemPrompt).toContain('[1] "العمل الجيد خير من القول الجيد." - Benjamin Franklin');
+      expect(systemPrompt).toContain('[2] "Action is the foundational key to all success." - Pablo Picasso');
+      expect(response).toMatchObject({ message: 'Act now [2].', provider: 'openai', contextQuoteIds: ['q1', 'q2'] });
+    });
+
+    test('should not list context quotes for a fallback answer', async () => {
+      provider.generate.mockRejectedValue(Object.assign(new Error('Unauthorized'), { status: 401 }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await chatService.generateResponse('Something about action', 'en');
+      console.error.mockRestore();
+
+      expect(response.provider).toBe('fallback');
+      expect(response).not.toHaveProperty('contextQuoteIds');
+    });
+  });
+
+  describe('Streaming responses', () => {
+    const collect = async events => {
+      const collected = [];
+      for await (const event of events) {
+        collected.push(event);
+      }
+      return collected;
+    };
+    const streamingProvider = (name, stream) => ({ name, health: () => ({ name, ready: true }), stream: jest.fn(stream) });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      chatService = new ChatService(quotesService);
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    test('should stream the fallback answer as one chunk and its quote', async () => {
+      const events = await collect(chatService.streamResponse('Hello', 'en'));
+
+      expect(events.map(({ event }) => event)).toEqual(['delta', 'quote', 'done']);
+      expect(events[0].data.text).toContain('"Random test quote" - Test Author');
+      expect(events[1].data.quote).toMatchObject({ id: 'test-id' });
+      expect(events[2].data).toEqual({ language: 'en', direction: 'ltr', provider: 'fallback' });
+    });
+
+    test('should stream the provider reply as it arrives', async () => {
+      const openai = streamingProvider('openai', async function* (request) {
+        expect(request).toMatchObject({ message: 'Hello', history: [{ role: 'user', content: 'Hi' }] });
+        yield '  ';
+        yield ' Stub';
+        yield ' wisdom';
+      });
+      chatService.chain = new ProviderChain([openai], { retries: 0 });
+
+      const events = await collect(chatService.streamResponse('Hello', 'ar', [{ role: 'user', content: 'Hi' }]));
+
+      expect(events).toEqual([
+        { event: 'delta', data: { text: 'Stub' } },
+        { event: 'delta', data: { text: ' wisdom' } },
+        { event: 'done', data: { language: 'ar', direction: 'rtl', provider: 'openai', contextQuoteIds: ['sample-1', 'sample-2'] } }
+      ]);
+    });
+
+    test('should fall back with the reason when no provider starts a reply', async () => {
+      const azure = streamingProvider('azure', async function* () {
+        throw Object.assign(new Error('blocked'), { reason: 'content_filter' });
+      });
+      chatService.chain = new ProviderChain([azure], { retries: 0 });
+
+      const events = await collect(chatService.streamResponse('Hello', 'en'));
+
+      expect(events.map(({ event }) => event)).toEqual(['delta', 'quote', 'done']);
+      expect(events[2].data).toMatchObject({
+        provider: 'fallback',
+        reason: 'content_filter',
+        skipped: [{ provider: 'azure', reason: 'content_filter' }]
+      });
+    });
+
+    test('should end with an error when the provider fails part way', async () => {
+      const openai = streamingProvider('openai', async function* () {
+        yield 'Half an';
+        throw new Error('connection reset');
+      });
+      chatService.chain = new ProviderChain([openai], { retries: 0 });
+
+      const events = await collect(chatService.streamResponse('Hello', 'en'));
+
+      expect(events).toEqual([
+        { event: 'delta', data: { text: 'Half an' } },
+        { event: 'error', data: { error: 'Provider error', message: 'openai stopped before finishing the reply', provider: 'openai' } }
+      ]);
+    });
+
+    test('should stop quietly when cancelled', async () => {
+      const controller = new AbortController();
+      const openai = streamingProvider('openai', async function* () {
+        yield 'First';
+        controller.abort();
+        throw new Error('aborted');
+      });
+      chatService.chain = new ProviderChain([openai], { retries: 0 });
+
+      const events = await collect(chatService.streamResponse('Hello', 'en', [], { signal: controller.signal }));
+
+      expect(events).toEqual([{ event: 'delta', data: { text: 'First' } }]);
+    });
+  });
+
   describe('Request validation', () => {
     test('should validate required message', () => {
       const errors = chatService.validateChatRequest({});
@@ -252,6 +580,18 @@ describe('ChatService', () => {
       expect(errors).toContain('History item 0 must have content as string');
     });
 
+    test('should reject history items that are not objects', () => {
+      const errors = chatService.validateChatRequest({
+        message: 'Hello',
+        history: [null, 'Hi']
+      });
+
+      expect(errors).toEqual([
+        'History item 0 must be an object with role and content',
+        'History item 1 must be an object with role and content'
+      ]);
+    });
+
     test('should return no errors for valid request', () => {
       const errors = chatService.validateChatRequest({
         message: 'Hello',
@@ -0,0 +1,69 @@
+const { normalizeText, trigrams, jaccard, findDuplicates } = require('../server/dedupe');
+
+describe('Duplicate detection', () => {
+  const quote = (id, text, author = 'Unknown') => ({ id, text, author, tags: [] });
+
+  test('should normalize case, accents, punctuation and whitespace', () => {
+    expect(normalizeText('  Don’t   PANIC!\n')).toBe('dont panic');
+    expect(normalizeText('Café -- naıve…')).toBe(normalizeText('café naıve...'));
+    expect(normalizeText('ＡＢＣ ﬁne')).toBe('abc fine');
+  });
+
+  test('should compare texts as trigram sets', () => {
+    const a = trigrams('abcd');
+    expect([...a]).toEqual([' ab', 'abc', 'bcd', 'cd ']);
+    expect(jaccard(a, a)).toBe(1);
+    expect(jaccard(a, trigrams('wxyz'))).toBe(0);
+  });
+
+  test('should group exact duplicates after normalization', () => {
+    const report = findDuplicates([
+      quote('1', 'Stay hungry, stay foolish.', 'Steve Jobs'),
+      quote('2', 'An unrelated quote about rivers'),
+      quote('3', 'stay HUNGRY -- stay foolish', 'steve jobs')
+    ]);
+
+    expect(report.total).toBe(3);
+    expect(report.summary).toEqual({ groups: 1, exact: 1, near: 0, misattributed: 0 });
+    expect(report.groups[0]).toMatchObject({ kind: 'exact', similarity: 1, authors: ['Steve Jobs'] });
+    expect(report.groups[0].quotes.map(q => q.id)).toEqual(['1', '3']);
+  });
+
+  test('should group near duplicates and flag misattribution', () => {
+    const report = findDuplicates([
+      quote('1', 'The only way to do great work is to love what you do.', 'Steve Jobs'),
+      quote('2', 'The only way to do great works is to love what you do.', 'Mark Twain'),
+      quote('3', 'The only way to do great work is to love what you do!'),
+      quote('4', 'Something else entirely')
+    ]);
+
+    expect(report.summary).toEqual({ groups: 1, exact: 0, near: 1, misattributed: 1 });
+    const [group] = report.groups;
+    expect(group.kind).toBe('near');
+    expect(group.similarity).toBeGreaterThanOrEqual(0.8);
+    expect(group.similarity).toBeLessThan(1);
+    // Unknown authors are not a conflicting attribution
+    expect(group.authors).toEqual(['Steve Jobs', 'Mark Twain']);
+    expect(group.quotes.map(q => q.id)).toEqual(['1', '2', '3']);
+  });
+
+  test('should only count known authors as a conflict', () => {
+    const report = findDuplicates([
+      quote('1', 'Whatever you are, be a good one.', 'Abraham Lincoln'),
+      quote('2', 'Whatever you are, be a good one')
+    ]);
+
+    expect(report.groups[0]).toMatchObject({ misattributed: false, authors: ['Abraham Lincoln'] });
+  });
+
+  test('should honor the threshold', () => {
+    const quotes = [
+      quote('1', 'Simplicity is the ultimate sophistication'),
+      quote('2', 'Simplicity is the final sophistication')
+    ];
+
+    expect(findDuplicates(quotes, { threshold: 0.95 }).groups).toEqual([]);
+    expect(findDuplicates(quotes, { threshold: 0.5 })).toMatchObject({ threshold: 0.5, summary: { groups: 1, near: 1 } });
+    expect(findDuplicates([]).summary.groups).toBe(0);
+  });
+});
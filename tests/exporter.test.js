@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { exportChunks } = require('../server/exporter');
+const { readImport } = require('../server/importer');
+const QuotesService = require('../server/quotes');
+
+describe('Quote exporter', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quotes-export-'));
+  const quotes = [
+    {
+      id: 'q1',
+      text: 'Say "hi", then\nleave, quickly',
+      author: 'Ann',
+      tags: ['greeting', 'hard-work'],
+      translations: { ar: { text: 'قل مرحبا', author: 'آن' } },
+      createdAt: '2024-01-02T03:04:05.000Z',
+      updatedAt: '2024-02-03T04:05:06.000Z'
+    },
+    { id: 'custom-id', text: '=SUM(A1:A2) is not a formula here', author: 'Unknown', tags: [] },
+    { id: 'q3', text: "'- already prefixed", author: '@handle', tags: ['x'] }
+  ];
+
+  const exportText = format => [...exportChunks(quotes, format, { exportedAt: '2024-03-01T00:00:00.000Z' })].join('');
+
+  const emptyService = () => {
+    const filePath = path.join(tempDir, `quotes-${Date.now()}-${Math.random()}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ quotes: [] }));
+    return new QuotesService(filePath);
+  };
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should export JSON that loads as a quotes file', () => {
+    const filePath = path.join(tempDir, 'export.json');
+    fs.writeFileSync(filePath, exportText('json'));
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).exportedAt).toBe('2024-03-01T00:00:00.000Z');
+    expect(new QuotesService(filePath).getAllQuotes()).toEqual(quotes);
+  });
+
+  test('should export valid JSON without quotes', () => {
+    expect(JSON.parse([...exportChunks([], 'json')].join(''))).toMatchObject({ quotes: [] });
+  });
+
+  test('should yield one chunk per quote', () => {
+    function* generate() {
+      yield* quotes;
+    }
+
+    expect([...exportChunks(generate(), 'ndjson')]).toHaveLength(3);
+    expect([...exportChunks(generate(), 'csv')]).toHaveLength(4);
+  });
+
+  test.each(['csv', 'ndjson', 'json'])('should round-trip %s through the import path', async format => {
+    const service = emptyService();
+    const entries = await readImport(Readable.from([Buffer.from(exportText(format))]), format);
+    const report = await service.importQuotes(entries, { strategy: 'replace' });
+
+    expect(report.summary).toMatchObject({ accepted: 3, invalid: 0 });
+    const imported = service.getAllQuotes();
+    expect(imported[0]).toEqual(quotes[0]);
+    // Quotes exported without timestamps get them on import
+    expect(imported.slice(1).map(({ createdAt, updatedAt, ...quote }) => quote)).toEqual(quotes.slice(1));
+  });
+
+  test('should protect CSV cells from formula injection', () => {
+    const rows = exportText('csv').split('\r\n');
+
+    expect(rows[0]).toBe('id,text,author,tags,translations,createdAt,updatedAt');
+    expect(exportText('csv')).toContain("custom-id,'=SUM(A1:A2) is not a formula here,Unknown,");
+    expect(exportText('csv')).toContain("q3,''- already prefixed,'@handle,x,,,");
+  });
+});
@@ -0,0 +1,84 @@
+const { feedId, buildFeedEntries, renderRss, renderAtom } = require('../server/feeds');
+
+describe('Quote feeds', () => {
+  const quote = { id: 'q1', text: 'Fish & <chips>', author: 'Ann', tags: ['food'] };
+  const added = {
+    id: 'q2',
+    text: 'New one',
+    author: 'Bob',
+    tags: [],
+    createdAt: '2024-03-02T10:00:00.000Z',
+    updatedAt: '2024-03-02T12:00:00.000Z'
+  };
+  const daily = [
+    { date: '2024-03-02', start: new Date('2024-03-02T00:00:00Z'), quote },
+    { date: '2024-03-01', start: new Date('2024-03-01T00:00:00Z'), quote: { ...quote, id: 'q3' } }
+  ];
+  const feed = {
+    id: 'urn:random-quotes:feed:test',
+    title: 'Quotes',
+    description: 'Test feed',
+    link: 'http://example.com',
+    selfLink: 'http://example.com/api/v1/feed.atom?tag=a&author=b',
+    updated: '2024-03-03T00:00:00.000Z'
+  };
+
+  test('should build entries with stable IDs, newest first', () => {
+    const entries = buildFeedEntries({ daily, recent: [added] }, 'http://example.com');
+
+    expect(entries.map(entry => entry.id)).toEqual([
+      'urn:random-quotes:quote:q2',
+      'urn:random-quotes:quote-of-the-day:2024-03-02:q1',
+      'urn:random-quotes:quote-of-the-day:2024-03-01:q3'
+    ]);
+    expect(entries[0]).toMatchObject({
+      link: 'http://example.com/api/v1/quotes/q2',
+      published: '2024-03-02T10:00:00.000Z',
+      updated: '2024-03-02T12:00:00.000Z'
+    });
+  });
+
+  test('should count later edits as updates to daily entries', () => {
+    const edited = { ...quote, updatedAt: '2024-03-05T08:00:00.000Z' };
+    const [entry] = buildFeedEntries({ daily: [{ ...daily[0], quote: edited }] }, '');
+
+    expect(entry.published).toBe('2024-03-02T00:00:00.000Z');
+    expect(entry.updated).toBe('2024-03-05T08:00:00.000Z');
+  });
+
+  test('should render escaped RSS 2.0', () => {
+    const rss = renderRss(feed, buildFeedEntries({ daily }, 'http://example.com'));
+
+    expect(rss).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+    expect(rss).toContain('<atom:link href="http://example.com/api/v1/feed.atom?tag=a&amp;author=b" rel="self"');
+    expect(rss).toContain('<guid isPermaLink="false">urn:random-quotes:quote-of-the-day:2024-03-02:q1</guid>');
+    expect(rss).toContain('<description>&quot;Fish &amp; &lt;chips&gt;&quot; — Ann</description>');
+    expect(rss).toContain('<pubDate>Sat, 02 Mar 2024 00:00:00 GMT</pubDate>');
+    expect(rss).toContain('<lastBuildDate>Sat, 02 Mar 2024 00:00:00 GMT</lastBuildDate>');
+  });
+
+  test('should date RSS items by when they were published', () => {
+    const rss = renderRss(feed, buildFeedEntries({ recent: [added] }, 'http://example.com'));
+
+    expect(rss).toContain('<pubDate>Sat, 02 Mar 2024 10:00:00 GMT</pubDate>');
+  });
+
+  test('should render Atom', () => {
+    const atom = renderAtom(feed, buildFeedEntries({ recent: [added] }, 'http://example.com'));
+
+    expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(atom).toContain('<id>urn:random-quotes:feed:test</id>');
+    expect(atom).toContain('<updated>2024-03-02T12:00:00.000Z</updated>');
+    expect(atom).toContain('<author><name>Bob</name></author>');
+  });
+
+  test('should fall back to the feed date without entries', () => {
+    expect(renderAtom(feed, [])).toContain('<updated>2024-03-03T00:00:00.000Z</updated>');
+  });
+
+  test('should give each filter combination its own feed ID', () => {
+    expect(feedId({ tags: 'a', author: 'b' })).toBe(feedId({ author: 'b', tags: 'a' }));
+    expect(feedId({ tags: 'a' })).not.toBe(feedId({ tags: 'b' }));
+    expect(feedId({})).toMatch(/^urn:random-quotes:feed:/);
+  });
+});
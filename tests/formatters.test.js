@@ -0,0 +1,107 @@
+const { negotiateFormat, formatQuotes, csvField, parseCsvField, xmlEscape, markdownEscape } = require('../server/formatters');
+
+describe('Quote formatters', () => {
+  const english = {
+    id: 'q1',
+    text: 'Say "hi", then <leave> & go.',
+    author: 'Ann',
+    tags: ['a', 'b'],
+    language: 'en',
+    direction: 'ltr'
+  };
+  const arabic = {
+    id: 'q2',
+    text: 'مرحبا\u202E بالعالم',
+    author: 'كاتب',
+    tags: [],
+    language: 'ar',
+    direction: 'rtl'
+  };
+
+  test('should render "text" — author lines', () => {
+    expect(formatQuotes([english], 'text')).toBe('"Say "hi", then <leave> & go." — Ann\n');
+  });
+
+  test('should wrap right-to-left text in isolates and drop stray bidi controls', () => {
+    expect(formatQuotes([arabic], 'text')).toBe('"\u2068مرحبا بالعالم\u2069" — \u2068كاتب\u2069\n');
+  });
+
+  test('should quote and neutralise CSV fields', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField('a,b')).toBe('"a,b"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField('line\nbreak')).toBe('"line\nbreak"');
+    expect(csvField('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(csvField(undefined)).toBe('');
+
+    expect(formatQuotes([english], 'csv')).toBe(
+      'id,text,author,tags,language,direction\r\n' +
+      'q1,"Say ""hi"", then <leave> & go.",Ann,a;b,en,ltr\r\n'
+    );
+  });
+
+  test('should undo the formula prefix losslessly', () => {
+    ['=1+1', "'=1+1", "''@x", "'plain", '-', 'plain'].forEach(value => {
+      expect(parseCsvField(csvField(value).replace(/^"|"$/g, ''))).toBe(value);
+    });
+    expect(csvField("'=1+1")).toBe("''=1+1");
+    expect(parseCsvField("'quoted")).toBe("'quoted");
+  });
+
+  test('should escape XML and drop invalid characters', () => {
+    expect(xmlEscape('<a href="x">Tom & Jerry\'s</a>\u0001')).toBe(
+      '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;'
+    );
+
+    expect(formatQuotes([english], 'xml', { single: true })).toBe(
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<quote id="q1" xml:lang="en" dir="ltr"><text>Say &quot;hi&quot;, then &lt;leave&gt; &amp; go.</text>' +
+      '<author>Ann</author><tags><tag>a</tag><tag>b</tag></tags></quote>\n'
+    );
+  });
+
+  test('should keep scalar meta fields on the XML list root', () => {
+    const xml = formatQuotes([english, arabic], 'xml', { meta: { total: 2, page: 1, quotes: [], prevCursor: null } });
+
+    expect(xml).toContain('<quotes total="2" page="1">\n');
+    expect(xml).toContain('<quote id="q2" xml:lang="ar" dir="rtl">');
+  });
+
+  test('should escape Markdown and render blockquotes', () => {
+    expect(markdownEscape('*bold* _it_ [link](x) #1')).toBe('\\*bold\\* \\_it\\_ \\[link\\]\\(x\\) \\#1');
+
+    expect(formatQuotes([{ ...english, text: 'One\nTwo' }, arabic], 'markdown')).toBe(
+      '> One\n> Two\n>\n> — Ann\n\n' +
+      '> \u2068مرحبا بالعالم\u2069\n>\n> — \u2068كاتب\u2069\n'
+    );
+  });
+
+  describe('negotiateFormat', () => {
+    test('should default to JSON', () => {
+      expect(negotiateFormat(undefined)).toBe('json');
+      expect(negotiateFormat('*/*')).toBe('json');
+      expect(negotiateFormat('application/*')).toBe('json');
+    });
+
+    test('should answer browsers with JSON', () => {
+      expect(negotiateFormat('text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8')).toBe('json');
+      expect(negotiateFormat('text/html')).toBe('json');
+    });
+
+    test('should pick an explicitly preferred format', () => {
+      expect(negotiateFormat('text/csv')).toBe('csv');
+      expect(negotiateFormat('application/xml, */*;q=0.1')).toBe('xml');
+      expect(negotiateFormat('text/plain;q=0.5, text/markdown')).toBe('markdown');
+      expect(negotiateFormat('text/*')).toBe('text');
+    });
+
+    test('should prefer a wildcard with a higher quality', () => {
+      expect(negotiateFormat('application/xml;q=0.5, */*')).toBe('json');
+    });
+
+    test('should return null when nothing is acceptable', () => {
+      expect(negotiateFormat('image/png')).toBeNull();
+      expect(negotiateFormat('text/csv;q=0')).toBeNull();
+    });
+  });
+});
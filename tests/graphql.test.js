@@ -0,0 +1,331 @@
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+const { parse, getOperationAST } = require('graphql');
+const QuotesService = require('../server/quotes');
+const ChatService = require('../server/chatService');
+const { createGraphqlHandler } = require('../server/graphql');
+const { createSchema } = require('../server/graphql/schema');
+const { measureOperation } = require('../server/graphql/limits');
+
+describe('GraphQL', () => {
+  const tempQuotesFile = path.join(__dirname, 'temp-graphql-quotes.json');
+  let app;
+
+  const createApp = (options = {}) => {
+    const quotesService = new QuotesService(tempQuotesFile);
+    const handler = createGraphqlHandler({
+      quotesService,
+      chatService: new ChatService(quotesService),
+      ...options
+    });
+    const graphqlApp = express();
+    graphqlApp.use(express.json());
+    graphqlApp.get('/graphql', handler);
+    graphqlApp.post('/graphql', handler);
+    return graphqlApp;
+  };
+
+  const query = (text, variables, headers = {}) => request(app).post('/graphql').set(headers).send({ query: text, variables });
+
+  beforeAll(() => {
+    fs.writeFileSync(tempQuotesFile, JSON.stringify([
+      {
+        id: 'q1',
+        text: 'Stay hungry, stay foolish.',
+        author: 'Steve Jobs',
+        tags: ['inspiration'],
+        translations: { ar: { text: 'ابق جائعا، ابق أحمق', author: 'ستيف جوبز' } }
+      },
+      { id: 'q2', text: 'Simplicity is the ultimate sophistication.', author: 'Leonardo da Vinci', tags: ['wisdom', 'design'] },
+      { id: 'q3', text: 'Design is how it works.', author: 'Steve Jobs', tags: ['design'] }
+    ]));
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(tempQuotesFile)) {
+      fs.unlinkSync(tempQuotesFile);
+    }
+  });
+
+  beforeEach(() => {
+    app = createApp();
+  });
+
+  describe('queries', () => {
+    test('should return a quote by id with its author and tags', async () => {
+      const response = await query('{ quote(id: "q3") { id text author { slug name quoteCount } tags { name count } } }');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        data: {
+          quote: {
+            id: 'q3',
+            text: 'Design is how it works.',
+            author: { slug: 'steve-jobs', name: 'Steve Jobs', quoteCount: 2 },
+            tags: [{ name: 'design', count: 2 }]
+          }
+        }
+      });
+    });
+
+    test('should return null for an unknown quote', async () => {
+      const response = await query('{ quote(id: "nope") { id } }');
+
+      expect(response.body).toEqual({ data: { quote: null } });
+    });
+
+    test('should localize quotes from Accept-Language', async () => {
+      const response = await query('{ quote(id: "q1") { text language direction fallback author { name } } }', undefined, {
+        'Accept-Language': 'ar'
+      });
+
+      expect(response.body.data.quote).toMatchObject({
+        text: 'ابق جائعا، ابق أحمق',
+        language: 'ar',
+        direction: 'rtl',
+        fallback: false,
+        author: { name: 'Steve Jobs' }
+      });
+    });
+
+    test('should pick the same random quote for the same seed', async () => {
+      const text = 'query ($seed: String) { randomQuote(tags: ["design"], seed: $seed) { id tags { name } } }';
+      const first = await query(text, { seed: 'abc' });
+      const second = await query(text, { seed: 'abc' });
+
+      expect(first.body.data.randomQuote).toEqual(second.body.data.randomQuote);
+      expect(first.body.data.randomQuote.tags.map(tag => tag.name)).toContain('design');
+    });
+
+    test('should search with filters and pagination', async () => {
+      const response = await query('{ quotes(author: "steve-jobs", sort: ID, page: 2, limit: 1) { total page limit totalPages quotes { id } } }');
+
+      expect(response.body.data.quotes).toEqual({ total: 2, page: 2, limit: 1, totalPages: 2, quotes: [{ id: 'q3' }] });
+    });
+
+    test('should use the default page and limit for explicit nulls', async () => {
+      const response = await query(
+        'query ($page: Int, $limit: Int) { quotes(page: $page, limit: $limit) { page limit } ' +
+        'authors(page: null, limit: null) { page limit authors { quotes(page: null, limit: null) { page limit } } } }',
+        { page: null, limit: null }
+      );
+
+      expect(response.body.errors).toBeUndefined();
+      expect(response.body.data.quotes).toEqual({ page: 1, limit: 10 });
+      expect(response.body.data.authors).toMatchObject({ page: 1, limit: 10 });
+      expect(response.body.data.authors.authors[0].quotes).toEqual({ page: 1, limit: 10 });
+    });
+
+    test('should match any tag for an explicit null tagMode', async () => {
+      const response = await query('{ quotes(tags: ["inspiration"], tagMode: null) { total } randomQuote(tagMode: null) { id } }');
+
+      expect(response.body.errors).toBeUndefined();
+      expect(response.body.data.quotes.total).toBeGreaterThan(0);
+      expect(response.body.data.randomQuote).toHaveProperty('id');
+    });
+
+    test('should rank quotes for a search query', async () => {
+      const response = await query('{ quotes(query: "works") { total quotes { id score } } }');
+
+      expect(response.body.data.quotes.total).toBe(1);
+      expect(response.body.data.quotes.quotes[0].id).toBe('q3');
+      expect(response.body.data.quotes.quotes[0].score).toBeGreaterThan(0);
+    });
+
+    test('should return the seed of a random order', async () => {
+      const response = await query('{ quotes(sort: RANDOM) { seed quotes { id } } }');
+
+      expect(typeof response.body.data.quotes.seed).toBe('string');
+      expect(response.body.data.quotes.quotes).toHaveLength(3);
+    });
+
+    test('should list authors with their quotes', async () => {
+      const response = await query('{ authors(contains: "steve") { total authors { name quotes(limit: 5) { quotes { id } } } } }');
+
+      expect(response.body.data.authors).toEqual({
+        total: 1,
+        authors: [{ name: 'Steve Jobs', quotes: { quotes: [{ id: 'q1' }, { id: 'q3' }] } }]
+      });
+    });
+
+    test('should return an author by slug, or null', async () => {
+      const response = await query('{ author(slug: "leonardo-da-vinci") { name tags { name } } missing: author(slug: "nobody") { name } }');
+
+      expect(response.body.data).toEqual({
+        author: { name: 'Leonardo da Vinci', tags: [{ name: 'design' }, { name: 'wisdom' }] },
+        missing: null
+      });
+    });
+
+    test('should list tags, most used first', async () => {
+      const response = await query('{ tags { name count quotes { total } } }');
+
+      expect(response.body.data.tags[0]).toEqual({ name: 'design', count: 2, quotes: { total: 2 } });
+    });
+
+    test('should accept queries sent with GET', async () => {
+      const response = await request(app)
+        .get('/graphql')
+        .query({ query: 'query ($id: ID!) { quote(id: $id) { id } }', variables: JSON.stringify({ id: 'q2' }) });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ data: { quote: { id: 'q2' } } });
+    });
+
+    test('should report invalid arguments as BAD_USER_INPUT', async () => {
+      const response = await query('{ quotes(limit: 500, sort: RELEVANCE) { total } }');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toBeNull();
+      expect(response.body.errors[0]).toMatchObject({
+        message: 'Invalid arguments',
+        path: ['quotes'],
+        extensions: {
+          code: 'BAD_USER_INPUT',
+          details: ['limit must be between 1 and 100', 'sort RELEVANCE requires a query']
+        }
+      });
+    });
+  });
+
+  describe('chat mutation', () => {
+    test('should answer through the chat service', async () => {
+      const response = await query('mutation { chat(message: "Hello") { response language direction provider timestamp fallback contextQuoteIds quote { id text } } }');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.chat).toMatchObject({ language: 'en', direction: 'ltr', provider: 'fallback', fallback: false, contextQuoteIds: [] });
+      expect(response.body.data.chat.response).toContain(response.body.data.chat.quote.text);
+    });
+
+    test('should validate the chat request', async () => {
+      const response = await query('mutation { chat(message: "Hi", language: "fr") { response } }');
+
+      expect(response.body.errors[0].extensions).toEqual({
+        code: 'BAD_USER_INPUT',
+        details: ['Language must be one of: en, ar, ckb']
+      });
+    });
+
+    test('should not run mutations sent with GET', async () => {
+      const response = await request(app).get('/graphql').query({ query: 'mutation { chat(message: "Hi") { response } }' });
+
+      expect(response.status).toBe(405);
+      expect(response.headers.allow).toBe('POST');
+    });
+
+    test('should go through the chat rate limiter', async () => {
+      const chatLimiter = jest.fn((req, res) => res.status(429).json({ error: 'Too many chat requests', message: 'Slow down' }));
+      app = createApp({ chatLimiter });
+
+      const limited = await query('mutation { chat(message: "Hello") { response } }');
+      expect(limited.status).toBe(429);
+
+      const allowed = await query('{ quote(id: "q1") { id } }');
+      expect(allowed.status).toBe(200);
+      expect(chatLimiter).toHaveBeenCalledTimes(1);
+    });
+
+    test('should finish handling a mutation the rate limiter turned away', async () => {
+      const handler = createGraphqlHandler({
+        quotesService: new QuotesService(tempQuotesFile),
+        chatLimiter: (req, res) => res.status(429).json({ error: 'Too many chat requests', message: 'Slow down' })
+      });
+      let handled;
+      const limitedApp = express();
+      limitedApp.use(express.json());
+      limitedApp.post('/graphql', (req, res) => {
+        handled = handler(req, res);
+      });
+
+      const response = await request(limitedApp).post('/graphql').send({ query: 'mutation { chat(message: "Hello") { response } }' });
+
+      expect(response.status).toBe(429);
+      await expect(handled).resolves.toBeUndefined();
+    });
+  });
+
+  describe('request errors', () => {
+    test('should require a query', async () => {
+      const response = await request(app).post('/graphql').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].message).toBe('Must provide a query string');
+    });
+
+    test('should reject syntax and validation errors', async () => {
+      const syntax = await query('{ quote(id: "q1") { id }');
+      expect(syntax.status).toBe(400);
+      expect(syntax.body.errors[0].message).toMatch(/^Syntax Error/);
+
+      const invalid = await query('{ quote(id: "q1") { nope } }');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.errors[0].message).toBe('Cannot query field "nope" on type "Quote".');
+    });
+
+    test('should require operationName with several operations', async () => {
+      const response = await query('query A { tags { name } } query B { tags { count } }');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].message).toBe('Must provide operationName when the document has several operations');
+    });
+  });
+
+  describe('limits', () => {
+    const measure = (text, variables) => {
+      const document = parse(text);
+      return measureOperation(createSchema(), document, getOperationAST(document), variables);
+    };
+
+    test('should measure depth, skipping introspection', () => {
+      expect(measure('{ quote(id: "1") { id } }').depth).toBe(2);
+      expect(measure('{ quote(id: "1") { author { quotes { quotes { id } } } } }').depth).toBe(5);
+      expect(measure('{ __schema { types { fields { name } } } }')).toEqual({ depth: 0, complexity: 0 });
+    });
+
+    test('should multiply list costs by the page limit', () => {
+      // quotes: 1 + 20 quotes * (id + text)
+      expect(measure('{ quotes(limit: 20) { quotes { id text } } }').complexity).toBe(1 * (1 + 20 * (1 + 2)));
+      expect(measure('query ($n: Int) { quotes(limit: $n) { quotes { id } } }', { n: 5 }).complexity).toBe(1 + 5 * 2);
+      // Lists without a limit count as 10 items
+      expect(measure('{ tags { name } }').complexity).toBe(10 * 2);
+    });
+
+    test('should follow fragments', () => {
+      expect(measure('{ quote(id: "1") { ...Q } } fragment Q on Quote { author { name } }')).toEqual({ depth: 3, complexity: 3 });
+    });
+
+    test('should reject queries that are too deep', async () => {
+      app = createApp({ maxDepth: 4 });
+      const response = await query('{ quote(id: "q1") { author { quotes { quotes { id } } } } }');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([{
+        message: 'Query depth 5 exceeds the maximum of 4',
+        extensions: { code: 'QUERY_TOO_DEEP' }
+      }]);
+    });
+
+    test('should reject queries that are too complex', async () => {
+      const response = await query('{ quotes(limit: 100) { quotes { author { quotes(limit: 100) { quotes { id } } } } } }');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].extensions.code).toBe('QUERY_TOO_COMPLEX');
+    });
+  });
+});
+
+describe('GraphQL endpoint', () => {
+  const app = require('../index');
+
+  test('should be listed and rate limited like /api', async () => {
+    const root = await request(app).get('/');
+    expect(root.body.endpoints).toHaveProperty('/graphql');
+
+    const response = await request(app).post('/graphql').send({ query: '{ tags { name count } }' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.tags.length).toBeGreaterThan(0);
+    expect(response.headers).toHaveProperty('ratelimit-limit');
+  });
+});
@@ -0,0 +1,54 @@
+const { requestEtag, maxAgeUntil, sendNotModified } = require('../server/httpCache');
+
+describe('HTTP caching', () => {
+  const fakeRequest = (url, headers = {}) => ({
+    originalUrl: url,
+    get: name => headers[name]
+  });
+
+  test('should derive strong ETags from the version and the request', () => {
+    const etag = requestEtag(fakeRequest('/api/v1/tags'), 'v1');
+
+    expect(etag).toMatch(/^"[\w-]{27}"$/);
+    expect(requestEtag(fakeRequest('/api/v1/tags'), 'v1')).toBe(etag);
+    expect(requestEtag(fakeRequest('/api/v1/tags'), 'v2')).not.toBe(etag);
+    expect(requestEtag(fakeRequest('/api/v1/tags?x=1'), 'v1')).not.toBe(etag);
+    expect(requestEtag(fakeRequest('/api/v1/tags', { Accept: 'text/csv' }), 'v1')).not.toBe(etag);
+    expect(requestEtag(fakeRequest('/api/v1/tags', { 'Accept-Language': 'ar' }), 'v1')).not.toBe(etag);
+  });
+
+  test('should count whole seconds until a time', () => {
+    const now = new Date('2024-01-01T23:59:00.500Z');
+
+    expect(maxAgeUntil(new Date('2024-01-02T00:00:00Z'), now)).toBe(59);
+    expect(maxAgeUntil(new Date('2024-01-01T00:00:00Z'), now)).toBe(0);
+  });
+
+  test('should send 304 only when the client copy is fresh', () => {
+    const response = () => {
+      const headers = {};
+      return {
+        headers,
+        set: (name, value) => { headers[name] = value; },
+        vary: name => { headers.Vary = headers.Vary ? `${headers.Vary}, ${name}` : name; },
+        status: jest.fn().mockReturnThis(),
+        end: jest.fn()
+      };
+    };
+    const options = { version: 'v1', lastModified: new Date('2024-01-01T00:00:00Z'), cacheControl: 'public, max-age=5' };
+
+    const stale = response();
+    expect(sendNotModified({ ...fakeRequest('/x'), fresh: false }, stale, options)).toBe(false);
+    expect(stale.headers).toMatchObject({
+      'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT',
+      'Cache-Control': 'public, max-age=5',
+      Vary: 'Accept, Accept-Language'
+    });
+    expect(stale.status).not.toHaveBeenCalled();
+
+    const fresh = response();
+    expect(sendNotModified({ ...fakeRequest('/x'), fresh: true }, fresh, options)).toBe(true);
+    expect(fresh.status).toHaveBeenCalledWith(304);
+    expect(fresh.end).toHaveBeenCalled();
+  });
+});
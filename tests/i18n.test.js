@@ -0,0 +1,99 @@
+const {
+  getTextDirection,
+  parseAcceptLanguage,
+  normalizeTranslations,
+  validateTranslations,
+  localizeQuote
+} = require('../server/i18n');
+
+describe('i18n', () => {
+  const quote = {
+    id: 'q1',
+    text: 'Original text',
+    author: 'Author',
+    tags: [],
+    translations: {
+      ar: { text: 'نص مترجم', author: 'مؤلف' },
+      'pt-br': { text: 'Texto traduzido' }
+    }
+  };
+
+  describe('getTextDirection', () => {
+    test('should detect right-to-left languages', () => {
+      expect(getTextDirection('ar')).toBe('rtl');
+      expect(getTextDirection('ckb')).toBe('rtl');
+      expect(getTextDirection('fa-IR')).toBe('rtl');
+      expect(getTextDirection('en')).toBe('ltr');
+    });
+  });
+
+  describe('parseAcceptLanguage', () => {
+    test('should order languages by quality', () => {
+      expect(parseAcceptLanguage('en;q=0.5, ar, ckb;q=0.8')).toEqual(['ar', 'ckb', 'en']);
+    });
+
+    test('should drop wildcards, q=0 and malformed entries', () => {
+      expect(parseAcceptLanguage('*, fr;q=0, de-DE, !!')).toEqual(['de-de']);
+    });
+
+    test('should handle a missing header', () => {
+      expect(parseAcceptLanguage(undefined)).toEqual([]);
+    });
+  });
+
+  describe('normalizeTranslations', () => {
+    test('should accept plain strings and lowercase the codes', () => {
+      expect(normalizeTranslations({ AR: 'نص', ckb: { text: 'دەق', author: '' }, fr: { text: ' ' } })).toEqual({
+        ar: { text: 'نص' },
+        ckb: { text: 'دەق' }
+      });
+    });
+  });
+
+  describe('validateTranslations', () => {
+    test('should accept valid translations', () => {
+      expect(validateTranslations({ ar: 'نص', ckb: { text: 'دەق', author: 'نووسەر' } })).toEqual([]);
+    });
+
+    test('should report bad codes and missing text', () => {
+      expect(validateTranslations({ 'not a code': 'x', ar: { author: 'مؤلف' } })).toEqual([
+        'Translation key "not a code" is not a valid language code',
+        'Translation "ar" must have text of 1-1000 characters'
+      ]);
+      expect(validateTranslations(['ar'])).toEqual(['Translations must be an object keyed by language code']);
+    });
+  });
+
+  describe('localizeQuote', () => {
+    test('should return the translation in the first available language', () => {
+      expect(localizeQuote(quote, ['fr', 'ar'])).toEqual({
+        id: 'q1',
+        text: 'نص مترجم',
+        author: 'مؤلف',
+        tags: [],
+        language: 'ar',
+        direction: 'rtl',
+        fallback: false
+      });
+    });
+
+    test('should match regional variants and keep the original author', () => {
+      expect(localizeQuote(quote, ['pt-BR'])).toMatchObject({ text: 'Texto traduzido', author: 'Author', language: 'pt-br' });
+      expect(localizeQuote(quote, ['ar-IQ'])).toMatchObject({ language: 'ar' });
+    });
+
+    test('should fall back to the original text and flag it', () => {
+      expect(localizeQuote(quote, ['fr'])).toMatchObject({
+        text: 'Original text',
+        language: 'en',
+        direction: 'ltr',
+        fallback: true
+      });
+    });
+
+    test('should prefer the original when English comes first', () => {
+      expect(localizeQuote(quote, ['en-US', 'ar'])).toMatchObject({ text: 'Original text', fallback: false });
+      expect(localizeQuote(quote)).toMatchObject({ language: 'en', fallback: false });
+    });
+  });
+});
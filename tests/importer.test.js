@@ -0,0 +1,70 @@
+const { Readable } = require('stream');
+const { CsvParser, readImport, formatFromMediaType, formatFromFileName } = require('../server/importer');
+
+describe('Quote importer', () => {
+  const streamOf = (...chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+  describe('CSV parser', () => {
+    test('should parse quoted fields across chunks', () => {
+      const parser = new CsvParser();
+      const rows = [
+        ...parser.push('\uFEFFa,b\r\n"one, ""two'),
+        ...parser.push('""\nthree",x\n\n'),
+        ...parser.push('last,row'),
+        ...parser.end()
+      ];
+
+      expect(rows).toEqual([['a', 'b'], ['one, "two"\nthree', 'x'], ['last', 'row']]);
+    });
+
+    test('should reject an unterminated quote', () => {
+      const parser = new CsvParser();
+      parser.push('"never closed');
+      expect(() => parser.end()).toThrow('CSV ends inside a quoted field');
+    });
+  });
+
+  test('should read CSV rows into quotes', async () => {
+    // The multi-byte dash is split between chunks
+    const csv = Buffer.from('Text,Author,Tags,language\nFirst — quote,Ann,"a;b",en\n,Bob,,\n');
+    const entries = await readImport(streamOf(csv.subarray(0, 20), csv.subarray(20)), 'csv');
+
+    expect(entries[0]).toEqual({
+      row: 1,
+      quote: expect.objectContaining({ text: 'First — quote', author: 'Ann', tags: ['a', 'b'] })
+    });
+    expect(entries[1]).toEqual({ row: 2, error: 'Text is required and must be a non-empty string' });
+  });
+
+  test('should read JSONL line by line', async () => {
+    const entries = await readImport(streamOf('{"text":"One"}\n\n', '"Two"\n[1]\n'), 'jsonl');
+
+    expect(entries.map(entry => entry.quote && entry.quote.text)).toEqual(['One', 'Two', undefined]);
+    expect(entries[2].error).toBe('Quote must be a string or an object');
+  });
+
+  test('should read both JSON shapes from a stream or a parsed value', async () => {
+    const fromStream = await readImport(streamOf('{"quotes": ["One", {"text": "Two", "id": "two"}]}'), 'json');
+    const fromValue = await readImport([{ text: 'Three', tags: 'x, y' }], 'json');
+
+    expect(fromStream.map(entry => entry.quote.text)).toEqual(['One', 'Two']);
+    expect(fromStream[1].quote.id).toBe('two');
+    expect(fromValue[0].quote.tags).toEqual(['x', 'y']);
+
+    await expect(readImport(streamOf('{"nope": true}'), 'json')).rejects.toMatchObject({ code: 'INVALID_IMPORT' });
+    await expect(readImport(streamOf('{'), 'json')).rejects.toThrow(/^Invalid JSON/);
+  });
+
+  test('should only read CSV and JSONL from a stream', async () => {
+    await expect(readImport({ text: 'One' }, 'csv')).rejects.toMatchObject({ code: 'INVALID_IMPORT' });
+    await expect(readImport('"One"', 'jsonl')).rejects.toMatchObject({ code: 'INVALID_IMPORT' });
+  });
+
+  test('should work out the format', () => {
+    expect(formatFromMediaType('text/csv; charset=utf-8')).toBe('csv');
+    expect(formatFromMediaType('application/x-ndjson')).toBe('jsonl');
+    expect(formatFromMediaType('text/plain')).toBeUndefined();
+    expect(formatFromFileName('quotes.NDJSON')).toBe('jsonl');
+    expect(formatFromFileName('quotes')).toBeUndefined();
+  });
+});
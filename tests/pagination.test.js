@@ -0,0 +1,77 @@
+const {
+  queryFingerprint,
+  encodeCursor,
+  decodeCursor,
+  pageCursors,
+  cursorPage,
+  buildLinkHeader
+} = require('../server/pagination');
+
+describe('Cursor pagination', () => {
+  const makeItems = ids => ids.map(id => ({ id }));
+  const ids = page => page.items.map(item => item.id);
+  const context = { fingerprint: 'f1' };
+
+  test('should walk forward and back through the items', () => {
+    const items = makeItems(['a', 'b', 'c', 'd', 'e']);
+    const first = pageCursors(items.slice(0, 2), 0, items.length, context);
+
+    expect(first.prevCursor).toBeNull();
+    const second = cursorPage(items, { cursor: decodeCursor(first.nextCursor), limit: 2, context });
+    expect(ids(second)).toEqual(['c', 'd']);
+
+    const third = cursorPage(items, { cursor: decodeCursor(second.nextCursor), limit: 2, context });
+    expect(ids(third)).toEqual(['e']);
+    expect(third.nextCursor).toBeNull();
+
+    const back = cursorPage(items, { cursor: decodeCursor(third.prevCursor), limit: 2, context });
+    expect(ids(back)).toEqual(['c', 'd']);
+  });
+
+  test('should not shift when items are added or removed before the cursor', () => {
+    const items = makeItems(['a', 'b', 'c', 'd', 'e']);
+    const { nextCursor } = pageCursors(items.slice(0, 2), 0, items.length, context);
+
+    const changed = makeItems(['new', 'a', 'c', 'd', 'e']);
+    expect(ids(cursorPage(changed, { cursor: decodeCursor(nextCursor), limit: 2 }))).toEqual(['c', 'd']);
+  });
+
+  test('should fall back to the offset when the anchor is gone', () => {
+    const items = makeItems(['a', 'b', 'c', 'd']);
+    const { nextCursor } = pageCursors(items.slice(0, 2), 0, items.length, context);
+
+    const changed = makeItems(['a', 'c', 'd']);
+    expect(ids(cursorPage(changed, { cursor: decodeCursor(nextCursor), limit: 2 }))).toEqual(['d']);
+  });
+
+  test('should keep the context in the cursors', () => {
+    const { nextCursor } = pageCursors(makeItems(['a']), 0, 2, { fingerprint: 'f1', seed: 's1' });
+
+    expect(decodeCursor(nextCursor)).toEqual({ direction: 'next', id: 'a', offset: 1, fingerprint: 'f1', seed: 's1' });
+  });
+
+  test('should reject malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(encodeCursor({ direction: 'sideways', id: 'a', offset: 0, fingerprint: 'f' }))).toBeNull();
+    expect(decodeCursor(encodeCursor({ direction: 'next', id: 'a', offset: -1, fingerprint: 'f' }))).toBeNull();
+    expect(decodeCursor(undefined)).toBeNull();
+  });
+
+  test('should fingerprint queries independent of key order', () => {
+    expect(queryFingerprint({ a: 1, b: 'x', c: undefined })).toBe(queryFingerprint({ b: 'x', a: 1 }));
+    expect(queryFingerprint({ a: 1 })).not.toBe(queryFingerprint({ a: 2 }));
+  });
+
+  test('should build an RFC 8288 Link header', () => {
+    const header = buildLinkHeader('/api/v1/quotes', { limit: '2', page: '3', tag: ['a', 'b'] }, {
+      nextCursor: 'n1',
+      prevCursor: 'p1'
+    });
+
+    expect(header).toBe(
+      '</api/v1/quotes?limit=2&tag=a&tag=b&cursor=n1>; rel="next", ' +
+      '</api/v1/quotes?limit=2&tag=a&tag=b&cursor=p1>; rel="prev"'
+    );
+    expect(buildLinkHeader('/api/v1/quotes', {}, { nextCursor: null, prevCursor: null })).toBe('');
+  });
+});
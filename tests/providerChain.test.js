@@ -0,0 +1,244 @@
+const { ProviderChain, isRetryable, withTimeout } = require('../server/providers/providerChain');
+const CircuitBreaker = require('../server/providers/circuitBreaker');
+
+describe('Provider chain', () => {
+  const failure = (message, fields = {}) => Object.assign(new Error(message), fields);
+  const fakeProvider = (name, generate) => ({ name, health: () => ({ name, ready: true }), generate: jest.fn(generate) });
+  const run = (chain, request = {}) => chain.run((provider, signal) => provider.generate(request, { signal }));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('CircuitBreaker', () => {
+    test('should open after repeated failures and let a trial through after the reset time', () => {
+      let now = 0;
+      const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => now });
+
+      breaker.recordFailure();
+      expect(breaker.allowRequest()).toBe(true);
+      breaker.recordFailure();
+      expect(breaker.status()).toEqual({ state: 'open', failures: 2, retryAt: new Date(1000).toISOString() });
+      expect(breaker.allowRequest()).toBe(false);
+
+      now = 1000;
+      expect(breaker.state).toBe('half-open');
+      expect(breaker.allowRequest()).toBe(true);
+      // Only one trial at a time
+      expect(breaker.allowRequest()).toBe(false);
+
+      // A failed trial opens the circuit again at once
+      breaker.recordFailure();
+      expect(breaker.state).toBe('open');
+
+      now = 2000;
+      expect(breaker.allowRequest()).toBe(true);
+      breaker.recordSuccess();
+      expect(breaker.status()).toEqual({ state: 'closed', failures: 0 });
+    });
+  });
+
+  describe('retries and timeouts', () => {
+    test('should only retry transient failures', () => {
+      expect(isRetryable(failure('network'))).toBe(true);
+      expect(isRetryable(failure('busy', { status: 429 }))).toBe(true);
+      expect(isRetryable(failure('down', { status: 503 }))).toBe(true);
+      expect(isRetryable(failure('slow', { reason: 'timeout' }))).toBe(true);
+      expect(isRetryable(failure('denied', { status: 401 }))).toBe(false);
+      expect(isRetryable(failure('blocked', { status: 400, reason: 'content_filter' }))).toBe(false);
+    });
+
+    test('should abort a call that takes too long', async () => {
+      let aborted = false;
+      const call = signal => new Promise(() => {
+        signal.addEventListener('abort', () => { aborted = true; });
+      });
+
+      await expect(withTimeout(call, 20, 'slow')).rejects.toMatchObject({ reason: 'timeout', message: 'slow did not answer within 20ms' });
+      expect(aborted).toBe(true);
+    });
+
+    test('should stop listening to the parent signal once the call returns', async () => {
+      const parent = new AbortController();
+      jest.spyOn(parent.signal, 'removeEventListener');
+      let signal;
+
+      await withTimeout(callSignal => { signal = callSignal; return 'done'; }, 20, 'fast', parent.signal);
+      parent.abort();
+
+      expect(parent.signal.removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+      expect(signal.aborted).toBe(false);
+    });
+
+    test('should retry with jittered exponential backoff', async () => {
+      const sleep = jest.fn().mockResolvedValue();
+      const provider = fakeProvider('gemini', jest.fn()
+        .mockRejectedValueOnce(failure('down', { status: 503 }))
+        .mockRejectedValueOnce(failure('down', { status: 503 }))
+        .mockResolvedValueOnce('Answer'));
+      const chain = new ProviderChain([provider], { retries: 2, backoffMs: 100, random: () => 0.5, sleep });
+
+      await expect(run(chain)).resolves.toEqual({ result: 'Answer', provider: 'gemini', skipped: [] });
+      expect(provider.generate).toHaveBeenCalledTimes(3);
+      expect(sleep.mock.calls).toEqual([[50], [100]]);
+    });
+  });
+
+  describe('failover', () => {
+    test('should move on to the next provider and report why', async () => {
+      const gemini = fakeProvider('gemini', () => new Promise(() => {}));
+      const azure = fakeProvider('azure', () => Promise.reject(failure('blocked', { reason: 'content_filter' })));
+      const openai = fakeProvider('openai', () => Promise.resolve('From OpenAI'));
+      const chain = new ProviderChain([gemini, azure, openai], { timeoutMs: 20, retries: 0 });
+
+      await expect(run(chain, { message: 'Hi' })).resolves.toEqual({
+        result: 'From OpenAI',
+        provider: 'openai',
+        skipped: [
+          { provider: 'gemini', reason: 'timeout' },
+          { provider: 'azure', reason: 'content_filter' }
+        ]
+      });
+      expect(openai.generate).toHaveBeenCalledWith({ message: 'Hi' }, { signal: expect.any(AbortSignal) });
+    });
+
+    test('should skip a provider whose circuit is open', async () => {
+      const gemini = fakeProvider('gemini', () => Promise.reject(failure('down', { status: 500 })));
+      const openai = fakeProvider('openai', () => Promise.resolve('ok'));
+      const chain = new ProviderChain([gemini, openai], { retries: 0, failureThreshold: 1 });
+
+      await run(chain);
+      const { skipped } = await run(chain);
+
+      expect(skipped).toEqual([{ provider: 'gemini', reason: 'circuit_open' }]);
+      expect(gemini.generate).toHaveBeenCalledTimes(1);
+      expect(chain.status()[0]).toMatchObject({ name: 'gemini', timeoutMs: 10000, circuit: { state: 'open' } });
+    });
+
+    test('should not count content filter blocks against the circuit', async () => {
+      const azure = fakeProvider('azure', () => Promise.reject(failure('blocked', { reason: 'content_filter' })));
+      const chain = new ProviderChain([azure], { retries: 0, failureThreshold: 1 });
+
+      await expect(run(chain)).rejects.toMatchObject({ reason: 'no_provider', skipped: [{ provider: 'azure', reason: 'content_filter' }] });
+      expect(chain.status()[0].circuit.state).toBe('closed');
+    });
+  });
+
+  describe('streaming', () => {
+    const streamingProvider = (name, stream) => ({ name, health: () => ({ name, ready: true }), stream });
+    const collect = async chunks => {
+      const texts = [];
+      for await (const text of chunks) {
+        texts.push(text);
+      }
+      return texts;
+    };
+
+    test('should fail over until a provider streams its first chunk', async () => {
+      const gemini = streamingProvider('gemini', async function* () {
+        await new Promise(() => {});
+      });
+      const azure = streamingProvider('azure', async function* () {
+        throw failure('down', { status: 503 });
+      });
+      const openai = streamingProvider('openai', async function* () {
+        yield 'Hello';
+        yield ' world';
+      });
+      const chain = new ProviderChain([gemini, azure, openai], { timeoutMs: 20, retries: 0 });
+
+      const { chunks, provider, skipped } = await chain.runStream((p, signal) => p.stream({}, { signal }));
+
+      expect(provider).toBe('openai');
+      expect(skipped).toEqual([{ provider: 'gemini', reason: 'timeout' }, { provider: 'azure', reason: 'provider_error' }]);
+      await expect(collect(chunks)).resolves.toEqual(['Hello', ' world']);
+    });
+
+    test('should treat an empty stream as an invalid response', async () => {
+      const openai = streamingProvider('openai', async function* () {});
+      const chain = new ProviderChain([openai], { retries: 0 });
+
+      await expect(chain.runStream(p => p.stream())).rejects.toMatchObject({
+        reason: 'no_provider',
+        skipped: [{ provider: 'openai', reason: 'invalid_response' }]
+      });
+    });
+
+    test('should count a failure part way through against the circuit', async () => {
+      const openai = streamingProvider('openai', async function* () {
+        yield 'Hello';
+        throw failure('connection reset');
+      });
+      const chain = new ProviderChain([openai], { retries: 0, failureThreshold: 1 });
+
+      const { chunks } = await chain.runStream(p => p.stream());
+
+      await expect(collect(chunks)).rejects.toThrow('connection reset');
+      expect(chain.status()[0].circuit.state).toBe('open');
+    });
+
+    test('should abort a stream that stalls between chunks', async () => {
+      let aborted = false;
+      const openai = streamingProvider('openai', async function* (signal) {
+        yield 'Hello';
+        await new Promise(() => {
+          signal.addEventListener('abort', () => { aborted = true; });
+        });
+      });
+      const chain = new ProviderChain([openai], { timeoutMs: 20, retries: 0, failureThreshold: 1 });
+
+      const { chunks } = await chain.runStream((p, signal) => p.stream(signal));
+
+      await expect(collect(chunks)).rejects.toMatchObject({ reason: 'timeout', message: 'openai sent nothing for 20ms' });
+      expect(aborted).toBe(true);
+      expect(chain.status()[0].circuit.state).toBe('open');
+    });
+
+    test('should abort a stream cancelled after its first chunk', async () => {
+      const controller = new AbortController();
+      let aborted = false;
+      const openai = streamingProvider('openai', async function* (signal) {
+        yield 'Hello';
+        await new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            aborted = true;
+            reject(failure('aborted'));
+          });
+          controller.abort();
+        });
+      });
+      const chain = new ProviderChain([openai], { retries: 0, failureThreshold: 1 });
+
+      const { chunks } = await chain.runStream((p, signal) => p.stream(signal), { signal: controller.signal });
+
+      await expect(collect(chunks)).rejects.toThrow('aborted');
+      expect(aborted).toBe(true);
+      expect(chain.status()[0].circuit.state).toBe('closed');
+    });
+
+    test('should stop without failing over or opening the circuit when cancelled', async () => {
+      const controller = new AbortController();
+      let aborted = false;
+      const gemini = streamingProvider('gemini', async function* (signal) {
+        await new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            aborted = true;
+            reject(failure('aborted'));
+          });
+          controller.abort();
+        });
+      });
+      const openai = streamingProvider('openai', jest.fn());
+      const chain = new ProviderChain([gemini, openai], { retries: 1, failureThreshold: 1 });
+
+      await expect(chain.runStream((p, signal) => p.stream(signal), { signal: controller.signal })).rejects.toThrow('aborted');
+      expect(aborted).toBe(true);
+      expect(openai.stream).not.toHaveBeenCalled();
+      expect(chain.status()[0].circuit).toEqual({ state: 'closed', failures: 0 });
+    });
+  });
+});
@@ -0,0 +1,291 @@
+const http = require('http');
+const { createProvider, GeminiProvider, OpenAIProvider, AzureOpenAIProvider } = require('../server/providers');
+
+jest.mock('@google/generative-ai', () => {
+  const startChat = jest.fn().mockReturnValue({
+    sendMessage: jest.fn().mockResolvedValue({ response: { text: () => ' Gemini reply ' } }),
+    sendMessageStream: jest.fn().mockResolvedValue({
+      stream: (async function* () {
+        yield { text: () => 'Gemini ' };
+        yield { text: () => '' };
+        yield { text: () => 'stream' };
+      })()
+    })
+  });
+  return {
+    startChat,
+    GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+      getGenerativeModel: jest.fn().mockReturnValue({ startChat })
+    }))
+  };
+});
+
+// Local stand-in for an OpenAI-compatible server; reply(req, body) decides each response,
+// either json or the events of a streamed reply
+function startStubServer(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = data ? JSON.parse(data) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const { status = 200, json, events } = reply(req, body);
+      if (events) {
+        res.writeHead(status, { 'Content-Type': 'text/event-stream' });
+        res.end(events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n');
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` });
+    });
+  });
+}
+
+describe('Chat providers', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('createProvider', () => {
+    test('should configure providers from the environment', () => {
+      const openai = createProvider('openai', { OPENAI_API_KEY: 'key', OPENAI_MODEL: 'gpt-4o-mini', OPENAI_BASE_URL: 'http://localhost:11434/v1/' });
+      expect(openai).toBeInstanceOf(OpenAIProvider);
+      expect(openai.health()).toEqual({ name: 'openai', ready: false, model: 'gpt-4o-mini', baseUrl: 'http://localhost:11434/v1' });
+
+      const gemini = createProvider('gemini', {});
+      expect(gemini).toBeInstanceOf(GeminiProvider);
+      expect(gemini.health()).toEqual({ name: 'gemini', ready: false, model: 'gemini-1.5-flash' });
+    });
+
+    test('should return no provider for fallback and reject unknown names', () => {
+      expect(createProvider('fallback', {})).toBeNull();
+      expect(() => createProvider('claude', {})).toThrow('Unknown AI_PROVIDER "claude", expected gemini, openai, azure, fallback');
+    });
+
+    test('should not be ready without an API key', () => {
+      expect(new OpenAIProvider({}).init()).toBe(false);
+      expect(new GeminiProvider({}).init()).toBe(false);
+      expect(new AzureOpenAIProvider({ apiKey: 'key', endpoint: 'https://example.openai.azure.com' }).init()).toBe(false);
+    });
+  });
+
+  describe('GeminiProvider', () => {
+    test('should send the system prompt and history as chat turns', async () => {
+      const { startChat } = require('@google/generative-ai');
+      const provider = new GeminiProvider({ apiKey: 'key' });
+      expect(provider.init()).toBe(true);
+
+      const text = await provider.generate({
+        systemPrompt: 'Be wise',
+        message: 'Hello',
+        history: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hey' }]
+      });
+
+      expect(text).toBe(' Gemini reply ');
+      const { history } = startChat.mock.calls[startChat.mock.calls.length - 1][0];
+      expect(history[0]).toEqual({ role: 'user', parts: [{ text: 'Be wise' }] });
+      expect(history.slice(2)).toEqual([
+        { role: 'user', parts: [{ text: 'Hi' }] },
+        { role: 'model', parts: [{ text: 'Hey' }] }
+      ]);
+      expect(provider.health().ready).toBe(true);
+    });
+
+    test('should stream the reply chunks', async () => {
+      const provider = new GeminiProvider({ apiKey: 'key' });
+      provider.init();
+      const chunks = [];
+
+      for await (const text of provider.stream({ systemPrompt: 'Be wise', message: 'Hello' })) {
+        chunks.push(text);
+      }
+
+      expect(chunks).toEqual(['Gemini ', 'stream']);
+    });
+  });
+
+  describe('OpenAIProvider', () => {
+    let stub;
+
+    afterEach(done => {
+      // Node 18 keeps idle keep-alive sockets open, which would hold close() up
+      stub.server.closeAllConnections();
+      stub.server.close(done);
+    });
+
+    test('should call chat completions with the conversation', async () => {
+      stub = await startStubServer(() => ({ json: { choices: [{ message: { role: 'assistant', content: 'Stub reply' } }] } }));
+      const provider = new OpenAIProvider({ apiKey: 'secret', model: 'local-model', baseUrl: stub.baseUrl });
+      expect(provider.init()).toBe(true);
+
+      const text = await provider.generate({
+        systemPrompt: 'Be wise',
+        message: 'Hello',
+        history: [{ role: 'assistant', content: 'Hey' }]
+      });
+
+      expect(text).toBe('Stub reply');
+      expect(stub.requests).toHaveLength(1);
+      const [request] = stub.requests;
+      expect(request).toMatchObject({ method: 'POST', url: '/v1/chat/completions' });
+      expect(request.headers.authorization).toBe('Bearer secret');
+      expect(request.body).toEqual({
+        model: 'local-model',
+        messages: [
+          { role: 'system', content: 'Be wise' },
+          { role: 'assistant', content: 'Hey' },
+          { role: 'user', content: 'Hello' }
+        ]
+      });
+    });
+
+    test('should report failed requests with their status', async () => {
+      stub = await startStubServer(() => ({ status: 401, json: { error: { message: 'Incorrect API key provided' } } }));
+      const provider = new OpenAIProvider({ apiKey: 'wrong', baseUrl: stub.baseUrl });
+      provider.init();
+
+      await expect(provider.generate({ systemPrompt: 'x', message: 'Hello' })).rejects.toMatchObject({
+        code: 'PROVIDER_ERROR',
+        status: 401,
+        message: 'openai request failed with status 401: Incorrect API key provided'
+      });
+    });
+
+    test('should reject responses without a message', async () => {
+      stub = await startStubServer(() => ({ json: { choices: [] } }));
+      const provider = new OpenAIProvider({ apiKey: 'key', baseUrl: stub.baseUrl });
+      provider.init();
+
+      await expect(provider.generate({ systemPrompt: 'x', message: 'Hello' })).rejects.toThrow('openai response has no message');
+    });
+
+    test('should stream the reply from the delta of each chunk', async () => {
+      stub = await startStubServer(() => ({
+        events: [
+          { choices: [{ delta: { role: 'assistant' } }] },
+          { choices: [{ delta: { content: 'Stub' } }] },
+          { choices: [{ delta: { content: ' reply' } }] },
+          { choices: [{ delta: {}, finish_reason: 'stop' }] }
+        ]
+      }));
+      const provider = new OpenAIProvider({ apiKey: 'key', model: 'local-model', baseUrl: stub.baseUrl });
+      provider.init();
+      const chunks = [];
+
+      for await (const text of provider.stream({ systemPrompt: 'Be wise', message: 'Hello' })) {
+        chunks.push(text);
+      }
+
+      expect(chunks).toEqual(['Stub', ' reply']);
+      expect(stub.requests[0].body).toMatchObject({ model: 'local-model', stream: true });
+    });
+
+    test('should report a failed streaming request with its status', async () => {
+      stub = await startStubServer(() => ({ status: 429, json: { error: { message: 'Rate limit reached' } } }));
+      const provider = new OpenAIProvider({ apiKey: 'key', baseUrl: stub.baseUrl });
+      provider.init();
+
+      await expect(provider.stream({ systemPrompt: 'x', message: 'Hello' }).next()).rejects.toMatchObject({
+        status: 429,
+        message: 'openai request failed with status 429: Rate limit reached'
+      });
+    });
+  });
+
+  describe('AzureOpenAIProvider', () => {
+    let stub;
+
+    const createAzure = () => {
+      const provider = createProvider('azure', {
+        AZURE_OPENAI_API_KEY: 'azure-key',
+        AZURE_OPENAI_ENDPOINT: stub.baseUrl.replace(/\/v1$/, '/'),
+        AZURE_OPENAI_DEPLOYMENT_NAME: 'quotes-gpt'
+      });
+      provider.init();
+      return provider;
+    };
+
+    afterEach(done => {
+      stub.server.closeAllConnections();
+      stub.server.close(done);
+    });
+
+    test('should call the deployment URL with the api-key header', async () => {
+      stub = await startStubServer(() => ({ json: { choices: [{ finish_reason: 'stop', message: { content: 'Azure reply' } }] } }));
+      const provider = createAzure();
+
+      await expect(provider.generate({ systemPrompt: 'Be wise', message: 'Hello' })).resolves.toBe('Azure reply');
+
+      const [request] = stub.requests;
+      expect(request.url).toBe('/openai/deployments/quotes-gpt/chat/completions?api-version=2024-06-01');
+      expect(request.headers['api-key']).toBe('azure-key');
+      expect(request.headers.authorization).toBeUndefined();
+      expect(request.body).toEqual({
+        messages: [{ role: 'system', content: 'Be wise' }, { role: 'user', content: 'Hello' }]
+      });
+      expect(provider.health()).toMatchObject({ name: 'azure', ready: true, model: 'quotes-gpt', apiVersion: '2024-06-01' });
+    });
+
+    test('should report a filtered prompt as content_filter', async () => {
+      stub = await startStubServer(() => ({
+        status: 400,
+        json: {
+          error: {
+            code: 'content_filter',
+            message: 'The response was filtered due to the prompt triggering Azure OpenAI\'s content management policy.',
+            innererror: { code: 'ResponsibleAIPolicyViolation' }
+          }
+        }
+      }));
+
+      await expect(createAzure().generate({ systemPrompt: 'x', message: 'Hello' })).rejects.toMatchObject({
+        status: 400,
+        reason: 'content_filter',
+        message: 'azure prompt was blocked by the content filter'
+      });
+    });
+
+    test('should report a filtered reply as content_filter', async () => {
+      stub = await startStubServer(() => ({ json: { choices: [{ finish_reason: 'content_filter', message: { content: null } }] } }));
+
+      await expect(createAzure().generate({ systemPrompt: 'x', message: 'Hello' })).rejects.toMatchObject({
+        reason: 'content_filter',
+        message: 'azure reply was blocked by the content filter'
+      });
+    });
+
+    test('should report a streamed reply cut off by the content filter', async () => {
+      stub = await startStubServer(() => ({
+        events: [
+          { choices: [], prompt_filter_results: [] },
+          { choices: [{ delta: { content: 'Partial' } }] },
+          { choices: [{ delta: {}, finish_reason: 'content_filter' }] }
+        ]
+      }));
+      const stream = createAzure().stream({ systemPrompt: 'x', message: 'Hello' });
+
+      await expect(stream.next()).resolves.toEqual({ value: 'Partial', done: false });
+      await expect(stream.next()).rejects.toMatchObject({ reason: 'content_filter' });
+      expect(stub.requests[0].body).toEqual({ messages: expect.any(Array), stream: true });
+    });
+
+    test('should report other errors without a reason', async () => {
+      stub = await startStubServer(() => ({ status: 404, json: { error: { code: 'DeploymentNotFound', message: 'The API deployment for this resource does not exist.' } } }));
+
+      const error = await createAzure().generate({ systemPrompt: 'x', message: 'Hello' }).catch(e => e);
+      expect(error.message).toBe('azure request failed with status 404: The API deployment for this resource does not exist.');
+      expect(error.reason).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { isValidTimeZone, getDailyRotation, getPastDays } = require('../server/quoteOfTheDay');
+
+describe('Quote of the day rotation', () => {
+  describe('Timezone validation', () => {
+    test('should accept IANA timezones', () => {
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Asia/Baghdad')).toBe(true);
+      expect(isValidTimeZone('America/New_York')).toBe(true);
+    });
+
+    test('should reject unknown timezones', () => {
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(undefined)).toBe(false);
+    });
+  });
+
+  describe('Daily rotation', () => {
+    test('should rotate at UTC midnight by default', () => {
+      const rotation = getDailyRotation('UTC', new Date('2024-03-10T15:30:00Z'));
+
+      expect(rotation.date).toBe('2024-03-10');
+      expect(rotation.nextRotation.toISOString()).toBe('2024-03-11T00:00:00.000Z');
+    });
+
+    test('should use the calendar day of the timezone', () => {
+      // 22:00 UTC is already the next day in Baghdad (UTC+3)
+      const rotation = getDailyRotation('Asia/Baghdad', new Date('2024-03-10T22:00:00Z'));
+
+      expect(rotation.date).toBe('2024-03-11');
+      expect(rotation.nextRotation.toISOString()).toBe('2024-03-11T21:00:00.000Z');
+    });
+
+    test('should handle daylight saving changes', () => {
+      // Clocks go forward in New York on 2024-03-10, so the next midnight is UTC-4
+      const rotation = getDailyRotation('America/New_York', new Date('2024-03-10T12:00:00Z'));
+
+      expect(rotation.date).toBe('2024-03-10');
+      expect(rotation.nextRotation.toISOString()).toBe('2024-03-11T04:00:00.000Z');
+    });
+  });
+
+  describe('Past days', () => {
+    test('should return the start of each day, newest first', () => {
+      const days = getPastDays('Asia/Baghdad', 3, new Date('2024-03-01T12:00:00Z'));
+
+      expect(days.map(day => day.date)).toEqual(['2024-03-01', '2024-02-29', '2024-02-28']);
+      expect(days[0].start.toISOString()).toBe('2024-02-29T21:00:00.000Z');
+      expect(days[2].start.toISOString()).toBe('2024-02-27T21:00:00.000Z');
+    });
+
+    test('should span daylight saving changes', () => {
+      const days = getPastDays('America/New_York', 2, new Date('2024-03-11T12:00:00Z'));
+
+      expect(days[0].start.toISOString()).toBe('2024-03-11T04:00:00.000Z');
+      expect(days[1]).toEqual({ date: '2024-03-10', start: new Date('2024-03-10T05:00:00.000Z') });
+    });
+  });
+});
@@ -1,24 +1,24 @@
 const QuotesService = require('../server/quotes');
+const { JsonFileStorage } = require('../server/storage');
 const fs = require('fs');
 const path = require('path');
 
 describe('QuotesService', () => {
   let quotesService;
-  let tempQuotesFile;
+  const tempQuotesFile = path.join(__dirname, 'temp-quotes.json');
 
-  beforeAll(() => {
-    // Create a temporary quotes file for testing
+  // Rewrite the fixture before each test since some tests overwrite it
+  const writeTestQuotes = () => {
     const testQuotes = {
       quotes: [
-        { text: 'Test quote 1', author: 'Test Author 1' },
-        { text: 'Test quote 2', author: 'Test Author 2' },
+        { text: 'Test quote 1', author: 'Test Author 1', tags: ['Success', 'leadership'] },
+        { text: 'Test quote 2', author: 'Test Author 2', tags: 'success, Hard Work' },
         'Simple string quote'
       ]
     };
-    
-    tempQuotesFile = path.join(__dirname, 'temp-quotes.json');
+
     fs.writeFileSync(tempQuotesFile, JSON.stringify(testQuotes));
-  });
+  };
 
   afterAll(() => {
     // Clean up temporary file
@@ -28,6 +28,7 @@ describe('QuotesService', () => {
   });
 
   beforeEach(() => {
+    writeTestQuotes();
     quotesService = new QuotesService(tempQuotesFile);
   });
 
@@ -56,6 +57,18 @@ describe('QuotesService', () => {
       });
     });
 
+    test('should keep quote translations', () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify([
+        { text: 'Hello', author: 'A', translations: { AR: 'مرحبا', ckb: { text: 'سڵاو', author: 'ئەی' } } }
+      ]));
+      const service = new QuotesService(tempQuotesFile);
+
+      expect(service.getAllQuotes()[0].translations).toEqual({
+        ar: { text: 'مرحبا' },
+        ckb: { text: 'سڵاو', author: 'ئەی' }
+      });
+    });
+
     test('should handle array format quotes', () => {
       const arrayQuotes = ['Quote 1', 'Quote 2'];
       fs.writeFileSync(tempQuotesFile, JSON.stringify(arrayQuotes));
@@ -68,6 +81,44 @@ describe('QuotesService', () => {
       expect(quotes[0].author).toBe('Unknown');
     });
 
+    test('should report every problem in an invalid file', () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify([
+        { text: '', author: 'A' },
+        { text: 'Fine', author: 42, mood: 'happy' },
+        'Also fine'
+      ]));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(() => new QuotesService(tempQuotesFile)).toThrow(
+        'Invalid quotes file: quotes[0].text must not be empty; quotes[1].mood is not a known field; quotes[1].author must be a string'
+      );
+
+      consoleSpy.mockRestore();
+    });
+
+    test('should skip invalid quotes with a warning when validation warns', () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify(['Kept', { text: '  ' }, { id: 'x', text: 'A' }, { id: 'x', text: 'B' }]));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const service = new QuotesService(null, { storage: new JsonFileStorage(tempQuotesFile, { validation: 'warn' }) });
+
+      expect(service.getAllQuotes().map(quote => quote.text)).toEqual(['Kept', 'A']);
+      expect(service.getStatus().problems).toBe(2);
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('quotes[1].text must not be empty'));
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('quotes[3].id "x" is already used by quotes[2]'));
+
+      warnSpy.mockRestore();
+    });
+
+    test('should load quotes as before when validation is allowed', () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify([{ text: '', author: 'A', extra: true }]));
+
+      const service = new QuotesService(null, { storage: new JsonFileStorage(tempQuotesFile, { validation: 'allow' }) });
+
+      expect(service.getAllQuotes()[0]).toMatchObject({ text: '', author: 'A' });
+      expect(service.getStatus().problems).toBe(0);
+    });
+
     test('should throw error for invalid file format', () => {
       fs.writeFileSync(tempQuotesFile, JSON.stringify({ invalidFormat: true }));
       
@@ -77,6 +128,74 @@ describe('QuotesService', () => {
     });
   });
 
+  describe('Quote IDs', () => {
+    test('should generate the same IDs across reloads', () => {
+      const firstIds = quotesService.getAllQuotes().map(quote => quote.id);
+      const reloadedIds = new QuotesService(tempQuotesFile).getAllQuotes().map(quote => quote.id);
+
+      expect(reloadedIds).toEqual(firstIds);
+    });
+
+    test('should derive IDs from quote content', () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify([
+        { text: 'Moved quote', author: 'Someone' },
+        { text: 'Test quote 1', author: 'Test Author 1' }
+      ]));
+
+      const service = new QuotesService(tempQuotesFile);
+      const original = quotesService.getAllQuotes().find(q => q.text === 'Test quote 1');
+
+      expect(service.getAllQuotes()[1].id).toBe(original.id);
+    });
+
+    test('should keep explicit IDs', () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify([
+        { id: 'custom-1', text: 'Quote with ID', author: 'Author' },
+        { id: 42, text: 'Numeric ID', author: 'Author' }
+      ]));
+
+      const service = new QuotesService(tempQuotesFile);
+
+      expect(service.getQuoteById('custom-1')).toHaveProperty('text', 'Quote with ID');
+      expect(service.getQuoteById('42')).toHaveProperty('text', 'Numeric ID');
+    });
+
+    test('should make IDs unique for identical quotes', () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify(['Same quote', 'Same quote', 'Same quote']));
+
+      const ids = new QuotesService(tempQuotesFile).getAllQuotes().map(quote => quote.id);
+
+      expect(new Set(ids).size).toBe(3);
+      expect(ids[1]).toBe(`${ids[0]}-2`);
+      expect(ids[2]).toBe(`${ids[0]}-3`);
+    });
+
+    test('should not let generated IDs clash with explicit IDs', () => {
+      const generatedId = quotesService.generateId('Clash', 'Unknown');
+      fs.writeFileSync(tempQuotesFile, JSON.stringify([
+        'Clash',
+        { id: generatedId, text: 'Explicit', author: 'Author' }
+      ]));
+
+      const quotes = new QuotesService(tempQuotesFile).getAllQuotes();
+
+      expect(quotes[1].id).toBe(generatedId);
+      expect(quotes[0].id).toBe(`${generatedId}-2`);
+    });
+
+    test('should reject duplicate explicit IDs', () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify([
+        { id: 'dup', text: 'First', author: 'Author' },
+        { id: 'dup', text: 'Second', author: 'Author' }
+      ]));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(() => new QuotesService(tempQuotesFile)).toThrow('quotes[1].id "dup" is already used by quotes[0]');
+
+      consoleSpy.mockRestore();
+    });
+  });
+
   describe('Quote retrieval', () => {
     test('should return random quote', () => {
       const quote = quotesService.getRandomQuote();
@@ -113,12 +232,103 @@ describe('QuotesService', () => {
       expect(foundQuote).toEqual(firstQuote);
     });
 
+    test('should return the same quote of the day for a date', () => {
+      const quote = quotesService.getQuoteOfTheDay('2024-01-01');
+
+      expect(quote).toHaveProperty('id');
+      expect(quotesService.getQuoteOfTheDay('2024-01-01')).toBe(quote);
+      expect(new QuotesService(tempQuotesFile).getQuoteOfTheDay('2024-01-01').id).toBe(quote.id);
+    });
+
+    test('should pick the quote of the day among matching quotes', () => {
+      for (const date of ['2024-01-01', '2024-01-02', '2024-01-03']) {
+        expect(quotesService.getQuoteOfTheDay(date, { tags: 'hard work' }).author).toBe('Test Author 2');
+      }
+      expect(quotesService.getQuoteOfTheDay('2024-01-01', { tags: 'missing' })).toBeNull();
+    });
+
     test('should return undefined for non-existent ID', () => {
       const quote = quotesService.getQuoteById('nonexistent');
       expect(quote).toBeUndefined();
     });
   });
 
+  describe('Cursor pagination', () => {
+    test('should continue after the cursor when earlier quotes are removed', async () => {
+      const { decodeCursor, pageCursors } = require('../server/pagination');
+      const first = quotesService.findQuotes({}, 1, 2);
+      const { nextCursor } = pageCursors(first.quotes, 0, first.total, { fingerprint: 'f' });
+
+      // With offsets, removing a quote from page one would skip a quote on page two
+      await quotesService.deleteQuote(first.quotes[0].id);
+      const next = quotesService.findQuotesByCursor(null, {}, {}, { cursor: decodeCursor(nextCursor), limit: 2 });
+
+      expect(next.quotes.map(quote => quote.text)).toEqual(['Simple string quote']);
+      expect(next.total).toBe(2);
+      expect(next.nextCursor).toBeNull();
+      expect(next.prevCursor).not.toBeNull();
+    });
+
+    test('should page through ranked results by cursor', () => {
+      const { decodeCursor } = require('../server/pagination');
+      const context = { fingerprint: 'f' };
+      const first = quotesService.findQuotesByCursor('test', {}, {}, {
+        cursor: { direction: 'next', id: null, offset: 0 },
+        limit: 1,
+        context
+      });
+      const second = quotesService.findQuotesByCursor('test', {}, {}, {
+        cursor: decodeCursor(first.nextCursor),
+        limit: 1,
+        context
+      });
+
+      expect(first.quotes[0]).toHaveProperty('match');
+      expect(second.quotes[0].id).not.toBe(first.quotes[0].id);
+    });
+  });
+
+  describe('Authors', () => {
+    test('should derive stable slugs from author names', () => {
+      const { authorSlug } = require('../server/quoteModel');
+
+      expect(authorSlug('Martin Luther King Jr.')).toBe('martin-luther-king-jr');
+      expect(authorSlug('  José   Martí ')).toBe('jose-marti');
+      expect(authorSlug('ستيف جوبز')).toBe('ستيف-جوبز');
+      expect(authorSlug('Anonymous')).toBe('unknown');
+      expect(authorSlug('')).toBe('unknown');
+    });
+
+    test('should list authors with quote counts', () => {
+      const result = quotesService.getAuthors();
+
+      expect(result.total).toBe(3);
+      expect(result.authors).toEqual([
+        { slug: 'test-author-1', name: 'Test Author 1', quoteCount: 1 },
+        { slug: 'test-author-2', name: 'Test Author 2', quoteCount: 1 },
+        { slug: 'unknown', name: 'Unknown', quoteCount: 1 }
+      ]);
+    });
+
+    test('should search authors by name', () => {
+      expect(quotesService.getAuthors({ contains: 'author 2' }).authors.map(author => author.slug))
+        .toEqual(['test-author-2']);
+    });
+
+    test('should group unknown authors', async () => {
+      await quotesService.createQuote({ text: 'Said by nobody in particular', author: 'Anonymous' });
+
+      expect(quotesService.getAuthor('unknown')).toMatchObject({ name: 'Unknown', quoteCount: 2 });
+      expect(quotesService.getAuthorQuotes('unknown').quotes.map(quote => quote.author))
+        .toEqual(['Unknown', 'Anonymous']);
+    });
+
+    test('should return null for unknown slugs', () => {
+      expect(quotesService.getAuthor('nobody')).toBeNull();
+      expect(quotesService.getAuthorQuotes('nobody')).toBeNull();
+    });
+  });
+
   describe('Search functionality', () => {
     test('should search quotes by text', () => {
       const result = quotesService.searchQuotes('Test quote 1');
@@ -156,6 +366,289 @@ describe('QuotesService', () => {
       expect(result).toHaveProperty('limit');
       expect(result).toHaveProperty('totalPages');
     });
+
+    test('should rank quotes and attach match details', () => {
+      const result = quotesService.rankQuotes('author:"author 2"');
+
+      expect(result.total).toBe(1);
+      expect(result.quotes[0].text).toBe('Test quote 2');
+      expect(result.quotes[0].match.score).toBeGreaterThan(0);
+      expect(result.quotes[0].match.highlights.author).toEqual([[5, 11], [12, 13]]);
+    });
+
+    test('should combine ranked search with tag filters', () => {
+      const result = quotesService.rankQuotes('quote', { tags: ['hard-work'] });
+
+      expect(result.quotes.map(quote => quote.text)).toEqual(['Test quote 2']);
+    });
+
+    test('should see quotes added after the index was built', async () => {
+      await quotesService.createQuote({ text: 'Perseverance pays off', author: 'Someone' });
+
+      expect(quotesService.rankQuotes('perseverence').total).toBe(1);
+    });
+
+    test('should find the quotes relevant to a chat message', () => {
+      const relevant = quotesService.findRelevantQuotes('Can you give me a quote about leadership, please?');
+
+      expect(relevant.map(quote => quote.text)).toEqual(['Test quote 1']);
+      expect(quotesService.findRelevantQuotes('Tell me something nice')).toEqual([]);
+    });
+
+    test('should weigh the message above earlier messages', () => {
+      const relevant = quotesService.findRelevantQuotes('What about hard work?', { context: ['I like leadership'] });
+      expect(relevant.map(quote => quote.text)).toEqual(['Test quote 2', 'Test quote 1']);
+
+      expect(quotesService.findRelevantQuotes('hard work', { context: ['leadership'], limit: 1 })).toHaveLength(1);
+    });
+  });
+
+  describe('Tags', () => {
+    test('should normalize tags from the file', () => {
+      const quotes = quotesService.getAllQuotes();
+
+      expect(quotes[0].tags).toEqual(['success', 'leadership']);
+      expect(quotes[1].tags).toEqual(['success', 'hard-work']);
+      expect(quotes[2].tags).toEqual([]);
+    });
+
+    test('should filter quotes matching any tag', () => {
+      const result = quotesService.findQuotes({ tags: 'leadership,hard-work' });
+
+      expect(result.total).toBe(2);
+    });
+
+    test('should filter quotes matching all tags', () => {
+      const result = quotesService.findQuotes({ tags: ['success', 'Leadership'], tagMode: 'all' });
+
+      expect(result.total).toBe(1);
+      expect(result.quotes[0].text).toBe('Test quote 1');
+    });
+
+    test('should combine tag filters with text search', () => {
+      const result = quotesService.findQuotes({ contains: 'quote 2', tags: 'success' });
+
+      expect(result.total).toBe(1);
+      expect(result.quotes[0].text).toBe('Test quote 2');
+    });
+
+    test('should pick random quotes within a tag', () => {
+      for (let i = 0; i < 5; i++) {
+        expect(quotesService.getRandomQuote({ tags: 'hard-work' }).text).toBe('Test quote 2');
+      }
+    });
+
+    test('should return null when no quote has the tag', () => {
+      expect(quotesService.getRandomQuote({ tags: 'nonexistent' })).toBeNull();
+    });
+
+    test('should count quotes per tag', () => {
+      expect(quotesService.getTagCounts()).toEqual([
+        { tag: 'success', count: 2 },
+        { tag: 'hard-work', count: 1 },
+        { tag: 'leadership', count: 1 }
+      ]);
+    });
+  });
+
+  describe('Writes', () => {
+    const readQuotesFile = () => JSON.parse(fs.readFileSync(tempQuotesFile, 'utf8')).quotes;
+
+    test('should create a quote and persist it with its ID', async () => {
+      const quote = await quotesService.createQuote({ text: 'New quote', author: 'New Author' });
+
+      expect(quotesService.getQuoteById(quote.id)).toEqual(quote);
+      expect(readQuotesFile().pop()).toEqual(quote);
+      expect(new QuotesService(tempQuotesFile).getQuoteById(quote.id)).toEqual(quote);
+    });
+
+    test('should keep the ID when the text is edited', async () => {
+      const [first] = quotesService.getAllQuotes();
+      const updated = await quotesService.updateQuote(first.id, { text: 'Edited' }, { partial: true });
+
+      expect(updated).toMatchObject({ id: first.id, text: 'Edited', author: 'Test Author 1' });
+      expect(new QuotesService(tempQuotesFile).getQuoteById(first.id).text).toBe('Edited');
+    });
+
+    test('should delete a quote', async () => {
+      const [first] = quotesService.getAllQuotes();
+
+      expect(await quotesService.deleteQuote(first.id)).toEqual(first);
+      expect(quotesService.getCount()).toBe(2);
+      expect(await quotesService.deleteQuote(first.id)).toBeNull();
+    });
+
+    test('should change the collection version with every write', async () => {
+      const version = quotesService.getVersion();
+      const lastModified = quotesService.getLastModified();
+
+      expect(new QuotesService(tempQuotesFile).getVersion()).toBe(version);
+
+      await quotesService.createQuote({ text: 'Versioned' });
+      expect(quotesService.getVersion()).not.toBe(version);
+      expect(quotesService.getLastModified().getTime()).toBeGreaterThanOrEqual(lastModified.getTime());
+      expect(new QuotesService(tempQuotesFile).getVersion()).toBe(quotesService.getVersion());
+    });
+
+    test('should report duplicates across the collection', async () => {
+      expect(quotesService.findDuplicates().summary.groups).toBe(0);
+
+      const copy = await quotesService.createQuote({ text: 'test quote 1!', author: 'Someone Else' });
+      const report = quotesService.findDuplicates({ threshold: 0.9 });
+
+      expect(report).toMatchObject({ threshold: 0.9, total: 4, summary: { groups: 1, exact: 1, misattributed: 1 } });
+      expect(report.groups[0].quotes.map(quote => quote.id)).toEqual([quotesService.getAllQuotes()[0].id, copy.id]);
+    });
+
+    test('should list quotes added through the API, newest first', async () => {
+      expect(quotesService.getRecentQuotes()).toEqual([]);
+
+      const older = await quotesService.createQuote({ text: 'Older', tags: ['news'] });
+      jest.spyOn(Date.prototype, 'toISOString').mockReturnValueOnce('2099-01-01T00:00:00.000Z');
+      const newer = await quotesService.createQuote({ text: 'Newer', tags: ['news'] });
+      jest.restoreAllMocks();
+
+      expect(quotesService.getRecentQuotes().map(quote => quote.id)).toEqual([newer.id, older.id]);
+      expect(quotesService.getRecentQuotes({ tags: 'news' }, 1)).toEqual([newer]);
+      expect(quotesService.getRecentQuotes({ author: 'Test Author 1' })).toEqual([]);
+    });
+
+    test('should merge imported quotes and report duplicates', async () => {
+      const [first] = quotesService.getAllQuotes();
+      const entries = [
+        { row: 1, quote: { id: 'imported', text: 'Imported', author: 'Someone', tags: [] } },
+        { row: 2, quote: { ...first } },
+        { row: 3, quote: { id: 'imported', text: 'Again', author: 'Someone', tags: [] } },
+        { row: 4, error: 'Text is required and must be a non-empty string' }
+      ];
+
+      const dryRun = await quotesService.importQuotes(entries, { dryRun: true });
+      expect(dryRun).toMatchObject({ applied: false, summary: { total: 4, accepted: 1, duplicate: 2, invalid: 1 } });
+      expect(quotesService.getCount()).toBe(3);
+
+      const report = await quotesService.importQuotes(entries);
+      expect(report.rows.map(row => row.reason)).toEqual([
+        undefined,
+        `A quote with ID "${first.id}" already exists`,
+        'Same ID as row 1',
+        'Text is required and must be a non-empty string'
+      ]);
+      expect(report.applied).toBe(true);
+      expect(readQuotesFile().map(quote => quote.id)).toContain('imported');
+      expect(quotesService.getAuthor('someone')).toMatchObject({ quoteCount: 1 });
+    });
+
+    test('should replace the collection only with a clean import', async () => {
+      const clean = [{ row: 1, quote: { id: 'only', text: 'Only quote', author: 'Someone', tags: [] } }];
+
+      const rejected = await quotesService.importQuotes([...clean, { row: 2, error: 'Bad' }], { strategy: 'replace' });
+      expect(rejected.applied).toBe(false);
+      expect(quotesService.getCount()).toBe(3);
+
+      const replaced = await quotesService.importQuotes(clean, { strategy: 'replace' });
+      expect(replaced.applied).toBe(true);
+      expect(quotesService.getAllQuotes().map(quote => quote.id)).toEqual(['only']);
+    });
+
+    test('should apply concurrent writes in order', async () => {
+      await Promise.all([
+        quotesService.createQuote({ text: 'Concurrent 1' }),
+        quotesService.createQuote({ text: 'Concurrent 2' }),
+        quotesService.createQuote({ text: 'Concurrent 3' })
+      ]);
+
+      expect(readQuotesFile().slice(-3).map(quote => quote.text)).toEqual(['Concurrent 1', 'Concurrent 2', 'Concurrent 3']);
+    });
+
+    test('should leave the collection untouched when the write fails', async () => {
+      jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('Disk full'));
+
+      await expect(quotesService.createQuote({ text: 'Never saved' })).rejects.toThrow('Disk full');
+      expect(quotesService.getCount()).toBe(3);
+      expect(fs.readdirSync(__dirname).some(file => file.endsWith('.tmp'))).toBe(false);
+
+      // The queue keeps working after a failure
+      await quotesService.createQuote({ text: 'Saved later' });
+      expect(quotesService.getCount()).toBe(4);
+    });
+
+    test('should validate quote input', () => {
+      expect(quotesService.validateQuoteInput({ text: 'Valid', author: 'Someone', tags: ['a'] })).toHaveLength(0);
+      expect(quotesService.validateQuoteInput({})).toContain('Text is required and must be a non-empty string');
+      expect(quotesService.validateQuoteInput({}, { partial: true })).toHaveLength(0);
+      expect(quotesService.validateQuoteInput({ text: 'Valid', id: 'has spaces' }))
+        .toContain('ID must be 1-64 letters, digits, hyphens or underscores');
+    });
+  });
+
+  describe('Reloading', () => {
+    const consoleSpies = [];
+
+    beforeEach(() => {
+      consoleSpies.push(jest.spyOn(console, 'log').mockImplementation(() => {}));
+      consoleSpies.push(jest.spyOn(console, 'error').mockImplementation(() => {}));
+    });
+
+    afterEach(() => {
+      quotesService.unwatch();
+      consoleSpies.splice(0).forEach(spy => spy.mockRestore());
+    });
+
+    test('should swap in a valid file', async () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify(['Fresh quote']));
+
+      const status = await quotesService.reloadQuotes();
+
+      expect(status.status).toBe('ok');
+      expect(quotesService.getCount()).toBe(1);
+      expect(quotesService.getAllQuotes()[0].text).toBe('Fresh quote');
+    });
+
+    test('should keep the old quotes when the file is invalid', async () => {
+      fs.writeFileSync(tempQuotesFile, '{ "quotes": [');
+
+      const status = await quotesService.reloadQuotes();
+
+      expect(status.status).toBe('error');
+      expect(status.error).toBeDefined();
+      expect(quotesService.getCount()).toBe(3);
+      expect(quotesService.getStatus().lastReload).toEqual(status);
+    });
+
+    test('should keep the old quotes when the file has duplicate IDs or no quotes', async () => {
+      fs.writeFileSync(tempQuotesFile, JSON.stringify([{ id: 'a', text: 'One' }, { id: 'a', text: 'Two' }]));
+      expect((await quotesService.reloadQuotes()).error).toContain('quotes[1].id "a" is already used by quotes[0]');
+
+      fs.writeFileSync(tempQuotesFile, JSON.stringify([]));
+      expect((await quotesService.reloadQuotes()).error).toBe('Quotes file contains no quotes');
+
+      expect(quotesService.getCount()).toBe(3);
+    });
+
+    test('should report the file modification time', () => {
+      const { mtime } = fs.statSync(tempQuotesFile);
+
+      expect(quotesService.getStatus()).toMatchObject({
+        total: 3,
+        fileModifiedAt: mtime.toISOString(),
+        lastReload: null
+      });
+    });
+
+    test('should reload when the watched file changes', async () => {
+      quotesService.watch({ interval: 20, debounceMs: 10 });
+      fs.writeFileSync(tempQuotesFile, JSON.stringify(['Watched quote 1', 'Watched quote 2']));
+      // Make sure the modification time moves even on coarse filesystems
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(tempQuotesFile, future, future);
+
+      for (let i = 0; i < 100 && quotesService.getCount() !== 2; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      expect(quotesService.getCount()).toBe(2);
+      expect(quotesService.getStatus().lastReload.status).toBe('ok');
+    });
   });
 
   describe('Pagination', () => {
@@ -206,5 +699,29 @@ describe('QuotesService', () => {
       
       expect(samples.length).toBeLessThanOrEqual(3);
     });
+
+    test('should repeat sample quotes for the same seed', () => {
+      const samples = quotesService.getSampleQuotes(2, 'seed');
+
+      expect(new Set(samples.map(quote => quote.id)).size).toBe(2);
+      expect(quotesService.getSampleQuotes(2, 'seed')).toEqual(samples);
+    });
+  });
+
+  describe('Batch random quotes', () => {
+    test('should return distinct quotes and the seed used', () => {
+      const { quotes, seed } = quotesService.getRandomQuotes({}, { count: 3 });
+
+      expect(new Set(quotes.map(quote => quote.id)).size).toBe(3);
+      expect(typeof seed).toBe('string');
+      expect(quotesService.getRandomQuotes({}, { count: 3, seed }).quotes).toEqual(quotes);
+    });
+
+    test('should skip excluded quotes and return what is left', () => {
+      const [first, second] = quotesService.getAllQuotes();
+      const { quotes } = quotesService.getRandomQuotes({ exclude: [first.id, second.id] }, { count: 2 });
+
+      expect(quotes.map(quote => quote.text)).toEqual(['Simple string quote']);
+    });
   });
 });
\ No newline at end of file
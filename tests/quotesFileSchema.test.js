@@ -0,0 +1,98 @@
+const { validateQuotesFile, parseQuotesFile, describeProblem } = require('../server/quotesFileSchema');
+
+describe('Quotes file schema', () => {
+  const problemsOf = data => validateQuotesFile(data).map(describeProblem);
+
+  test('should accept both file shapes', () => {
+    expect(problemsOf(['Plain text', { text: 'Text', author: 'A', tags: 'a, b' }])).toEqual([]);
+    expect(problemsOf({
+      exportedAt: '2024-01-01T00:00:00.000Z',
+      quotes: [{
+        id: 7,
+        quote: 'Older field name',
+        tags: ['a'],
+        translations: { AR: 'نص', ckb: { text: 'دەق', author: 'A' } },
+        createdAt: '2024-01-01T00:00:00.000Z'
+      }]
+    })).toEqual([]);
+    expect(problemsOf(require('../quotes.json'))).toEqual([]);
+  });
+
+  test('should report every problem with its index and field', () => {
+    expect(validateQuotesFile(['ok', '  ', 5, { author: 'A' }])).toEqual([
+      { index: 1, field: null, message: 'must not be empty' },
+      { index: 2, field: null, message: 'must be a string or an object' },
+      { index: 3, field: 'text', message: 'is required' }
+    ]);
+
+    expect(problemsOf({
+      version: 2,
+      quotes: [
+        { text: 'A', author: ['B'], tags: ['x', 3], source: 'book' },
+        { id: 1.5, text: 'C', createdAt: 'yesterday' },
+        { text: 'D', translations: { 'not a code': 'x', fr: { author: 'E' }, de: '' } }
+      ]
+    })).toEqual([
+      'version is not a known field',
+      'quotes[0].source is not a known field',
+      'quotes[0].author must be a string',
+      'quotes[0].tags[1] must be a string',
+      'quotes[1].id must be a string or an integer',
+      'quotes[1].createdAt must be an ISO 8601 date',
+      'quotes[2].translations key "not a code" is not a valid language code',
+      'quotes[2].translations.fr.text is required',
+      'quotes[2].translations.de must not be empty'
+    ]);
+  });
+
+  test('should report duplicate IDs among otherwise valid quotes', () => {
+    expect(problemsOf([
+      { id: 'a', text: 'One' },
+      { id: 'b', text: '' },
+      { id: 'a', text: 'Two' },
+      { id: 'b', text: 'Three' },
+      { id: 1, text: 'Four' },
+      { id: '1', text: 'Five' }
+    ])).toEqual([
+      'quotes[1].text must not be empty',
+      'quotes[2].id "a" is already used by quotes[0]',
+      'quotes[5].id "1" is already used by quotes[4]'
+    ]);
+  });
+
+  test('should still refuse a file without quotes', () => {
+    expect(() => validateQuotesFile({ invalidFormat: true })).toThrow('Invalid quotes file format');
+    expect(() => parseQuotesFile('text', { validation: 'allow' })).toThrow('Invalid quotes file format');
+  });
+
+  describe('Validation modes', () => {
+    const data = ['Kept', { text: '' }, { text: 'Also kept', colour: 'red' }];
+
+    test('should fail with every problem', () => {
+      let error;
+      try {
+        parseQuotesFile(data);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.code).toBe('INVALID_QUOTES_FILE');
+      expect(error.message).toBe('Invalid quotes file: quotes[1].text must not be empty; quotes[2].colour is not a known field');
+      expect(error.problems).toHaveLength(2);
+    });
+
+    test('should skip the quotes with problems when warning', () => {
+      const { quotes, problems } = parseQuotesFile(data, { validation: 'warn' });
+
+      expect(quotes.map(quote => quote.text)).toEqual(['Kept']);
+      expect(problems.map(problem => problem.index)).toEqual([1, 2]);
+    });
+
+    test('should load everything when allowed', () => {
+      const { quotes, problems } = parseQuotesFile(data, { validation: 'allow' });
+
+      expect(quotes.map(quote => quote.text)).toEqual(['Kept', '', 'Also kept']);
+      expect(problems).toEqual([]);
+    });
+  });
+});
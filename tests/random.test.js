@@ -0,0 +1,64 @@
+const { isValidSeed, generateSeed, createRandom, shuffle, sample } = require('../server/random');
+
+describe('Seeded random', () => {
+  test('should repeat the same sequence for the same seed', () => {
+    const first = createRandom('abc');
+    const second = createRandom('abc');
+    const other = createRandom('abd');
+
+    const values = Array.from({ length: 5 }, () => first());
+    expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+    expect(Array.from({ length: 5 }, () => other())).not.toEqual(values);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('should shuffle a copy without losing items', () => {
+    const items = [1, 2, 3, 4, 5, 6];
+    const shuffled = shuffle(items, createRandom('seed'));
+
+    expect(items).toEqual([1, 2, 3, 4, 5, 6]);
+    expect([...shuffled].sort()).toEqual(items);
+    expect(shuffle(items, createRandom('seed'))).toEqual(shuffled);
+  });
+
+  test('should shuffle without bias', () => {
+    // Every item should land in the first slot about equally often
+    const random = createRandom('uniform');
+    const counts = [0, 0, 0, 0];
+    for (let i = 0; i < 4000; i++) {
+      counts[shuffle([0, 1, 2, 3], random)[0]]++;
+    }
+
+    counts.forEach(count => {
+      expect(count).toBeGreaterThan(850);
+      expect(count).toBeLessThan(1150);
+    });
+  });
+
+  test('should sample distinct items without bias', () => {
+    const random = createRandom('sample');
+    const counts = [0, 0, 0, 0];
+    for (let i = 0; i < 2000; i++) {
+      const picked = sample([0, 1, 2, 3], 2, random);
+      expect(new Set(picked).size).toBe(2);
+      picked.forEach(item => counts[item]++);
+    }
+
+    // Each item is picked in half of the draws
+    counts.forEach(count => {
+      expect(count).toBeGreaterThan(850);
+      expect(count).toBeLessThan(1150);
+    });
+    expect(sample([1, 2], 5)).toHaveLength(2);
+  });
+
+  test('should validate and generate seeds', () => {
+    expect(isValidSeed(generateSeed())).toBe(true);
+    expect(isValidSeed('')).toBe(false);
+    expect(isValidSeed('x'.repeat(65))).toBe(false);
+    expect(isValidSeed(['a'])).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+const { EXPANSION_CACHE_SIZE, SearchIndex, parseQuery, tokenize, keywords, editDistance } = require('../server/searchIndex');
+
+describe('SearchIndex', () => {
+  const quotes = [
+    { id: 'a', text: 'The only way to do great work is to love what you do.', author: 'Steve Jobs', tags: ['work', 'passion'] },
+    { id: 'b', text: 'Success is not final, failure is not fatal.', author: 'Winston Churchill', tags: ['success', 'failure'] },
+    { id: 'c', text: 'Great minds discuss ideas; work hard and stay humble.', author: 'Unknown', tags: ['hard-work'] },
+    { id: 'd', text: 'Innovation distinguishes between a leader and a follower.', author: 'Steve Jobs', tags: ['innovation', 'leadership'] },
+    { id: 'e', text: 'Une école pour la vie.', author: 'Émile', tags: [] }
+  ];
+  let index;
+
+  const ids = results => results.map(result => result.quote.id);
+
+  beforeEach(() => {
+    index = new SearchIndex(quotes);
+  });
+
+  describe('parseQuery', () => {
+    test('should split terms, phrases and field prefixes', () => {
+      expect(parseQuery('author:jobs "great work" love')).toEqual([
+        { field: 'author', terms: ['jobs'], phrase: false },
+        { field: null, terms: ['great', 'work'], phrase: true },
+        { field: null, terms: ['love'], phrase: false }
+      ]);
+    });
+
+    test('should search unknown prefixes as plain words', () => {
+      expect(parseQuery('foo:bar')).toEqual([
+        { field: null, terms: ['foo'], phrase: false },
+        { field: null, terms: ['bar'], phrase: false }
+      ]);
+    });
+
+    test('should ignore empty phrases and punctuation', () => {
+      expect(parseQuery('"" ... ')).toEqual([]);
+    });
+  });
+
+  test('tokenize should lowercase, strip accents and keep offsets', () => {
+    expect(tokenize('École, Steve!')).toEqual([
+      { term: 'ecole', start: 0, end: 5 },
+      { term: 'steve', start: 7, end: 12 }
+    ]);
+  });
+
+  test('editDistance should stop early past the limit', () => {
+    expect(editDistance('success', 'sucess', 2)).toBe(1);
+    expect(editDistance('work', 'innovation', 1)).toBe(2);
+  });
+
+  test('should require every term to match', () => {
+    expect(ids(index.search('great work'))).toEqual(expect.arrayContaining(['a', 'c']));
+    expect(ids(index.search('great work love'))).toEqual(['a']);
+  });
+
+  test('should match phrases only when the words are adjacent', () => {
+    expect(ids(index.search('"great work"'))).toEqual(['a']);
+    expect(index.search('"work great"')).toEqual([]);
+  });
+
+  test('should restrict terms to a field', () => {
+    expect(ids(index.search('author:jobs')).sort()).toEqual(['a', 'd']);
+    expect(index.search('text:jobs')).toEqual([]);
+    expect(ids(index.search('tag:leadership'))).toEqual(['d']);
+  });
+
+  test('should tolerate typos and match prefixes', () => {
+    expect(ids(index.search('sucess'))).toEqual(['b']);
+    expect(ids(index.search('churchil'))).toEqual(['b']);
+    expect(ids(index.search('innov'))).toEqual(['d']);
+  });
+
+  test('should match accented text without accents', () => {
+    expect(ids(index.search('ecole emile'))).toEqual(['e']);
+  });
+
+  test('should rank exact matches above fuzzy ones', () => {
+    const results = index.search('work');
+    expect(results[0].quote.id).toBe('a');
+    expect(results.map(result => result.score)).toEqual(
+      [...results.map(result => result.score)].sort((x, y) => y - x)
+    );
+  });
+
+  test('should return highlight ranges for text and author', () => {
+    const [result] = index.search('author:steve "great work"');
+    const { text, author } = quotes[0];
+
+    expect(result.highlights.text.map(([start, end]) => text.slice(start, end))).toEqual(['great', 'work']);
+    expect(result.highlights.author.map(([start, end]) => author.slice(start, end))).toEqual(['Steve']);
+  });
+
+  test('should return nothing for an empty query', () => {
+    expect(index.search('   ')).toEqual([]);
+  });
+
+  test('should keep a bounded cache of term expansions', () => {
+    index.search('work');
+    for (let i = 0; i < EXPANSION_CACHE_SIZE; i++) {
+      index.search(`term${i}`);
+      // Recently used terms stay cached
+      index.search('work');
+    }
+
+    expect(index.expansionCache.size).toBe(EXPANSION_CACHE_SIZE);
+    expect(index.expansionCache.has('work')).toBe(true);
+    expect(index.expansionCache.has('term0')).toBe(false);
+    expect(ids(index.search('work'))).toEqual(['a', 'c']);
+  });
+
+  describe('rankByTerms', () => {
+    test('keywords should drop common words and repeats', () => {
+      expect(keywords('Can you give me a quote about great work? Great WORK, please!')).toEqual(['great', 'work']);
+      expect(keywords('The')).toEqual([]);
+    });
+
+    test('should rank quotes matching any term by weighted score', () => {
+      const results = index.rankByTerms([{ term: 'innovation', weight: 1 }, { term: 'failure', weight: 0.5 }]);
+
+      expect(ids(results)).toEqual(['d', 'b']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    test('should add up the terms a quote matches', () => {
+      const results = index.rankByTerms(keywords('great work').map(term => ({ term, weight: 1 })));
+
+      expect(ids(results).slice(0, 2).sort()).toEqual(['a', 'c']);
+      expect(index.rankByTerms([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, JsonFileStorage, SqliteStorage } = require('../server/storage');
+const { buildCollection } = require('../server/quoteModel');
+const QuotesService = require('../server/quotes');
+const migrate = require('../scripts/migrate-to-sqlite');
+
+// better-sqlite3 is optional and may not build for every Node version;
+// its native binding only loads when a database is opened
+const sqliteAvailable = (() => {
+  try {
+    const Database = require('better-sqlite3');
+    new Database(':memory:').close();
+    return true;
+  } catch {
+    return false;
+  }
+})();
+const describeSqlite = sqliteAvailable ? describe : describe.skip;
+
+const fixture = [
+  { id: 'q1', text: 'The only way to do great work is to love what you do.', author: 'Steve Jobs', tags: ['work', 'passion'] },
+  { id: 'q2', text: 'Innovation distinguishes between a leader and a follower.', author: 'Steve Jobs', tags: ['leadership'] },
+  { id: 'q3', text: 'Ça ira, ÉCOLE de la vie.', author: 'Émile', tags: ['life', 'work'] },
+  { id: 'q4', text: 'Life is what happens while you are busy making other plans.', author: 'John Lennon', tags: ['life'] }
+];
+
+describe('Storage adapters', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quotes-storage-'));
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const adapters = [
+    ['json', async () => {
+      const filePath = path.join(tempDir, `quotes-${Date.now()}-${Math.random()}.json`);
+      fs.writeFileSync(filePath, JSON.stringify({ quotes: fixture }));
+      const storage = new JsonFileStorage(filePath);
+      storage.load();
+      return storage;
+    }],
+    ['sqlite', async () => {
+      const storage = new SqliteStorage(':memory:');
+      storage.load();
+      await storage.replaceAll(buildCollection(fixture));
+      return storage;
+    }]
+  ];
+
+  describe.each(adapters.filter(([name]) => name !== 'sqlite' || sqliteAvailable))('%s adapter', (name, createAdapter) => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = await createAdapter();
+    });
+
+    afterEach(() => {
+      storage.close();
+    });
+
+    test('should return every quote in order', () => {
+      expect(storage.all().map(quote => quote.id)).toEqual(['q1', 'q2', 'q3', 'q4']);
+      expect(storage.count()).toBe(4);
+    });
+
+    test('should get quotes by ID', () => {
+      expect(storage.get('q2')).toMatchObject({ text: fixture[1].text, tags: ['leadership'] });
+      expect(storage.get('missing')).toBeUndefined();
+    });
+
+    test('should page through the collection', () => {
+      const page = storage.list({ offset: 1, limit: 2 });
+
+      expect(page.total).toBe(4);
+      expect(page.quotes.map(quote => quote.id)).toEqual(['q2', 'q3']);
+    });
+
+    test('should search text and author case-insensitively', () => {
+      expect(storage.search({ contains: 'steve' }).total).toBe(2);
+      expect(storage.search({ contains: 'école' }).quotes.map(quote => quote.id)).toEqual(['q3']);
+      expect(storage.search({ contains: 'émile' }).total).toBe(1);
+    });
+
+    test('should filter by tags', () => {
+      expect(storage.search({ tags: 'work,leadership' }).total).toBe(3);
+      expect(storage.search({ tags: ['life', 'work'], tagMode: 'all' }).quotes.map(quote => quote.id)).toEqual(['q3']);
+      expect(storage.count({ tags: 'life' })).toBe(2);
+      expect(storage.count({ contains: 'plans', tags: 'life' })).toBe(1);
+    });
+
+    test('should apply author, length and exclude filters', () => {
+      expect(storage.search({ author: 'steve-jobs' }).total).toBe(2);
+      expect(storage.search({ author: 'EMILE' }).quotes.map(quote => quote.id)).toEqual(['q3']);
+      expect(storage.search({ minLength: 55, maxLength: 58 }).quotes.map(quote => quote.id)).toEqual(['q2']);
+      expect(storage.count({ maxLength: 24 })).toBe(1);
+      expect(storage.search({ exclude: ['q1', 'q4'] }).quotes.map(quote => quote.id)).toEqual(['q2', 'q3']);
+    });
+
+    test('should sort by author, length and ID', () => {
+      const ids = options => storage.search({}, options).quotes.map(quote => quote.id);
+
+      expect(ids({ sort: 'author' })).toEqual(['q4', 'q1', 'q2', 'q3']);
+      expect(ids({ sort: 'author', order: 'desc' })).toEqual(['q3', 'q1', 'q2', 'q4']);
+      expect(ids({ sort: 'length' })).toEqual(['q3', 'q1', 'q2', 'q4']);
+      expect(ids({ sort: 'id', order: 'desc', offset: 1, limit: 2 })).toEqual(['q3', 'q2']);
+    });
+
+    test('should iterate over the matching quotes in order', () => {
+      expect([...storage.each()].map(quote => quote.id)).toEqual(['q1', 'q2', 'q3', 'q4']);
+      expect([...storage.each({ tags: 'work', exclude: ['q1'] })].map(quote => quote.id)).toEqual(['q3']);
+      expect([...storage.each({ author: 'nobody' })]).toEqual([]);
+    });
+
+    test('should pick random quotes within the filters', () => {
+      expect(storage.random({ tags: 'leadership' }).id).toBe('q2');
+      expect(storage.random({ tags: 'missing' })).toBeNull();
+    });
+
+    test('should insert, update and remove quotes', async () => {
+      await storage.insert({ id: 'q5', text: 'New', author: 'Someone', tags: ['new'] });
+      await storage.update({ ...storage.get('q1'), text: 'Changed', tags: ['changed'] });
+      await storage.remove('q2');
+
+      expect(storage.all().map(quote => quote.id)).toEqual(['q1', 'q3', 'q4', 'q5']);
+      expect(storage.get('q1').text).toBe('Changed');
+      expect(storage.search({ tags: 'changed' }).total).toBe(1);
+      expect(storage.search({ tags: 'passion' }).total).toBe(0);
+    });
+  });
+
+  describe('Factory', () => {
+    test('should pick the adapter by type', () => {
+      expect(createStorage({ type: 'json' })).toBeInstanceOf(JsonFileStorage);
+      expect(createStorage({ type: 'sqlite' })).toBeInstanceOf(SqliteStorage);
+    });
+
+    test('should reject unknown types', () => {
+      expect(() => createStorage({ type: 'mongo' })).toThrow('Unknown QUOTES_STORAGE "mongo"');
+    });
+
+    test('should pass the validation mode to the JSON adapter', () => {
+      expect(createStorage({ type: 'json', validation: 'warn' }).validation).toBe('warn');
+      expect(() => createStorage({ validation: 'lenient' })).toThrow('Unknown QUOTES_VALIDATION "lenient"');
+    });
+  });
+
+  describeSqlite('SQLite migration', () => {
+    test('should import a quotes file into SQLite', async () => {
+      const quotesPath = path.join(tempDir, 'migrate.json');
+      const sqlitePath = path.join(tempDir, 'nested', 'migrate.db');
+      fs.writeFileSync(quotesPath, JSON.stringify(fixture));
+
+      expect(await migrate(quotesPath, sqlitePath)).toBe(4);
+      // Running it again replaces rather than duplicates
+      expect(await migrate(quotesPath, sqlitePath)).toBe(4);
+
+      const storage = new SqliteStorage(sqlitePath);
+      storage.load();
+      expect(storage.all()).toEqual(buildCollection(fixture));
+      storage.close();
+    });
+
+    test('should serve a QuotesService from SQLite', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const storage = new SqliteStorage(':memory:');
+      storage.load();
+      await storage.replaceAll(buildCollection(fixture));
+
+      const service = new QuotesService(null, { storage });
+      const created = await service.createQuote({ text: 'Stored in SQLite' });
+
+      expect(service.getCount()).toBe(5);
+      expect(service.getQuoteById(created.id)).toEqual(created);
+      expect(service.findQuotes({ contains: 'sqlite' }, 1, 10).quotes).toEqual([created]);
+      expect(service.getStatus()).toMatchObject({ storage: 'sqlite', fileModifiedAt: null });
+      expect(await service.reloadQuotes()).toBeNull();
+
+      storage.close();
+      consoleSpy.mockRestore();
+    });
+  });
+});